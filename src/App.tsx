@@ -5,6 +5,7 @@ function App() {
     <div className="app-container">
       <header className="app-header">
         <h1>Box Joints Designer</h1>
+        <span id="project-name" className="project-title"></span>
         <div className="header-github">
           <a 
             href="https://github.com/KittenFlood/joinery-sim/blob/main/README.md" 
@@ -17,11 +18,25 @@ function App() {
           </a>
         </div>
         <div className="header-actions">
+          <select id="units-select" className="units-select" defaultValue="mm" title="Display units">
+            <option value="mm">mm</option>
+            <option value="cm">cm</option>
+            <option value="in">in (decimal)</option>
+            <option value="in-frac">in (fractional)</option>
+          </select>
           <button id="undo-btn" className="icon-btn" title="Undo (Ctrl+Z)">↶</button>
           <button id="redo-btn" className="icon-btn" title="Redo (Ctrl+Y)">↷</button>
-          <button id="save-btn" className="btn-primary" title="Save (Ctrl+S)">Save</button>
+          <button id="projects-btn" className="btn-secondary" title="Open, duplicate, rename or delete saved projects">Projects</button>
+          <button id="snapshots-btn" className="btn-secondary" title="Browse and restore automatic snapshots">Snapshots</button>
+          <button id="save-btn" className="btn-primary" title="Save to the project library (Ctrl+S)">Save</button>
           <button id="export-btn" className="btn-primary" title="Export to JSON">Export</button>
           <button id="import-btn" className="btn-secondary" title="Import from JSON">Import</button>
+          <button id="box-wizard-btn" className="btn-secondary" title="Generate a jointed box from its outer dimensions">Box Wizard</button>
+          <button id="species-btn" className="btn-secondary" title="Wood species and their properties; add your own">Species</button>
+          <button id="cut-list-btn" className="btn-secondary" title="Cut list and bill of materials">Cut List</button>
+          <button id="jig-setup-btn" className="btn-secondary" title="Cutting sequences for box joints on a table-saw jig or router fence">Jig Setup</button>
+          <button id="template-btn" className="btn-secondary" title="Export 2D templates (SVG/DXF)">Templates</button>
+          <button id="model-export-btn" className="btn-secondary" title="Export 3D model (STL/OBJ/glTF)">3D Model</button>
           <button id="help-btn" className="btn-secondary" title="Help">Help</button>
         </div>
       </header>
@@ -37,6 +52,8 @@ function App() {
               </label>
               <button id="deselect-all-btn" className="btn-secondary">Deselect All</button>
               <button id="clear-scene-btn" className="btn-secondary">Clear</button>
+              <button id="copy-board-btn" className="btn-secondary" title="Duplicate, mirror or array the selected board">Copy…</button>
+              <button id="add-group-btn" className="btn-secondary" title="Group the selected board into a sub-assembly">+ Group</button>
               <button id="add-board-btn" className="btn-secondary">+ Add</button>
             </div>
           </div>
@@ -45,6 +62,25 @@ function App() {
 
         <main className="viewport-container">
           <div id="viewport"></div>
+          <div id="viewport-toolbar" className="viewport-toolbar">
+            <button className="viewport-tool active" data-mode="translate" title="Move (M)">Move</button>
+            <button className="viewport-tool" data-mode="rotate" title="Rotate (R)">Rotate</button>
+            <label className="viewport-snap" title="Snap while dragging">
+              <input type="checkbox" id="snap-toggle" defaultChecked />
+              Snap
+            </label>
+            <label className="viewport-snap">
+              Grid
+              <input type="number" id="snap-grid-input" defaultValue={10} min={0.5} step={0.5} />
+              <span id="snap-grid-unit">mm</span>
+            </label>
+            <select id="snap-rotation-select" defaultValue="90" title="Rotation snap">
+              <option value="90">90°</option>
+              <option value="45">45°</option>
+              <option value="15">15°</option>
+              <option value="0">Free</option>
+            </select>
+          </div>
         </main>
 
         <aside className="right-panel">
@@ -52,6 +88,35 @@ function App() {
             <h2>Joints</h2>
           </div>
           <div id="joint-editor" className="joint-editor"></div>
+          <div className="panel-header panel-header-row">
+            <h2>Fit Check</h2>
+            <button id="fit-check-btn" className="btn-secondary">Check</button>
+          </div>
+          <div id="fit-check-panel" className="panel-section"></div>
+          <div className="panel-header panel-header-row">
+            <h2>Tolerances</h2>
+          </div>
+          <div id="tolerance-panel" className="panel-section"></div>
+          <div className="panel-header panel-header-row">
+            <h2>Joint Strength</h2>
+          </div>
+          <div id="strength-panel" className="panel-section"></div>
+          <div className="panel-header panel-header-row">
+            <h2>Wood Movement</h2>
+          </div>
+          <div id="movement-panel" className="panel-section"></div>
+          <div className="panel-header panel-header-row">
+            <h2>Assembly</h2>
+            <div className="assembly-controls">
+              <button id="assembly-play-btn" className="btn-secondary">Play</button>
+              <button id="assembly-stop-btn" className="btn-secondary">Stop</button>
+            </div>
+          </div>
+          <div id="assembly-panel" className="panel-section"></div>
+          <div className="panel-header panel-header-row">
+            <h2>History</h2>
+          </div>
+          <div id="history-panel" className="panel-section"></div>
         </aside>
       </div>
 
@@ -70,6 +135,10 @@ function App() {
               <h3>2. Select a Side</h3>
               <p>Select the board from the Boards panel, then click on any side (top, bottom, left, right, front, or back) in the 3D viewport to configure a joint on that side.</p>
             </div>
+            <div className="help-step">
+              <h3>Positioning Boards</h3>
+              <p>Click a board in the viewport to select it, then drag the gizmo arrows to move it. Press <strong>M</strong> for move and <strong>R</strong> for rotate. Moves snap to the grid step and rotations to the chosen angle unless Snap is turned off.</p>
+            </div>
             <div className="help-step">
               <h3>3. Configure the Joint</h3>
               <p>In the Joints panel, configure your box joint parameters:</p>
@@ -83,6 +152,96 @@ function App() {
           </div>
         </div>
       </dialog>
+
+      <dialog id="cut-list-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Cut List</h2>
+            <button id="cut-list-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="cut-list-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="jig-setup-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Jig Setup</h2>
+            <button id="jig-setup-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="jig-setup-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="template-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>2D Templates</h2>
+            <button id="template-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="template-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="box-wizard-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Box Wizard</h2>
+            <button id="box-wizard-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="box-wizard-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="species-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Wood Species</h2>
+            <button id="species-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="species-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="copy-board-modal" className="help-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Copy Board</h2>
+            <button id="copy-board-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="copy-board-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="project-browser-modal" className="help-modal wide-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Projects</h2>
+            <button id="project-browser-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="project-browser-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="snapshot-modal" className="help-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>Snapshots</h2>
+            <button id="snapshot-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="snapshot-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
+
+      <dialog id="model-export-modal" className="help-modal">
+        <div className="help-modal-content">
+          <div className="help-modal-header">
+            <h2>3D Model Export</h2>
+            <button id="model-export-modal-close" className="help-modal-close" title="Close">×</button>
+          </div>
+          <div id="model-export-body" className="help-modal-body"></div>
+        </div>
+      </dialog>
     </div>
   );
 }
@@ -0,0 +1,223 @@
+import { Board } from '../models/Board.js';
+import { JointConfig } from '../models/JointConfig.js';
+import { FaceCutConfig } from '../models/FaceCutConfig.js';
+import { MateSolver } from '../utils/MateSolver.js';
+import { JointLinker } from '../utils/JointLinker.js';
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+
+export const PANEL_STYLES = {
+  none: 'None',
+  jointed: 'Finger jointed',
+  groove: 'Captured in groove',
+  rabbet: 'Rabbeted'
+};
+
+export const DEFAULT_BOX = {
+  length: 200,
+  width: 150,
+  height: 100,
+  thickness: 12,
+  fingerWidth: 12,
+  bottom: 'groove',
+  lid: 'none',
+  panelThickness: 6,
+  woodType: 'ash'
+};
+
+// Distance from the wall edge to a panel groove
+const GROOVE_OFFSET = 6;
+
+/**
+ * Generates a finger-jointed box from its outer dimensions.
+ *
+ * The box stands on the ground plane, centred on the origin, with its length
+ * along x and its width along z. The four walls are placed with mates so they
+ * follow the front wall; their front faces point out and their bottom edges
+ * down. Front and back walls keep the corner finger patterns and the side
+ * walls receive the complements. A finger-jointed bottom or lid spans the
+ * full outer size and takes the complement of every wall edge it meets;
+ * grooved or rabbeted panels sit inside the walls in stopped cuts that do not
+ * break through the corners.
+ */
+export class BoxGenerator {
+  /**
+   * @param {Object} params - Box parameters (see DEFAULT_BOX)
+   * @param {Function} nextId - Returns a new board id on each call
+   * @returns {Object} { valid, boards, order } where boards is a Map of new
+   *   boards by id and order lists their ids in glue-up order, or { valid: false, error }
+   */
+  static generate(params, nextId) {
+    const validation = this.validate(params);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const { length, width, height, thickness, woodType } = params;
+    const create = (name, boardWidth, boardHeight, panelThickness = thickness) => {
+      const board = new Board(nextId(), { width: boardWidth, height: boardHeight, thickness: panelThickness });
+      board.displayName = name;
+      board.woodType = woodType;
+      return board;
+    };
+
+    const front = create('Front', length, height);
+    front.position = { x: 0, y: height / 2, z: width / 2 - thickness / 2 };
+    const back = create('Back', length, height);
+    const left = create('Left', width, height);
+    const right = create('Right', width, height);
+
+    let boards = new Map([front, left, right, back].map(board => [board.id, board]));
+    boards = MateSolver.mate(boards, left.id, { parentId: front.id, parentSide: 'left', side: 'right', corner: 'inside' });
+    boards = MateSolver.mate(boards, right.id, { parentId: front.id, parentSide: 'right', side: 'left', corner: 'inside' });
+    boards = MateSolver.mate(boards, back.id, { parentId: left.id, parentSide: 'left', side: 'right', corner: 'inside' });
+
+    const walls = [front.id, left.id, right.id, back.id];
+
+    // Corners: front and back keep the pattern
+    [[front.id, 'left'], [front.id, 'right'], [back.id, 'left'], [back.id, 'right']].forEach(([id, side]) => {
+      boards = this.linkToNearest(boards, id, side, [left.id, right.id], params);
+    });
+
+    const panelIds = {};
+    [['bottom', params.bottom, 'Bottom'], ['top', params.lid, 'Lid']].forEach(([edge, style, name]) => {
+      if (style === 'jointed') {
+        const panel = create(name, length, width);
+        boards = new Map(boards).set(panel.id, panel);
+        boards = MateSolver.mate(boards, panel.id, { parentId: front.id, parentSide: edge, side: 'bottom', corner: 'inside' });
+        walls.forEach(id => {
+          boards = this.linkToNearest(boards, id, edge, [panel.id], params);
+        });
+        panelIds[edge] = panel.id;
+      } else if (style === 'groove' || style === 'rabbet') {
+        const result = this.addInsetPanel(boards, walls, edge, style, params, name, create);
+        boards = result.boards;
+        panelIds[edge] = result.panelId;
+      }
+    });
+
+    // Glue-up: bottom, front, sides, back, then the lid
+    const sequence = [panelIds.bottom, front.id, left.id, right.id, back.id, panelIds.top].filter(Boolean);
+
+    return { valid: true, boards, order: sequence };
+  }
+
+  static validate(params, unit = DEFAULT_UNIT) {
+    const { length, width, height, thickness, fingerWidth, bottom, lid, panelThickness } = params;
+
+    if ([length, width, height, thickness, fingerWidth].some(value => !(value > 0))) {
+      return { valid: false, error: 'Dimensions, thickness and finger width must be positive' };
+    }
+    if (length <= 2 * thickness || width <= 2 * thickness) {
+      return { valid: false, error: `Length and width must be more than twice the thickness (${Units.format(2 * thickness, unit)})` };
+    }
+    if (!(bottom in PANEL_STYLES) || !(lid in PANEL_STYLES)) {
+      return { valid: false, error: 'Unknown bottom or lid style' };
+    }
+
+    // Height taken up at the bottom and top by the panels
+    const usage = style => {
+      if (style === 'jointed') return thickness;
+      if (style === 'groove') return GROOVE_OFFSET + panelThickness;
+      if (style === 'rabbet') return panelThickness;
+      return 0;
+    };
+    const inset = [bottom, lid].some(style => style === 'groove' || style === 'rabbet');
+    if (inset && !(panelThickness > 0)) {
+      return { valid: false, error: 'Panel thickness must be positive' };
+    }
+    if (usage(bottom) + usage(lid) >= height) {
+      return { valid: false, error: `Height (${Units.format(height, unit)}) leaves no room between the bottom and lid` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Odd number of equal segments closest to the target finger width, so the
+   * pattern has fingers at both ends. Where three boards meet at a corner the
+   * end fingers must be at least as wide as the stock is thick, or the corner
+   * cube is left open.
+   */
+  static createJoint(side, dimension, target, minWidth = 0) {
+    let segments = Math.max(3, 2 * Math.round((dimension / target - 1) / 2) + 1);
+    if (minWidth > 0) {
+      const maxSegments = Math.floor(dimension / minWidth);
+      segments = Math.max(3, Math.min(segments, maxSegments % 2 === 0 ? maxSegments - 1 : maxSegments));
+    }
+    const joint = new JointConfig(side);
+    joint.fingerCount = (segments + 1) / 2;
+    joint.fingerWidth = dimension / segments;
+    return joint;
+  }
+
+  /**
+   * Gives a source side a fixed pattern and links it to whichever edge of
+   * the candidate boards lies along it.
+   */
+  static linkToNearest(boards, sourceId, side, candidateIds, params) {
+    const source = boards.get(sourceId);
+    const sourceEdge = MateSolver.getWorldEdge(source, side);
+
+    let match = null;
+    candidateIds.forEach(id => {
+      ['top', 'bottom', 'left', 'right'].forEach(candidateSide => {
+        const edge = MateSolver.getWorldEdge(boards.get(id), candidateSide);
+        const distance = edge.midpoint.distanceTo(sourceEdge.midpoint);
+        if (Math.abs(edge.direction.dot(sourceEdge.direction)) > 0.999 && (!match || distance < match.distance)) {
+          match = { boardId: id, side: candidateSide, distance, reversed: edge.direction.dot(sourceEdge.direction) < 0 };
+        }
+      });
+    });
+    if (!match || match.distance > 2 * params.thickness) {
+      return boards;
+    }
+
+    const dimension = side === 'left' || side === 'right' ? source.dimensions.height : source.dimensions.width;
+    const updated = source.clone();
+    updated.mesh = source.mesh;
+    const corners = params.bottom === 'jointed' || params.lid === 'jointed';
+    updated.joints.set(side, this.createJoint(side, dimension, params.fingerWidth, corners ? params.thickness : 0));
+
+    const result = new Map(boards).set(sourceId, updated);
+    return JointLinker.link(result, { boardId: sourceId, side }, { boardId: match.boardId, side: match.side }, match.reversed);
+  }
+
+  /**
+   * Cuts a stopped groove or rabbet along one edge of every wall's inside
+   * face and adds the panel it holds. The cuts stop inside the corner
+   * joints, at the panel's edge, so they never show on the outside.
+   */
+  static addInsetPanel(boards, wallIds, edge, style, params, name, create) {
+    const { length, width, height, thickness, panelThickness } = params;
+    const depth = thickness / 2;
+    const stop = thickness - depth;
+    const result = new Map(boards);
+
+    wallIds.forEach((id, index) => {
+      const wall = result.get(id);
+      const cut = new FaceCutConfig(`cut-${edge}-${index + 1}`);
+      cut.type = style;
+      cut.face = 'back';
+      cut.edge = edge;
+      cut.width = panelThickness;
+      cut.depth = depth;
+      cut.stopStart = stop;
+      cut.stopEnd = stop;
+      cut.offset = edge === 'bottom' ? GROOVE_OFFSET : height - GROOVE_OFFSET - panelThickness;
+
+      const updated = wall.clone();
+      updated.mesh = wall.mesh;
+      updated.faceCuts = [...updated.faceCuts, cut];
+      result.set(id, updated);
+    });
+
+    const panel = create(name, length - 2 * stop, width - 2 * stop, panelThickness);
+    const fromEdge = (style === 'groove' ? GROOVE_OFFSET : 0) + panelThickness / 2;
+    panel.position = { x: 0, y: edge === 'bottom' ? fromEdge : height - fromEdge, z: 0 };
+    // Front face out of the box: down for the bottom, up for the lid
+    panel.rotation = { x: edge === 'bottom' ? Math.PI / 2 : -Math.PI / 2, y: 0, z: 0 };
+    result.set(panel.id, panel);
+
+    return { boards: result, panelId: panel.id };
+  }
+}
@@ -1,3 +1,15 @@
+import { DovetailGenerator } from './DovetailGenerator.js';
+
+// Project-wide fit in mm: kerf is the width of the saw or bit path, which
+// lands in the waste, so the model keeps its finished size while templates,
+// cut list rough sizes and jig cutter widths allow for it; clearance opens
+// every joint for glue and interference tightens it for a press fit
+export const DEFAULT_TOLERANCES = {
+  kerf: 0,
+  clearance: 0,
+  interference: 0
+};
+
 export class BoxJointGenerator {
   /**
    * Generates fixed joint segments that fill the entire board dimension.
@@ -65,6 +77,227 @@ export class BoxJointGenerator {
     return { valid: true, segments };
   }
 
+  /**
+   * Derives the complementary pattern for a mating board side.
+   * Fingers become grooves and grooves become fingers, keeping the partner's
+   * segment boundaries. If the receiving side is longer than the partner side
+   * the remainder is left uncut; if it is shorter the pattern is clipped.
+   * @param {Array} sourceSegments - Segments generated for the partner side
+   * @param {number} boardDimension - Dimension of the side receiving the complement
+   * @param {boolean} reversed - Whether the two edges run in opposite directions
+   * @returns {Object} Result with valid flag and segments array
+   */
+  static generateComplementaryJoints(sourceSegments, boardDimension, reversed = false) {
+    const sourceLength = sourceSegments.reduce((sum, s) => sum + s.width, 0);
+    const segments = [];
+
+    sourceSegments.forEach(segment => {
+      const start = reversed ? sourceLength - segment.start - segment.width : segment.start;
+      if (start >= boardDimension) return;
+      const end = Math.min(start + segment.width, boardDimension);
+      const type = segment.type === 'finger' ? 'groove' : 'finger';
+      segments.push({ start, width: end - start, type });
+    });
+
+    segments.sort((a, b) => a.start - b.start);
+
+    if (sourceLength < boardDimension - 0.001) {
+      segments.push({ start: sourceLength, width: boardDimension - sourceLength, type: 'finger' });
+    }
+
+    if (segments.length === 0) {
+      return { valid: false, error: 'Linked pattern does not overlap this side' };
+    }
+
+    return { valid: true, segments };
+  }
+
+  /**
+   * Determines the dimension of a board side for joint calculation.
+   * @param {Object} board - Board object with dimensions
+   * @param {string} side - Side identifier (top/bottom/left/right)
+   * @returns {number} Dimension in the direction of the joint
+   */
+  static getSideDimension(board, side) {
+    switch (side) {
+      case 'top':
+      case 'bottom':
+        return board.dimensions.width;
+      case 'left':
+      case 'right':
+        return board.dimensions.height;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Resolves the final segments and groove depth for one side of a board.
+   * Linked joints take their groove depth from the partner's thickness, and
+   * complement joints derive their pattern from the partner side, so both
+   * stay in sync when either board is resized.
+   * @param {Object} board - Board owning the joint
+   * @param {string} side - Side identifier
+   * @param {Map} boards - All boards by id, used to look up linked partners
+   * @param {Object} tolerances - Project tolerances; omit for the nominal geometry
+   * @returns {Object} Result with valid flag, segments, grooveDepth and dimension
+   */
+  static resolveJoint(board, side, boards, tolerances = null) {
+    const joint = board.joints.get(side);
+    if (!joint) {
+      return { valid: false, error: 'No joint configured' };
+    }
+
+    const dimension = this.getSideDimension(board, side);
+    const { thickness } = board.dimensions;
+    const partner = joint.link ? boards.get(joint.link.boardId) : null;
+
+    let grooveDepth = partner ? partner.dimensions.thickness : (joint.grooveDepth ?? thickness);
+    if (grooveDepth > thickness || grooveDepth <= 0) {
+      grooveDepth = thickness;
+    }
+
+    let result;
+
+    if (joint.mode === 'complement') {
+      const sourceJoint = partner ? partner.joints.get(joint.link.side) : null;
+      if (!sourceJoint || sourceJoint.mode === 'complement') {
+        return { valid: false, error: 'Linked joint not found', grooveDepth, dimension };
+      }
+      // Both sides of a link share the source joint's fit
+      const fit = tolerances ? this.getFit(sourceJoint, tolerances) : 0;
+      const sourceDimension = this.getSideDimension(partner, joint.link.side);
+      const sourceResult = this.generateForMode(sourceJoint, sourceDimension);
+      if (!sourceResult.valid) {
+        return { ...sourceResult, grooveDepth, dimension };
+      }
+
+      if (sourceJoint.type === 'tenon') {
+        return { valid: false, error: 'Tenons mate with a mortise, not an edge', grooveDepth, dimension };
+      }
+
+      if (sourceJoint.type === 'dovetail') {
+        // The mating side of a dovetail takes the opposite role
+        const role = sourceJoint.dovetail.role === 'pins' ? 'tails' : 'pins';
+        result = DovetailGenerator.generateComplementaryLayout(sourceResult.segments, dimension, joint.link.reversed);
+        return this.resolveDovetail(result, sourceJoint.dovetail, role, board, partner, grooveDepth, dimension, fit);
+      }
+      result = this.applyFit(
+        this.generateComplementaryJoints(sourceResult.segments, dimension, joint.link.reversed), 'groove', fit, dimension
+      );
+    } else if (joint.type === 'tenon') {
+      // Tenons have no finger segments; their cutters come from MortiseTenonGenerator.
+      // The fit is taken off the tenon so the mortise keeps its nominal size.
+      const fit = tolerances ? this.getFit(joint, tolerances) : 0;
+      const tenon = this.fitTenon(joint.tenon, fit);
+      if (tenon && (tenon.thickness <= 0 || tenon.width <= 0)) {
+        return { valid: false, type: 'tenon', error: 'Fit tolerance is wider than the tenon', segments: [], grooveDepth, dimension };
+      }
+      return { valid: Boolean(tenon), type: 'tenon', segments: [], tenon, grooveDepth, dimension };
+    } else {
+      const fit = tolerances ? this.getFit(joint, tolerances) : 0;
+      result = this.generateForMode(joint, dimension);
+
+      if (joint.type === 'dovetail') {
+        return this.resolveDovetail(result, joint.dovetail, joint.dovetail.role, board, partner, grooveDepth, dimension, fit);
+      }
+      result = this.applyFit(result, 'groove', fit, dimension);
+    }
+
+    return { ...result, grooveDepth, dimension };
+  }
+
+  /**
+   * Net fit of a joint in mm: positive opens the joint, negative tightens it.
+   * A joint's own tolerance overrides the project's.
+   */
+  static getFit(joint, tolerances) {
+    const { clearance = 0, interference = 0 } = joint.tolerance || tolerances || {};
+    return clearance - interference;
+  }
+
+  /**
+   * Widens the cut segments of a layout by the fit at the expense of the
+   * material left standing. Every boundary inside the edge moves by a quarter
+   * of the fit, so a pair of mating sides ends up with half the fit on each
+   * side of every finger; boundaries at the ends of the edge stay put.
+   * @param {Object} result - Layout result with segments
+   * @param {string} cutType - Segment type that is cut away ('groove', 'pin' or 'tail')
+   * @param {number} fit - Net fit in mm
+   * @param {number} dimension - Edge length
+   * @returns {Object} Result with the fitted segments
+   */
+  static applyFit(result, cutType, fit, dimension) {
+    if (!result.valid || !fit) return result;
+
+    const shift = fit / 4;
+    const segments = result.segments.map(segment => {
+      const sign = segment.type === cutType ? 1 : -1;
+      const start = segment.start > 0.001 ? segment.start - sign * shift : segment.start;
+      const endAt = segment.start + segment.width;
+      const end = endAt < dimension - 0.001 ? endAt + sign * shift : endAt;
+      return { ...segment, start, width: end - start };
+    });
+
+    if (segments.some(segment => segment.width <= 0)) {
+      return { valid: false, error: 'Fit tolerance is wider than the fingers' };
+    }
+    return { ...result, segments };
+  }
+
+  /**
+   * Tenon reduced by the fit in thickness and width. Shoulders and length
+   * are left alone.
+   */
+  static fitTenon(tenon, fit) {
+    if (!tenon || !fit) return tenon;
+    const fitted = tenon.clone();
+    fitted.thickness = tenon.thickness - fit;
+    fitted.width = tenon.width - fit;
+    return fitted;
+  }
+
+  /**
+   * Completes a dovetail layout with the board-dependent parameters and
+   * checks that the tails keep some width at the baseline.
+   */
+  static resolveDovetail(layout, params, role, board, partner, clampedDepth, dimension, fit = 0) {
+    // The baseline is the partner's full thickness; unlike box joint grooves it
+    // is not limited by this board's own thickness
+    const grooveDepth = partner ? partner.dimensions.thickness : clampedDepth;
+    // The tails board cuts the pin sockets and the pins board the tail sockets
+    const result = this.applyFit(layout, role === 'tails' ? 'pin' : 'tail', fit, dimension);
+    if (!result.valid) {
+      return { ...result, type: 'dovetail', grooveDepth, dimension };
+    }
+
+    const dovetail = DovetailGenerator.resolveParams(params, role, board, partner, grooveDepth);
+    const resolved = { ...result, type: 'dovetail', dovetail, grooveDepth, dimension };
+
+    if (dovetail.tailLength <= 0) {
+      return { ...resolved, valid: false, error: 'Lap must be less than the pins board thickness' };
+    }
+
+    const narrowest = Math.min(...result.segments
+      .filter(segment => segment.type === 'tail')
+      .map(segment => segment.width));
+    if (narrowest - 2 * dovetail.tailLength / dovetail.slope <= 0) {
+      return { ...resolved, valid: false, error: 'Tails are too narrow for this slope and baseline' };
+    }
+
+    return resolved;
+  }
+
+  static generateForMode(joint, dimension) {
+    if (joint.type === 'dovetail') {
+      return DovetailGenerator.generateLayout(joint.dovetail, dimension);
+    }
+    if (joint.mode === 'fixed') {
+      return this.generateFixedJoints(joint, dimension);
+    }
+    return this.generateVariableJoints(joint, dimension);
+  }
+
   static distributeEvenly(boardDimension, count, startWithFinger = true) {
     if (count < 1) return [];
 
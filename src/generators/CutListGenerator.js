@@ -0,0 +1,244 @@
+import { FaceCutGenerator } from './FaceCutGenerator.js';
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+import { WoodCatalog } from '../utils/WoodCatalog.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+const MM_PER_INCH = 25.4;
+
+export const DEFAULT_ALLOWANCES = {
+  length: 25,
+  width: 6,
+  thickness: 3
+};
+
+/**
+ * Builds a shop cut list from the boards in a project.
+ * Length is always measured along the grain; rough sizes add the configured
+ * milling allowances, and the saw kerf lost cutting each part from the stock,
+ * to the finished sizes. Identical boards, including their dadoes, grooves
+ * and rabbets, are grouped.
+ */
+export class CutListGenerator {
+  /**
+   * @param {Array} boards - Board objects
+   * @param {Object} allowances - Extra material in mm added to { length, width, thickness }
+   * @param {string} unit - Display unit the sizes and machining notes are written in
+   * @param {Array} customSpecies - The project's custom WoodSpecies, for naming them
+   * @param {number} kerf - Saw kerf in mm, added once to the rough length and width
+   * @returns {Object} { items, totals, unit, kerf } where totals are grouped per species
+   */
+  static generate(boards, allowances = DEFAULT_ALLOWANCES, unit = DEFAULT_UNIT, customSpecies = [], kerf = 0) {
+    const groups = new Map();
+
+    boards.forEach(board => {
+      const finished = this.getFinishedSize(board);
+      const faceCuts = board.faceCuts || [];
+      const machining = faceCuts.map(cut => FaceCutGenerator.describe(board, cut, unit));
+      // Group on metric sizes so rounding to the display unit never merges different parts
+      const key = [
+        board.woodType,
+        finished.length.toFixed(1),
+        finished.width.toFixed(1),
+        finished.thickness.toFixed(1),
+        ...faceCuts.map(cut => FaceCutGenerator.describe(board, cut))
+      ].join('|');
+
+      if (!groups.has(key)) {
+        groups.set(key, { woodType: board.woodType, finished, machining, names: [] });
+      }
+      groups.get(key).names.push(board.displayName || board.id);
+    });
+
+    const items = Array.from(groups.values()).map(group => {
+      const rough = {
+        length: group.finished.length + (allowances.length || 0) + kerf,
+        width: group.finished.width + (allowances.width || 0) + kerf,
+        thickness: group.finished.thickness + (allowances.thickness || 0)
+      };
+      const quantity = group.names.length;
+      return {
+        quantity,
+        names: group.names.sort((a, b) => a.localeCompare(b)),
+        woodType: group.woodType,
+        species: this.formatSpecies(group.woodType, customSpecies),
+        finished: group.finished,
+        machining: group.machining,
+        rough,
+        boardFeet: this.boardFeet(rough) * quantity,
+        volume: this.cubicMetres(rough) * quantity
+      };
+    });
+
+    items.sort((a, b) =>
+      a.species.localeCompare(b.species) ||
+      b.finished.thickness - a.finished.thickness ||
+      b.finished.length - a.finished.length
+    );
+
+    const totals = new Map();
+    items.forEach(item => {
+      const total = totals.get(item.woodType) || { woodType: item.woodType, species: item.species, quantity: 0, boardFeet: 0, volume: 0 };
+      total.quantity += item.quantity;
+      total.boardFeet += item.boardFeet;
+      total.volume += item.volume;
+      totals.set(item.woodType, total);
+    });
+
+    return { items, totals: Array.from(totals.values()), unit, kerf };
+  }
+
+  /**
+   * Finished size with length taken along the grain direction.
+   */
+  static getFinishedSize(board) {
+    const { width, height, thickness } = board.dimensions;
+    if (board.grainDirection === 'height') {
+      return { length: height, width, thickness };
+    }
+    return { length: width, width: height, thickness };
+  }
+
+  static boardFeet({ length, width, thickness }) {
+    return (length / MM_PER_INCH) * (width / MM_PER_INCH) * (thickness / MM_PER_INCH) / 144;
+  }
+
+  static cubicMetres({ length, width, thickness }) {
+    return (length * width * thickness) / 1e9;
+  }
+
+  static formatSize({ length, width, thickness }, unit = DEFAULT_UNIT) {
+    return `${this.formatNumber(length, unit)} × ${this.formatNumber(width, unit)} × ${this.formatNumber(thickness, unit)}`;
+  }
+
+  static formatNumber(value, unit = DEFAULT_UNIT) {
+    if (unit === DEFAULT_UNIT) {
+      return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+    return Units.formatValue(Units.round(value, unit), unit);
+  }
+
+  static formatSpecies(woodType, customSpecies = []) {
+    return WoodCatalog.getName(woodType, customSpecies);
+  }
+
+  static toCSV(cutList) {
+    // Spreadsheets need plain numbers, so fractional inches are written as decimals
+    const unit = Units.fine(cutList.unit);
+    const label = Units.get(unit).label;
+    const size = value => Number(Units.toDisplay(value, unit).toFixed(Units.get(unit).decimals + 1));
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [[
+      'Qty', 'Species', 'Parts',
+      `Finished L (${label})`, `Finished W (${label})`, `Finished T (${label})`,
+      `Rough L (${label})`, `Rough W (${label})`, `Rough T (${label})`,
+      'Board feet', 'Volume (m³)', 'Machining'
+    ]];
+
+    cutList.items.forEach(item => {
+      rows.push([
+        item.quantity,
+        item.species,
+        item.names.join('; '),
+        size(item.finished.length), size(item.finished.width), size(item.finished.thickness),
+        size(item.rough.length), size(item.rough.width), size(item.rough.thickness),
+        item.boardFeet.toFixed(2),
+        item.volume.toFixed(5),
+        item.machining.join('; ')
+      ]);
+    });
+
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  static toMarkdown(cutList) {
+    // Pipes would end the table cell and line breaks the row
+    const escape = text => String(text).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    const label = Units.get(cutList.unit).label;
+    const lines = [
+      '# Cut List',
+      '',
+      `| Qty | Species | Parts | Finished (L × W × T ${label}) | Rough (L × W × T ${label}) | Board feet | Machining |`,
+      '| ---: | --- | --- | --- | --- | ---: | --- |'
+    ];
+
+    cutList.items.forEach(item => {
+      lines.push(`| ${item.quantity} | ${escape(item.species)} | ${escape(item.names.join(', '))} | ` +
+        `${this.formatSize(item.finished, cutList.unit)} | ${this.formatSize(item.rough, cutList.unit)} | ${item.boardFeet.toFixed(2)} | ${escape(item.machining.join('; '))} |`);
+    });
+
+    lines.push('', '## Totals', '', '| Species | Parts | Board feet | Volume (m³) |', '| --- | ---: | ---: | ---: |');
+    cutList.totals.forEach(total => {
+      lines.push(`| ${escape(total.species)} | ${total.quantity} | ${total.boardFeet.toFixed(2)} | ${total.volume.toFixed(5)} |`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Renders the cut list as a standalone, print-friendly HTML document.
+   */
+  static toHTML(cutList, title = 'Cut List') {
+
+    const itemRows = cutList.items.map(item => `
+        <tr>
+          <td class="num">${item.quantity}</td>
+          <td>${escapeHTML(item.species)}</td>
+          <td>${escapeHTML(item.names.join(', '))}</td>
+          <td>${this.formatSize(item.finished, cutList.unit)}</td>
+          <td>${this.formatSize(item.rough, cutList.unit)}</td>
+          <td class="num">${item.boardFeet.toFixed(2)}</td>
+          <td>${escapeHTML(item.machining.join('; '))}</td>
+          <td class="check"></td>
+        </tr>`).join('');
+
+    const totalRows = cutList.totals.map(total => `
+        <tr>
+          <td>${escapeHTML(total.species)}</td>
+          <td class="num">${total.quantity}</td>
+          <td class="num">${total.boardFeet.toFixed(2)}</td>
+          <td class="num">${total.volume.toFixed(5)}</td>
+        </tr>`).join('');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; font-size: 12px; color: #1a1a1a; margin: 24px; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin-top: 24px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+    th { background: #eee; }
+    td.num { text-align: right; }
+    td.check { width: 24px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <div>Sizes in ${Units.get(cutList.unit).label} (length along grain × width × thickness)${cutList.kerf > 0 ? `; rough length and width include a ${Units.format(cutList.kerf, Units.fine(cutList.unit))} kerf` : ''}</div>
+  <table>
+    <thead>
+      <tr><th>Qty</th><th>Species</th><th>Parts</th><th>Finished</th><th>Rough</th><th>Board feet</th><th>Machining</th><th>✓</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+  <h2>Totals</h2>
+  <table>
+    <thead>
+      <tr><th>Species</th><th>Parts</th><th>Board feet</th><th>Volume (m³)</th></tr>
+    </thead>
+    <tbody>${totalRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+  }
+}
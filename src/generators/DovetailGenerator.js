@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+/**
+ * Generates dovetail layouts and the tapered cutter outlines used to cut them.
+ *
+ * Positions along the edge are measured where the tails are widest (the end
+ * of the tails board), so pins are given by their narrow width. A layout is
+ * half-pin, tail, pin, tail, ... tail, half-pin.
+ *
+ * The tails board has its pin sockets cut through its thickness, tapering
+ * outwards from the edge to the baseline. The pins board has its tail sockets
+ * cut into the end grain, tapering across its thickness from the outside face
+ * (widest) to the inside face, which is the face the tails board sits against.
+ */
+export class DovetailGenerator {
+  /**
+   * Lays out pins and tails along one edge.
+   * @param {Object} params - Dovetail parameters (tailCount, halfPinWidth, pinWidth)
+   * @param {number} dimension - Edge length
+   * @returns {Object} Result with valid flag and segments ({ start, width, type: 'pin'|'tail' })
+   */
+  static generateLayout(params, dimension) {
+    const { tailCount, halfPinWidth, pinWidth } = params;
+
+    if (!(tailCount >= 1)) {
+      return { valid: false, error: 'Tail count must be at least 1' };
+    }
+    if (halfPinWidth <= 0 || pinWidth <= 0) {
+      return { valid: false, error: 'Pin widths must be positive' };
+    }
+
+    const tailWidth = (dimension - 2 * halfPinWidth - (tailCount - 1) * pinWidth) / tailCount;
+    if (tailWidth <= 0) {
+      return { valid: false, error: `Pins leave no room for ${tailCount} tail${tailCount === 1 ? '' : 's'}` };
+    }
+
+    const segments = [{ start: 0, width: halfPinWidth, type: 'pin' }];
+    let position = halfPinWidth;
+
+    for (let i = 0; i < tailCount; i++) {
+      segments.push({ start: position, width: tailWidth, type: 'tail' });
+      position += tailWidth;
+      const width = i === tailCount - 1 ? halfPinWidth : pinWidth;
+      segments.push({ start: position, width, type: 'pin' });
+      position += width;
+    }
+
+    return { valid: true, segments, tailWidth };
+  }
+
+  /**
+   * Derives the mating layout from the partner side. Pins and tails keep their
+   * positions (mirrored for reversed edges); only the role changes.
+   * @param {Array} sourceSegments - Layout of the partner side
+   * @param {number} dimension - Length of the receiving side
+   * @param {boolean} reversed - Whether the two edges run in opposite directions
+   * @returns {Object} Result with valid flag and segments
+   */
+  static generateComplementaryLayout(sourceSegments, dimension, reversed = false) {
+    const sourceLength = sourceSegments.reduce((sum, s) => sum + s.width, 0);
+    if (Math.abs(sourceLength - dimension) > 0.001) {
+      return { valid: false, error: `Dovetailed sides must be the same length (${sourceLength} vs ${dimension})` };
+    }
+
+    const segments = sourceSegments
+      .map(segment => ({
+        ...segment,
+        start: reversed ? sourceLength - segment.start - segment.width : segment.start
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return { valid: true, segments };
+  }
+
+  /**
+   * Completes the parameters for one side with values that depend on the
+   * boards: the tail length and which face of the pins board faces out.
+   * @param {Object} params - Dovetail parameters of the source joint
+   * @param {string} role - 'tails' or 'pins' for this side
+   * @param {Object} board - Board owning the side
+   * @param {Object|null} partner - Linked partner board
+   * @param {number} baseline - Depth of the joint from the edge (the partner's thickness)
+   * @returns {Object} Resolved parameters
+   */
+  static resolveParams(params, role, board, partner, baseline) {
+    // Tails are as long as the pins board is thick, less the lap on half-blind joints
+    const pinsThickness = role === 'pins' ? board.dimensions.thickness : baseline;
+    const tailLength = pinsThickness - (params.style === 'half-blind' ? params.lap : 0);
+
+    let outsideFace = params.outsideFace;
+    if (role === 'pins' && outsideFace !== 'front' && outsideFace !== 'back') {
+      outsideFace = partner ? this.inferOutsideFace(board, partner) : 'front';
+    }
+
+    return { ...params, role, tailLength, baseline, outsideFace };
+  }
+
+  /**
+   * The tails board sits against the inside face of the pins board, so the
+   * outside face is whichever face points away from the partner's centre.
+   */
+  static inferOutsideFace(board, partner) {
+    const matrix = new THREE.Matrix4().compose(
+      new THREE.Vector3(board.position.x, board.position.y, board.position.z),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(board.rotation.x, board.rotation.y, board.rotation.z)),
+      new THREE.Vector3(1, 1, 1)
+    );
+    const partnerCentre = new THREE.Vector3(partner.position.x, partner.position.y, partner.position.z)
+      .applyMatrix4(matrix.invert());
+
+    return partnerCentre.z > 0 ? 'back' : 'front';
+  }
+
+  /**
+   * Builds the cutter outlines for a resolved dovetail side.
+   *
+   * Each cutter is a trapezoid given by its [left, right] extents along the
+   * edge at both ends of its tapered axis, plus the straight range it is
+   * extruded over (null for the whole thickness):
+   * - tails: tapered along the depth in from the edge, extruded through the thickness
+   * - pins: tapered across the thickness from the inside face, extruded along the depth
+   *
+   * @param {Object} result - Resolved joint (segments, dimension, dovetail)
+   * @param {number} over - Overshoot past the board faces for clean CSG cuts
+   * @returns {Array} Cutters { near: [l, r], far: [l, r], taper: [a0, a1], extrude: [e0, e1] }
+   */
+  static getCutters(result, over = 1) {
+    const { segments, dimension, dovetail } = result;
+    const { role, slope, tailLength, baseline, style } = dovetail;
+    const spread = tailLength / slope;
+    const cutters = [];
+
+    segments.forEach(segment => {
+      const left = segment.start;
+      const right = segment.start + segment.width;
+      const atStart = left < 0.001;
+      const atEnd = right > dimension - 0.001;
+
+      if (role === 'tails' && segment.type === 'pin') {
+        // Pin socket: narrow at the edge, widening towards the baseline
+        const overSpread = over / slope;
+        cutters.push({
+          near: [atStart ? -over : left + overSpread, atEnd ? dimension + over : right - overSpread],
+          far: [atStart ? -over : left - spread, atEnd ? dimension + over : right + spread],
+          taper: [-over, tailLength],
+          extrude: null
+        });
+      } else if (role === 'pins' && segment.type === 'tail') {
+        // Tail socket: narrow at the inside face, widest at the tail end
+        const innerSpread = (tailLength + over) / slope;
+        const outerSpread = style === 'half-blind' ? 0 : -over / slope;
+        cutters.push({
+          near: [left + innerSpread, right - innerSpread],
+          far: [left + outerSpread, right - outerSpread],
+          taper: [-over, style === 'half-blind' ? tailLength : tailLength + over],
+          extrude: [-over, baseline]
+        });
+      }
+    });
+
+    return cutters;
+  }
+
+  /**
+   * Converts a point given along an edge (u) and in from it (v) to face
+   * coordinates with the origin at the board's bottom-left corner.
+   */
+  static edgeToFace(dimensions, side, u, v) {
+    const { width, height } = dimensions;
+    switch (side) {
+      case 'top':
+        return { x: u, y: height - v };
+      case 'bottom':
+        return { x: u, y: v };
+      case 'left':
+        return { x: v, y: u };
+      case 'right':
+        return { x: width - v, y: u };
+      default:
+        return { x: 0, y: 0 };
+    }
+  }
+
+  /**
+   * Converts a distance measured from the inside face of a pins board to a
+   * local z coordinate.
+   */
+  static faceOffsetToZ(thickness, outsideFace, offset) {
+    return outsideFace === 'back' ? thickness / 2 - offset : -thickness / 2 + offset;
+  }
+}
@@ -0,0 +1,85 @@
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+
+/**
+ * Geometry for dadoes, grooves and rabbets cut into a board face.
+ * Footprints are in face coordinates (origin at the bottom-left corner, seen
+ * from the front); cutters are board-local { min, max } boxes for CSG.
+ */
+export class FaceCutGenerator {
+  /**
+   * Axis of the face the cut runs along: 'x' (board width) or 'y' (board height).
+   */
+  static getRunAxis(board, cut) {
+    if (cut.type === 'rabbet') {
+      return cut.edge === 'left' || cut.edge === 'right' ? 'y' : 'x';
+    }
+    const grainAlongY = board.grainDirection === 'height';
+    // Grooves follow the grain, dadoes cross it
+    return (cut.type === 'groove') === grainAlongY ? 'y' : 'x';
+  }
+
+  /**
+   * @returns {Object} { x, y, width, height } in face coordinates
+   */
+  static getFootprint(board, cut) {
+    const { width: boardWidth, height: boardHeight } = board.dimensions;
+    const axis = this.getRunAxis(board, cut);
+    const runLength = axis === 'x' ? boardWidth : boardHeight;
+    const runStart = cut.stopStart;
+    const runEnd = runLength - cut.stopEnd;
+
+    let across;
+    if (cut.type === 'rabbet') {
+      const acrossLength = axis === 'x' ? boardHeight : boardWidth;
+      across = cut.edge === 'top' || cut.edge === 'right' ? acrossLength - cut.width : 0;
+    } else {
+      across = cut.offset;
+    }
+
+    return axis === 'x'
+      ? { x: runStart, y: across, width: runEnd - runStart, height: cut.width }
+      : { x: across, y: runStart, width: cut.width, height: runEnd - runStart };
+  }
+
+  /**
+   * CSG cutter for a face cut. Sides that reach the board's edges are pushed
+   * past them so the cut runs cleanly out of the board.
+   */
+  static getCutter(board, cut) {
+    const { width, height, thickness } = board.dimensions;
+    const over = 1;
+    const footprint = this.getFootprint(board, cut);
+
+    let x0 = footprint.x;
+    let x1 = footprint.x + footprint.width;
+    let y0 = footprint.y;
+    let y1 = footprint.y + footprint.height;
+    if (x0 <= 0.001) x0 = -over;
+    if (x1 >= width - 0.001) x1 = width + over;
+    if (y0 <= 0.001) y0 = -over;
+    if (y1 >= height - 0.001) y1 = height + over;
+
+    const z = cut.face === 'back'
+      ? [-thickness / 2 - over, -thickness / 2 + cut.depth]
+      : [thickness / 2 - cut.depth, thickness / 2 + over];
+
+    return {
+      min: { x: x0 - width / 2, y: y0 - height / 2, z: z[0] },
+      max: { x: x1 - width / 2, y: y1 - height / 2, z: z[1] }
+    };
+  }
+
+  /**
+   * Short shop description, e.g. "Stopped dado 18 × 6 @ 100 (front)", with
+   * the sizes in the given display unit.
+   */
+  static describe(board, cut, unit = DEFAULT_UNIT) {
+    const length = value => Units.formatValue(value, unit);
+    const stopped = cut.stopStart > 0 || cut.stopEnd > 0 ? 'stopped ' : '';
+    const name = `${stopped}${cut.type}`;
+    const position = cut.type === 'rabbet'
+      ? `${cut.edge} edge`
+      : `@ ${length(cut.offset)} from ${this.getRunAxis(board, cut) === 'x' ? 'bottom' : 'left'}`;
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${length(cut.width)} × ${length(cut.depth)} ${position} (${cut.face})`;
+  }
+}
@@ -0,0 +1,230 @@
+import { BoxJointGenerator } from './BoxJointGenerator.js';
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+// Jigs a fixed box joint can be cut on, with what they call the cutter and its height
+export const JIG_TOOLS = {
+  tablesaw: { name: 'Table-saw box-joint jig', cutter: 'blade', height: 'Blade height' },
+  router: { name: 'Router table fence', cutter: 'bit', height: 'Bit height' }
+};
+
+// A 1/2" dado stack on the table saw
+export const DEFAULT_JIG = {
+  tool: 'tablesaw',
+  cutterWidth: 12.7
+};
+
+// End of each edge the cut positions are measured from, as seen on the front face
+const REFERENCE_ENDS = { top: 'left', bottom: 'left', left: 'bottom', right: 'bottom' };
+
+/**
+ * Cutting sequences for box joints on an indexing jig: a table-saw sled or
+ * router fence with a key the width of a groove, set one finger width from
+ * the cutter. After each groove the board is lifted and the groove just cut
+ * is dropped over the key, so every groove lands one pitch further along.
+ * Grooves wider than the cutter take several passes.
+ *
+ * Only fixed-mode box joints, and complements of them, have the even pitch
+ * a key can index.
+ */
+export class JigSetupGenerator {
+  /**
+   * @param {Object} board - Board owning the joint
+   * @param {string} side - Edge identifier
+   * @param {Map} boards - All boards by id, used to look up linked partners
+   * @param {Object} jig - { tool, cutterWidth } (see DEFAULT_JIG)
+   * @param {Object} tolerances - Project tolerances; the grooves are cut to the fitted size
+   * @returns {Object} { valid, error, side, referenceEnd, depth, keyWidth, spacing, pitch,
+   *   passesPerGroove, startsWithFinger, cuts: [{ from, to, index, passes }] } in mm
+   */
+  static generateSide(board, side, boards, jig = DEFAULT_JIG, tolerances = null) {
+    const joint = board.joints.get(side);
+    if (!joint || !REFERENCE_ENDS[side]) {
+      return { valid: false, side, error: 'No joint on this edge' };
+    }
+
+    const source = joint.mode === 'complement' && joint.link
+      ? boards.get(joint.link.boardId)?.joints.get(joint.link.side)
+      : joint;
+    if (!source || source.type !== 'box' || source.mode !== 'fixed') {
+      return { valid: false, side, error: 'Jig setups need a fixed-mode box joint' };
+    }
+
+    const result = BoxJointGenerator.resolveJoint(board, side, boards, tolerances);
+    if (!result.valid) {
+      return { valid: false, side, error: result.error };
+    }
+
+    const cutter = JIG_TOOLS[jig.tool] || JIG_TOOLS[DEFAULT_JIG.tool];
+    const grooves = result.segments.filter(segment => segment.type === 'groove');
+    if (grooves.length === 0) {
+      return { valid: false, side, error: 'The joint has no grooves to cut' };
+    }
+    if (!(jig.cutterWidth > 0)) {
+      return { valid: false, side, error: `Enter the ${cutter.cutter} width` };
+    }
+
+    // Grooves at the ends of the edge keep their nominal boundary there, so the
+    // key and spacing come from a groove and finger inside the edge
+    const dimension = result.dimension;
+    const inside = segment => segment.start > 0.001 && segment.start + segment.width < dimension - 0.001;
+    const keyGroove = grooves.find(inside) || grooves[0];
+    const keyFinger = result.segments.find(segment => segment.type === 'finger' && inside(segment)) ||
+      result.segments.find(segment => segment.type === 'finger');
+    const keyWidth = keyGroove.width;
+    const spacing = keyFinger ? keyFinger.width : 0;
+    const narrowest = Math.min(...grooves.map(groove => groove.width));
+    if (jig.cutterWidth > narrowest + 0.001) {
+      return { valid: false, side, error: `The ${cutter.cutter} is wider than the narrowest groove` };
+    }
+
+    const cuts = grooves.map((groove, index) => {
+      const passCount = Math.ceil(groove.width / jig.cutterWidth - 0.001);
+      const passes = [];
+      for (let pass = 0; pass < passCount; pass++) {
+        // The last pass lines up with the far side of the groove
+        passes.push(groove.start + Math.min(pass * jig.cutterWidth, groove.width - jig.cutterWidth));
+      }
+      return {
+        from: groove.start,
+        to: groove.start + groove.width,
+        index: index === 0 ? groove.start : groove.start - grooves[index - 1].start,
+        passes
+      };
+    });
+
+    return {
+      valid: true,
+      side,
+      referenceEnd: REFERENCE_ENDS[side],
+      depth: result.grooveDepth,
+      keyWidth,
+      spacing,
+      pitch: keyWidth + spacing,
+      passesPerGroove: Math.max(...cuts.map(cut => cut.passes.length)),
+      startsWithFinger: result.segments[0].type === 'finger',
+      cuts
+    };
+  }
+
+  /**
+   * Setup sheet for every edge of a board.
+   * @returns {Object} { boardId, name, thickness, setups, skipped: [{ side, error }] }
+   */
+  static generateBoard(board, boards, jig = DEFAULT_JIG, tolerances = null) {
+    const setups = [];
+    const skipped = [];
+    board.joints.forEach((joint, side) => {
+      if (!REFERENCE_ENDS[side]) return;
+      const setup = this.generateSide(board, side, boards, jig, tolerances);
+      if (setup.valid) {
+        setups.push(setup);
+      } else {
+        skipped.push({ side, error: setup.error });
+      }
+    });
+    return {
+      boardId: board.id,
+      name: board.displayName || board.id,
+      thickness: board.dimensions.thickness,
+      setups,
+      skipped
+    };
+  }
+
+  /**
+   * Step-by-step instructions for one edge, written in the display unit.
+   * @returns {Array<string>} Steps
+   */
+  static describeSteps(setup, jig = DEFAULT_JIG, unit = DEFAULT_UNIT) {
+    const cutter = JIG_TOOLS[jig.tool] || JIG_TOOLS[DEFAULT_JIG.tool];
+    const format = mm => Units.format(mm, unit);
+    const end = `${setup.referenceEnd} end`;
+    const steps = [
+      `Fit a ${format(jig.cutterWidth)} ${cutter.cutter} and set the ${cutter.height.toLowerCase()} to ${format(setup.depth)}.`,
+      `Make the key ${format(setup.keyWidth)} wide and set it ${format(setup.spacing)} from the ${cutter.cutter}.`
+    ];
+
+    if (setup.startsWithFinger) {
+      steps.push(`Stand the board on its ${setup.side} edge with the ${end} against the key and make the first cut.`);
+    } else {
+      steps.push(`This edge starts with a groove: line the ${end} up with the far side of the ${cutter.cutter} ` +
+        '(or hang the first groove of the mating board over the key as a spacer) and make the first cut.');
+    }
+    if (setup.passesPerGroove > 1) {
+      steps.push(`The grooves are wider than the ${cutter.cutter}: take up to ${setup.passesPerGroove} passes per groove, ` +
+        `moving the board ${format(jig.cutterWidth)} at most between passes, so the last pass reaches the far side of the groove.`);
+    }
+    steps.push(`Drop each groove over the key to index ${format(setup.pitch)} along for the next one; ` +
+      `${setup.cuts.length} groove${setup.cuts.length === 1 ? '' : 's'} in all.`);
+    return steps;
+  }
+
+  /**
+   * Renders setup sheets as a standalone, print-friendly HTML document with
+   * one page per board.
+   * @param {Array} sheets - Results of generateBoard
+   */
+  static toHTML(sheets, jig = DEFAULT_JIG, unit = DEFAULT_UNIT, title = 'Jig Setup') {
+    const format = mm => Units.format(mm, unit);
+    const tool = JIG_TOOLS[jig.tool] || JIG_TOOLS[DEFAULT_JIG.tool];
+
+    const pages = sheets.map(sheet => {
+      const sides = sheet.setups.map(setup => `
+    <h2>${escapeHTML(setup.side)} edge</h2>
+    <ol>${this.describeSteps(setup, jig, unit).map(step => `
+      <li>${escapeHTML(step)}</li>`).join('')}
+    </ol>
+    <table>
+      <thead>
+        <tr><th>Groove</th><th>From ${setup.referenceEnd} end</th><th>To</th><th>Index</th><th>Passes (${tool.cutter} starts at)</th><th>✓</th></tr>
+      </thead>
+      <tbody>${setup.cuts.map((cut, index) => `
+        <tr>
+          <td class="num">${index + 1}</td>
+          <td class="num">${format(cut.from)}</td>
+          <td class="num">${format(cut.to)}</td>
+          <td class="num">${format(cut.index)}</td>
+          <td>${cut.passes.map(format).join(', ')}</td>
+          <td class="check"></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('');
+      const skipped = sheet.skipped.map(entry => `
+    <div class="note">${escapeHTML(entry.side)} edge: ${escapeHTML(entry.error)}</div>`).join('');
+
+      return `
+  <section class="sheet">
+    <h1>${escapeHTML(sheet.name)}</h1>
+    <div>${escapeHTML(tool.name)}, ${format(jig.cutterWidth)} ${tool.cutter}; board ${format(sheet.thickness)} thick</div>${sides || `
+    <div class="note">No fixed box joints on this board</div>`}${skipped}
+  </section>`;
+    }).join('');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; font-size: 12px; color: #1a1a1a; margin: 24px; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    h2 { font-size: 14px; margin-top: 24px; text-transform: capitalize; }
+    ol { padding-left: 20px; }
+    li { margin-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+    th { background: #eee; }
+    td.num { text-align: right; }
+    td.check { width: 24px; }
+    .note { margin-top: 8px; color: #666; }
+    .sheet + .sheet { page-break-before: always; margin-top: 32px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>${pages}
+</body>
+</html>
+`;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Generates the waste volumes for tenons and mortises as axis-aligned boxes
+ * in board-local coordinates ({ min, max } with x along the width, y along
+ * the height and z through the thickness).
+ */
+export class MortiseTenonGenerator {
+  /**
+   * Along-edge extent of the tenon and its haunch.
+   * @returns {Object} { tenon: [u0, u1], haunch: [u0, u1] | null }
+   */
+  static getTenonSpan(tenon, dimension) {
+    const start = dimension / 2 + tenon.offset - tenon.width / 2;
+    const span = { tenon: [start, start + tenon.width], haunch: null };
+
+    if (tenon.haunchWidth > 0) {
+      span.haunch = tenon.haunchSide === 'end'
+        ? [start + tenon.width, start + tenon.width + tenon.haunchWidth]
+        : [start - tenon.haunchWidth, start];
+    }
+
+    return span;
+  }
+
+  /**
+   * Cheek range of the tenon across the board thickness.
+   * @returns {Array} [z0, z1]
+   */
+  static getTenonCheeks(tenon, boardThickness) {
+    switch (tenon.shoulders) {
+      case 'front':
+        // Front cheek cut back, tenon flush with the back face
+        return [-boardThickness / 2, -boardThickness / 2 + tenon.thickness];
+      case 'back':
+        return [boardThickness / 2 - tenon.thickness, boardThickness / 2];
+      default:
+        return [-tenon.thickness / 2, tenon.thickness / 2];
+    }
+  }
+
+  /**
+   * Waste boxes that leave a tenon (and haunch) standing on an edge.
+   * @param {Object} board - Board owning the edge
+   * @param {string} side - Edge identifier (top/bottom/left/right)
+   * @param {TenonConfig} tenon - Tenon parameters
+   * @param {number} dimension - Edge length
+   * @returns {Array} Boxes { min, max }
+   */
+  static getTenonCutters(board, side, tenon, dimension) {
+    const { thickness } = board.dimensions;
+    const over = 1;
+    const length = tenon.length;
+    const [z0, z1] = this.getTenonCheeks(tenon, thickness);
+    const span = this.getTenonSpan(tenon, dimension);
+    const solidStart = span.haunch ? Math.min(span.tenon[0], span.haunch[0]) : span.tenon[0];
+    const solidEnd = span.haunch ? Math.max(span.tenon[1], span.haunch[1]) : span.tenon[1];
+
+    const boxes = [];
+    const add = (u0, u1, v0, v1, zMin, zMax) => {
+      if (u1 - u0 > 0.001 && v1 - v0 > 0.001 && zMax - zMin > 0.001) {
+        boxes.push(this.edgeBox(board.dimensions, side, u0, u1, v0, v1, zMin, zMax));
+      }
+    };
+
+    // Cheeks
+    add(-over, dimension + over, -over, length, -thickness / 2 - over, z0);
+    add(-over, dimension + over, -over, length, z1, thickness / 2 + over);
+    // Edge shoulders beside the tenon and haunch
+    add(-over, solidStart, -over, length, z0, z1);
+    add(solidEnd, dimension + over, -over, length, z0, z1);
+    // The haunch only stands haunchLength proud of the shoulder line
+    if (span.haunch) {
+      add(span.haunch[0], span.haunch[1], -over, length - tenon.haunchLength, z0, z1);
+    }
+
+    return boxes;
+  }
+
+  /**
+   * Pocket box for a mortise. Through mortises overshoot both faces.
+   * @param {Object} board - Board owning the face
+   * @param {MortiseConfig} mortise - Mortise parameters
+   * @returns {Object} Box { min, max }
+   */
+  static getMortiseCutter(board, mortise) {
+    const { width, height, thickness } = board.dimensions;
+    const over = 1;
+    const footprint = this.getMortiseFootprint(mortise);
+    const through = mortise.depth >= thickness;
+
+    let zMin, zMax;
+    if (mortise.face === 'back') {
+      zMin = -thickness / 2 - over;
+      zMax = through ? thickness / 2 + over : -thickness / 2 + mortise.depth;
+    } else {
+      zMin = through ? -thickness / 2 - over : thickness / 2 - mortise.depth;
+      zMax = thickness / 2 + over;
+    }
+
+    return {
+      min: { x: footprint.x - width / 2, y: footprint.y - height / 2, z: zMin },
+      max: { x: footprint.x + footprint.width - width / 2, y: footprint.y + footprint.height - height / 2, z: zMax }
+    };
+  }
+
+  /**
+   * Footprint of a mortise in face coordinates.
+   * @returns {Object} { x, y, width, height }
+   */
+  static getMortiseFootprint(mortise) {
+    const horizontal = mortise.orientation !== 'vertical';
+    const sizeX = horizontal ? mortise.length : mortise.width;
+    const sizeY = horizontal ? mortise.width : mortise.length;
+    return { x: mortise.x - sizeX / 2, y: mortise.y - sizeY / 2, width: sizeX, height: sizeY };
+  }
+
+  /**
+   * Converts a box given along an edge (u), in from it (v) and across the
+   * thickness (z) to a board-local box.
+   */
+  static edgeBox(dimensions, side, u0, u1, v0, v1, z0, z1) {
+    const { width, height } = dimensions;
+
+    switch (side) {
+      case 'top':
+        return { min: { x: -width / 2 + u0, y: height / 2 - v1, z: z0 }, max: { x: -width / 2 + u1, y: height / 2 - v0, z: z1 } };
+      case 'bottom':
+        return { min: { x: -width / 2 + u0, y: -height / 2 + v0, z: z0 }, max: { x: -width / 2 + u1, y: -height / 2 + v1, z: z1 } };
+      case 'left':
+        return { min: { x: -width / 2 + v0, y: -height / 2 + u0, z: z0 }, max: { x: -width / 2 + v1, y: -height / 2 + u1, z: z1 } };
+      case 'right':
+        return { min: { x: width / 2 - v1, y: -height / 2 + u0, z: z0 }, max: { x: width / 2 - v0, y: -height / 2 + u1, z: z1 } };
+      default:
+        return { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+    }
+  }
+}
@@ -0,0 +1,546 @@
+import * as THREE from 'three';
+import { CSG } from 'three-csg-ts';
+import { BoxJointGenerator } from './BoxJointGenerator.js';
+import { DovetailGenerator } from './DovetailGenerator.js';
+import { MortiseTenonGenerator } from './MortiseTenonGenerator.js';
+import { FaceCutGenerator } from './FaceCutGenerator.js';
+
+const EPSILON = 1e-4;
+const LAYERS = {
+  outline: { name: 'OUTLINE', color: 7, stroke: '#000000' },
+  partial: { name: 'PARTIAL', color: 5, stroke: '#1e88e5' },
+  labels: { name: 'LABELS', color: 3, stroke: '#43a047' }
+};
+
+/**
+ * Flattens boards to 2D cutting templates seen from the front face, at 1:1
+ * millimetre scale with the origin at the board's bottom-left corner.
+ *
+ * Cuts that go through the whole thickness are removed from the outline;
+ * shallower cuts are drawn as separate closed shapes on the partial layer.
+ * The 2D boolean work reuses the CSG library: shapes are extruded into thin
+ * prisms, subtracted, and the top face of the result is traced back to loops.
+ */
+export class TemplateGenerator {
+  /**
+   * Builds the template for one board.
+   * @param {Object} board - Board to flatten
+   * @param {Map} boards - All boards by id (linked joints need their partners)
+   * @param {Object} options - { dogbones, toolRadius, tolerances, kerf }: joints are
+   *   drawn with the tolerances' fit, and a kerf moves the outline out into the waste
+   * @returns {Object} { name, width, height, outline: [loops], partial: [loops] }
+   */
+  static generateBoardTemplate(board, boards, options = {}) {
+    const { width, height } = board.dimensions;
+    const cuts = this.getCuts(board, boards, options.tolerances);
+
+    let outline = this.subtractShapes(this.rectangle(0, 0, width, height), cuts.through);
+    if (options.kerf > 0) {
+      outline = outline.map(loop => this.offsetLoop(loop, options.kerf / 2));
+    }
+    if (options.dogbones && options.toolRadius > 0) {
+      outline = outline.map(loop => this.addDogbones(loop, options.toolRadius));
+    }
+
+    return {
+      name: board.displayName || board.id,
+      width,
+      height,
+      outline,
+      partial: cuts.partial
+    };
+  }
+
+  /**
+   * Collects the 2D footprint of every cut on a board.
+   * @returns {Object} { through: [polygons], partial: [polygons] } in face coordinates
+   */
+  static getCuts(board, boards, tolerances = null) {
+    const through = [];
+    const partial = [];
+
+    board.joints.forEach((joint, side) => {
+      const result = BoxJointGenerator.resolveJoint(board, side, boards, tolerances);
+      if (!result.valid) return;
+
+      if (result.type === 'dovetail') {
+        this.addDovetailCuts(board, side, result, through, partial);
+        return;
+      }
+
+      if (result.type === 'tenon') {
+        this.addTenonCuts(board, side, result, through, partial);
+        return;
+      }
+
+      result.segments.forEach(segment => {
+        if (segment.type === 'groove') {
+          through.push(this.edgeNotch(board, side, segment.start, segment.width, result.grooveDepth));
+        }
+      });
+    });
+
+    (board.mortises || []).forEach(mortise => {
+      const footprint = MortiseTenonGenerator.getMortiseFootprint(mortise);
+      const rectangle = this.rectangle(footprint.x, footprint.y, footprint.width, footprint.height);
+      (mortise.depth >= board.dimensions.thickness ? through : partial).push(rectangle);
+    });
+
+    (board.faceCuts || []).forEach(cut => {
+      const footprint = FaceCutGenerator.getFootprint(board, cut);
+      partial.push(this.rectangle(footprint.x, footprint.y, footprint.width, footprint.height));
+    });
+
+    return { through, partial };
+  }
+
+  /**
+   * Adds the footprint of a tenon. Beside the tenon the waste goes right
+   * through; over the tenon itself only the cheeks are cut, which is marked
+   * on the partial layer.
+   */
+  static addTenonCuts(board, side, result, through, partial) {
+    const { tenon, dimension } = result;
+    const span = MortiseTenonGenerator.getTenonSpan(tenon, dimension);
+    const solidStart = span.haunch ? Math.min(span.tenon[0], span.haunch[0]) : span.tenon[0];
+    const solidEnd = span.haunch ? Math.max(span.tenon[1], span.haunch[1]) : span.tenon[1];
+
+    if (solidStart > 0) {
+      through.push(this.edgeNotch(board, side, 0, solidStart, tenon.length));
+    }
+    if (solidEnd < dimension) {
+      through.push(this.edgeNotch(board, side, solidEnd, dimension - solidEnd, tenon.length));
+    }
+    if (span.haunch && tenon.length > tenon.haunchLength) {
+      through.push(this.edgeNotch(board, side, span.haunch[0], span.haunch[1] - span.haunch[0], tenon.length - tenon.haunchLength));
+    }
+    if (tenon.thickness < board.dimensions.thickness) {
+      partial.push(this.edgeNotch(board, side, solidStart, solidEnd - solidStart, tenon.length));
+    }
+  }
+
+  /**
+   * Adds the footprint of a dovetail side. Pin sockets on a tails board go
+   * through and keep their taper. Tail sockets on a pins board taper across
+   * the thickness, so the template cuts through only at their narrowest
+   * (inside face) width and marks the full socket on the partial layer for
+   * paring to the line.
+   */
+  static addDovetailCuts(board, side, result, through, partial) {
+    const { role, tailLength, slope, style, baseline } = result.dovetail;
+
+    if (role === 'tails') {
+      DovetailGenerator.getCutters(result).forEach(cutter => {
+        through.push([
+          [cutter.near[0], cutter.taper[0]],
+          [cutter.near[1], cutter.taper[0]],
+          [cutter.far[1], cutter.taper[1]],
+          [cutter.far[0], cutter.taper[1]]
+        ].map(([u, v]) => DovetailGenerator.edgeToFace(board.dimensions, side, u, v)));
+      });
+      return;
+    }
+
+    const spread = tailLength / slope;
+    result.segments.forEach(segment => {
+      if (segment.type !== 'tail') return;
+
+      if (style !== 'half-blind') {
+        through.push(this.edgeNotch(board, side, segment.start + spread, segment.width - 2 * spread, baseline));
+      }
+      partial.push(this.edgeNotch(board, side, segment.start, segment.width, baseline));
+    });
+  }
+
+  /**
+   * Rectangle notch cut into a board edge, extended slightly past the edge
+   * so the subtraction never leaves a sliver.
+   */
+  static edgeNotch(board, side, start, width, depth) {
+    const { width: boardWidth, height: boardHeight } = board.dimensions;
+    const over = 1;
+
+    switch (side) {
+      case 'top':
+        return this.rectangle(start, boardHeight - depth, width, depth + over);
+      case 'bottom':
+        return this.rectangle(start, -over, width, depth + over);
+      case 'left':
+        return this.rectangle(-over, start, depth + over, width);
+      case 'right':
+        return this.rectangle(boardWidth - depth, start, depth + over, width);
+      default:
+        return [];
+    }
+  }
+
+  static rectangle(x, y, width, height) {
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    ];
+  }
+
+  /**
+   * Subtracts polygons from a base polygon.
+   * @returns {Array} Closed loops with material on the left (outer loops CCW, holes CW)
+   */
+  static subtractShapes(base, shapes) {
+    let result = CSG.fromMesh(this.prism(base, 0, 1));
+    shapes.forEach(shape => {
+      if (shape.length >= 3) {
+        result = result.subtract(CSG.fromMesh(this.prism(shape, -1, 3)));
+      }
+    });
+
+    const topPolygons = result.polygons.filter(polygon =>
+      polygon.plane.normal.z > 1 - EPSILON &&
+      polygon.vertices.every(vertex => Math.abs(vertex.pos.z - 1) < EPSILON)
+    );
+
+    return this.traceBoundary(topPolygons);
+  }
+
+  static prism(points, z, depth) {
+    const shape = new THREE.Shape(points.map(p => new THREE.Vector2(p.x, p.y)));
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false });
+    const mesh = new THREE.Mesh(geometry);
+    mesh.position.z = z;
+    mesh.updateMatrix();
+    return mesh;
+  }
+
+  /**
+   * Turns a set of coplanar convex polygons tiling a region into its boundary loops.
+   * Edges shared by two polygons cancel out; the CSG output can contain
+   * T-junctions, so shared edges are cancelled by overlapping intervals
+   * rather than by exact endpoint matches.
+   */
+  static traceBoundary(polygons) {
+    const edges = [];
+    polygons.forEach(polygon => {
+      const vertices = polygon.vertices;
+      for (let i = 0; i < vertices.length; i++) {
+        const a = vertices[i].pos;
+        const b = vertices[(i + 1) % vertices.length].pos;
+        if (Math.hypot(b.x - a.x, b.y - a.y) > EPSILON) {
+          edges.push({ a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y } });
+        }
+      }
+    });
+
+    const segments = [];
+    edges.forEach(edge => {
+      const dx = edge.b.x - edge.a.x;
+      const dy = edge.b.y - edge.a.y;
+      const length = Math.hypot(dx, dy);
+      const ux = dx / length;
+      const uy = dy / length;
+
+      // Intervals (in distance along this edge) covered by opposite edges
+      const covered = [];
+      edges.forEach(other => {
+        const ox = other.b.x - other.a.x;
+        const oy = other.b.y - other.a.y;
+        const otherLength = Math.hypot(ox, oy);
+        if ((ox * ux + oy * uy) / otherLength > -1 + EPSILON) return;
+
+        const offsetA = (other.a.x - edge.a.x) * uy - (other.a.y - edge.a.y) * ux;
+        const offsetB = (other.b.x - edge.a.x) * uy - (other.b.y - edge.a.y) * ux;
+        if (Math.abs(offsetA) > EPSILON || Math.abs(offsetB) > EPSILON) return;
+
+        const t1 = (other.a.x - edge.a.x) * ux + (other.a.y - edge.a.y) * uy;
+        const t2 = (other.b.x - edge.a.x) * ux + (other.b.y - edge.a.y) * uy;
+        const start = Math.max(0, Math.min(t1, t2));
+        const end = Math.min(length, Math.max(t1, t2));
+        if (end - start > EPSILON) {
+          covered.push([start, end]);
+        }
+      });
+
+      covered.sort((p, q) => p[0] - q[0]);
+      let cursor = 0;
+      const pointAt = t => ({ x: edge.a.x + ux * t, y: edge.a.y + uy * t });
+      covered.forEach(([start, end]) => {
+        if (start - cursor > EPSILON) {
+          segments.push({ a: pointAt(cursor), b: pointAt(start) });
+        }
+        cursor = Math.max(cursor, end);
+      });
+      if (length - cursor > EPSILON) {
+        segments.push({ a: pointAt(cursor), b: pointAt(length) });
+      }
+    });
+
+    return this.chainSegments(segments);
+  }
+
+  static chainSegments(segments) {
+    const key = p => `${Math.round(p.x * 1000)},${Math.round(p.y * 1000)}`;
+    const byStart = new Map();
+    segments.forEach(segment => {
+      const k = key(segment.a);
+      if (!byStart.has(k)) byStart.set(k, []);
+      byStart.get(k).push(segment);
+    });
+
+    const used = new Set();
+    const loops = [];
+
+    segments.forEach(first => {
+      if (used.has(first)) return;
+
+      const loop = [];
+      let current = first;
+      while (current && !used.has(current)) {
+        used.add(current);
+        loop.push(current.a);
+        const end = current.b;
+        const candidates = byStart.get(key(end)) || [];
+        // Fall back to a distance match when rounding puts the two ends in different keys
+        current = candidates.find(candidate => !used.has(candidate)) ||
+          segments.find(candidate => !used.has(candidate) && Math.hypot(candidate.a.x - end.x, candidate.a.y - end.y) < 1e-3);
+      }
+
+      const simplified = this.simplifyLoop(loop);
+      if (simplified.length >= 3) {
+        loops.push(simplified);
+      }
+    });
+
+    return loops;
+  }
+
+  /**
+   * Drops duplicate and collinear points from a closed loop.
+   */
+  static simplifyLoop(points) {
+    let result = points.filter((p, i) => {
+      const next = points[(i + 1) % points.length];
+      return Math.hypot(next.x - p.x, next.y - p.y) > EPSILON;
+    });
+
+    let changed = true;
+    while (changed && result.length > 3) {
+      changed = false;
+      for (let i = 0; i < result.length; i++) {
+        const prev = result[(i - 1 + result.length) % result.length];
+        const p = result[i];
+        const next = result[(i + 1) % result.length];
+        const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+        if (Math.abs(cross) < EPSILON) {
+          result.splice(i, 1);
+          changed = true;
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Adds dogbone relief at every inside corner of a loop so a round cutter of
+   * the given radius can reach the corner. Loops keep material on the left,
+   * so an inside corner is a right turn.
+   */
+  static addDogbones(loop, radius) {
+    const result = [];
+
+    loop.forEach((corner, i) => {
+      const prev = loop[(i - 1 + loop.length) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      const d1 = this.normalize({ x: corner.x - prev.x, y: corner.y - prev.y });
+      const d2 = this.normalize({ x: next.x - corner.x, y: next.y - corner.y });
+      const cross = d1.x * d2.y - d1.y * d2.x;
+
+      if (cross > -EPSILON) {
+        result.push(corner);
+        return;
+      }
+
+      // Relief circle passes through the corner, centred on the bisector in the waste
+      const bisector = this.normalize({ x: d2.x - d1.x, y: d2.y - d1.y });
+      const center = { x: corner.x + bisector.x * radius, y: corner.y + bisector.y * radius };
+      const t1 = 2 * radius * (d1.x * bisector.x + d1.y * bisector.y);
+      const t2 = 2 * radius * (d2.x * bisector.x + d2.y * bisector.y);
+      const start = { x: corner.x + d1.x * t1, y: corner.y + d1.y * t1 };
+      const end = { x: corner.x + d2.x * t2, y: corner.y + d2.y * t2 };
+
+      // Sweep from start to end through the corner point (the arc that bites into the material)
+      const angleStart = Math.atan2(start.y - center.y, start.x - center.x);
+      const angleCorner = Math.atan2(corner.y - center.y, corner.x - center.x);
+      const angleEnd = Math.atan2(end.y - center.y, end.x - center.x);
+      const ccw = (from, to) => ((to - from) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+      let sweep = ccw(angleStart, angleEnd);
+      if (ccw(angleStart, angleCorner) > sweep) {
+        sweep -= 2 * Math.PI;
+      }
+
+      const steps = Math.max(4, Math.ceil(Math.abs(sweep) / (Math.PI / 12)));
+      for (let s = 0; s <= steps; s++) {
+        const angle = angleStart + (sweep * s) / steps;
+        result.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Moves every edge of a loop outward, away from the material on its left,
+   * by the given distance. Adjacent edges are extended to meet at sharp
+   * corners, so the loop keeps its vertex count.
+   */
+  static offsetLoop(loop, distance) {
+    return loop.map((corner, i) => {
+      const prev = loop[(i - 1 + loop.length) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      const d1 = this.normalize({ x: corner.x - prev.x, y: corner.y - prev.y });
+      const d2 = this.normalize({ x: next.x - corner.x, y: next.y - corner.y });
+      // Right-hand normals point into the waste
+      const n1 = { x: d1.y, y: -d1.x };
+      const n2 = { x: d2.y, y: -d2.x };
+      const scale = distance / (1 + n1.x * n2.x + n1.y * n2.y);
+      return { x: corner.x + (n1.x + n2.x) * scale, y: corner.y + (n1.y + n2.y) * scale };
+    });
+  }
+
+  static normalize(v) {
+    const length = Math.hypot(v.x, v.y) || 1;
+    return { x: v.x / length, y: v.y / length };
+  }
+
+  /**
+   * Lays out several templates left to right on one sheet.
+   * @returns {Object} { width, height, templates: [{ template, offsetX }] }
+   */
+  static layoutSheet(templates, spacing = 10) {
+    let offsetX = 0;
+    const placed = templates.map(template => {
+      const entry = { template, offsetX };
+      offsetX += template.width + spacing;
+      return entry;
+    });
+    return {
+      width: Math.max(0, offsetX - spacing),
+      height: templates.reduce((max, t) => Math.max(max, t.height), 0),
+      templates: placed
+    };
+  }
+
+  static toSVG(templates, spacing = 10) {
+    const sheet = this.layoutSheet(templates, spacing);
+    const margin = 5;
+    const width = sheet.width + margin * 2;
+    const height = sheet.height + margin * 2;
+    const flipY = y => (height - margin - y).toFixed(3);
+    const pathFor = (loop, offsetX) =>
+      loop.map((p, i) => `${i === 0 ? 'M' : 'L'}${(p.x + offsetX + margin).toFixed(3)} ${flipY(p.y)}`).join(' ') + ' Z';
+
+    const group = (layer, content) =>
+      `  <g id="${layer.name.toLowerCase()}" inkscape:groupmode="layer" inkscape:label="${layer.name}" ` +
+      `fill="none" stroke="${layer.stroke}" stroke-width="0.1">\n${content}  </g>\n`;
+
+    const outline = sheet.templates.map(({ template, offsetX }) =>
+      template.outline.map(loop => `    <path d="${pathFor(loop, offsetX)}"/>\n`).join('')
+    ).join('');
+    const partial = sheet.templates.map(({ template, offsetX }) =>
+      template.partial.map(loop => `    <path d="${pathFor(loop, offsetX)}"/>\n`).join('')
+    ).join('');
+    const labels = sheet.templates.map(({ template, offsetX }) =>
+      `    <text x="${(offsetX + margin + template.width / 2).toFixed(3)}" y="${flipY(template.height / 2)}" ` +
+      `font-size="4" text-anchor="middle" fill="${LAYERS.labels.stroke}" stroke="none">${this.escapeXML(template.name)}</text>\n`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width.toFixed(3)}mm" height="${height.toFixed(3)}mm" viewBox="0 0 ${width.toFixed(3)} ${height.toFixed(3)}">
+${group(LAYERS.outline, outline)}${group(LAYERS.partial, partial)}${group(LAYERS.labels, labels)}</svg>
+`;
+  }
+
+  /**
+   * Writes an AutoCAD R12 ASCII DXF with closed polylines. R12 has no header
+   * variable for drawing units, so coordinates are always millimetres, the
+   * unit CAM and laser software assume for a unitless drawing.
+   */
+  static toDXF(templates, spacing = 10) {
+    const sheet = this.layoutSheet(templates, spacing);
+    const lines = [];
+    const push = (code, value) => lines.push(String(code), String(value));
+    const coord = mm => mm.toFixed(4);
+
+    push(0, 'SECTION');
+    push(2, 'HEADER');
+    push(9, '$ACADVER');
+    push(1, 'AC1009');
+    push(0, 'ENDSEC');
+
+    push(0, 'SECTION');
+    push(2, 'TABLES');
+    push(0, 'TABLE');
+    push(2, 'LAYER');
+    push(70, Object.keys(LAYERS).length);
+    Object.values(LAYERS).forEach(layer => {
+      push(0, 'LAYER');
+      push(2, layer.name);
+      push(70, 0);
+      push(62, layer.color);
+      push(6, 'CONTINUOUS');
+    });
+    push(0, 'ENDTAB');
+    push(0, 'ENDSEC');
+
+    push(0, 'SECTION');
+    push(2, 'ENTITIES');
+
+    const polyline = (loop, offsetX, layer) => {
+      push(0, 'POLYLINE');
+      push(8, layer.name);
+      push(66, 1);
+      // R12 requires a dummy point on the polyline itself
+      push(10, coord(0));
+      push(20, coord(0));
+      push(30, coord(0));
+      push(70, 1);
+      loop.forEach(p => {
+        push(0, 'VERTEX');
+        push(8, layer.name);
+        push(10, coord(p.x + offsetX));
+        push(20, coord(p.y));
+        push(30, coord(0));
+      });
+      push(0, 'SEQEND');
+      push(8, layer.name);
+    };
+
+    sheet.templates.forEach(({ template, offsetX }) => {
+      template.outline.forEach(loop => polyline(loop, offsetX, LAYERS.outline));
+      template.partial.forEach(loop => polyline(loop, offsetX, LAYERS.partial));
+
+      push(0, 'TEXT');
+      push(8, LAYERS.labels.name);
+      push(10, coord(offsetX + template.width / 2));
+      push(20, coord(template.height / 2));
+      push(40, coord(4));
+      push(1, template.name);
+      push(72, 1);
+      push(11, coord(offsetX + template.width / 2));
+      push(21, coord(template.height / 2));
+    });
+
+    push(0, 'ENDSEC');
+    push(0, 'EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  static escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
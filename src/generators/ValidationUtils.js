@@ -1,10 +1,16 @@
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+
+// Narrowest pin (at its narrow end) that can be sawn and pared without breaking
+export const MIN_PIN_WIDTH = 3;
+
 export class ValidationUtils {
   /**
    * Calculates the optimal finger width that fills the entire board dimension.
    * Both fingers and grooves use this same width.
    * @param {number} fingerCount - Number of fingers
    * @param {number} boardDimension - Board dimension to fill
-   * @returns {number} Optimal width for fingers and grooves
+   * @returns {number} Optimal width for fingers and grooves in mm, unrounded so
+   *   it is the same whatever unit the project is displayed in
    */
   static calculateOptimalFingerWidth(fingerCount, boardDimension) {
     if (fingerCount < 1 || boardDimension <= 0) {
@@ -12,12 +18,10 @@ export class ValidationUtils {
     }
     // Total segments = fingerCount + (fingerCount - 1) = fingerCount * 2 - 1
     const totalSegments = fingerCount * 2 - 1;
-    const calculatedWidth = boardDimension / totalSegments;
-    // Round to nearest 0.5mm step to match input field step value
-    return Math.round(calculatedWidth * 2) / 2;
+    return boardDimension / totalSegments;
   }
 
-  static validateFixedJoint(config, boardDimension) {
+  static validateFixedJoint(config, boardDimension, unit = DEFAULT_UNIT) {
     const { fingerWidth, fingerCount, centerKeyed } = config;
 
     if (fingerWidth <= 0) {
@@ -37,9 +41,12 @@ export class ValidationUtils {
     const widthDifference = Math.abs(fingerWidth - optimalWidth);
     
     if (widthDifference > tolerance) {
+      // One decimal finer than usual, and never fractions, so the two widths read differently
+      const fine = Units.fine(unit);
+      const format = mm => Units.format(mm, fine, Units.get(fine).decimals + 1);
       return { 
         valid: false, 
-        error: `Finger width (${fingerWidth.toFixed(2)}) doesn't match board dimension. Optimal width: ${optimalWidth.toFixed(2)}`,
+        error: `Finger width (${format(fingerWidth)}) doesn't match board dimension. Optimal width: ${format(optimalWidth)}`,
         suggestedWidth: optimalWidth
       };
     }
@@ -47,7 +54,7 @@ export class ValidationUtils {
     return { valid: true };
   }
 
-  static validateVariableJoint(geometry, boardDimension) {
+  static validateVariableJoint(geometry, boardDimension, unit = DEFAULT_UNIT) {
     if (!Array.isArray(geometry) || geometry.length === 0) {
       return { valid: false, error: 'Geometry array cannot be empty' };
     }
@@ -59,18 +66,120 @@ export class ValidationUtils {
     const totalWidth = geometry.reduce((sum, w) => sum + w, 0);
 
     if (Math.abs(totalWidth - boardDimension) > 0.001) {
-      return { valid: false, error: `Sum (${totalWidth.toFixed(2)}) must equal dimension (${boardDimension})` };
+      return { valid: false, error: `Sum (${Units.format(totalWidth, unit)}) must equal dimension (${Units.format(boardDimension, unit)})` };
+    }
+
+    return { valid: true };
+  }
+
+  static validateDovetailJoint(params, boardDimension, unit = DEFAULT_UNIT) {
+    const { tailCount, slope, halfPinWidth, pinWidth, style, lap } = params;
+
+    if (!Number.isInteger(tailCount) || tailCount < 1) {
+      return { valid: false, error: 'Tail count must be a whole number of at least 1' };
+    }
+
+    if (!(slope > 0)) {
+      return { valid: false, error: 'Slope ratio must be positive' };
+    }
+
+    if (halfPinWidth < MIN_PIN_WIDTH || (tailCount > 1 && pinWidth < MIN_PIN_WIDTH)) {
+      return { valid: false, error: `Pins must be at least ${Units.format(MIN_PIN_WIDTH, unit)} wide at their narrow end` };
+    }
+
+    if (style === 'half-blind' && !(lap > 0)) {
+      return { valid: false, error: 'Half-blind dovetails need a positive lap' };
+    }
+
+    const pinsTotal = 2 * halfPinWidth + (tailCount - 1) * pinWidth;
+    if (pinsTotal >= boardDimension) {
+      return { valid: false, error: `Pins (${Units.format(pinsTotal, unit)}) leave no room for tails in ${Units.format(boardDimension, unit)}` };
     }
 
     return { valid: true };
   }
 
-  static parseGeometryArray(input) {
+  /**
+   * @param {TenonConfig} tenon - Tenon parameters
+   * @param {number} boardDimension - Length of the edge carrying the tenon
+   * @param {Object} dimensions - Board dimensions
+   * @param {number} available - Board size measured in from the edge
+   * @param {string} unit - Display unit for the messages
+   */
+  static validateTenon(tenon, boardDimension, dimensions, available, unit = DEFAULT_UNIT) {
+    if (!(tenon.length > 0) || !(tenon.width > 0) || !(tenon.thickness > 0)) {
+      return { valid: false, error: 'Tenon length, width and thickness must be positive' };
+    }
+
+    if (tenon.thickness > dimensions.thickness) {
+      return { valid: false, error: `Tenon thickness (${Units.format(tenon.thickness, unit)}) exceeds board thickness (${Units.format(dimensions.thickness, unit)})` };
+    }
+
+    if (tenon.length >= available) {
+      return { valid: false, error: `Tenon length (${Units.format(tenon.length, unit)}) must be less than the board (${Units.format(available, unit)})` };
+    }
+
+    const start = boardDimension / 2 + tenon.offset - tenon.width / 2;
+    const haunch = tenon.haunchWidth > 0 ? tenon.haunchWidth : 0;
+    const solidStart = tenon.haunchSide === 'start' ? start - haunch : start;
+    const solidEnd = tenon.haunchSide === 'end' ? start + tenon.width + haunch : start + tenon.width;
+    if (solidStart < -0.001 || solidEnd > boardDimension + 0.001) {
+      return { valid: false, error: 'Tenon and haunch must fit within the edge' };
+    }
+
+    if (haunch > 0 && !(tenon.haunchLength > 0 && tenon.haunchLength < tenon.length)) {
+      return { valid: false, error: 'Haunch length must be positive and shorter than the tenon' };
+    }
+
+    return { valid: true };
+  }
+
+  static validateMortise(mortise, dimensions) {
+    if (!(mortise.length > 0) || !(mortise.width > 0) || !(mortise.depth > 0)) {
+      return { valid: false, error: 'Mortise length, width and depth must be positive' };
+    }
+
+    const horizontal = mortise.orientation !== 'vertical';
+    const halfX = (horizontal ? mortise.length : mortise.width) / 2;
+    const halfY = (horizontal ? mortise.width : mortise.length) / 2;
+    if (mortise.x - halfX < 0 || mortise.x + halfX > dimensions.width ||
+        mortise.y - halfY < 0 || mortise.y + halfY > dimensions.height) {
+      return { valid: false, error: 'Mortise runs off the board face' };
+    }
+
+    return { valid: true };
+  }
+
+  static validateFaceCut(cut, runLength, acrossLength, thickness, unit = DEFAULT_UNIT) {
+    if (!(cut.width > 0) || !(cut.depth > 0)) {
+      return { valid: false, error: 'Width and depth must be positive' };
+    }
+
+    if (cut.depth >= thickness) {
+      return { valid: false, error: `Depth (${Units.format(cut.depth, unit)}) must be less than board thickness (${Units.format(thickness, unit)})` };
+    }
+
+    if (cut.stopStart < 0 || cut.stopEnd < 0 || cut.stopStart + cut.stopEnd >= runLength) {
+      return { valid: false, error: `Stops must be positive and leave some of the ${Units.format(runLength, unit)} run` };
+    }
+
+    const start = cut.type === 'rabbet' ? 0 : cut.offset;
+    if (start < 0 || start + cut.width > acrossLength) {
+      return { valid: false, error: 'Cut runs off the board face' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Parses comma-separated widths typed in the display unit to mm.
+   */
+  static parseGeometryArray(input, unit = DEFAULT_UNIT) {
     const values = input
       .split(',')
       .map(s => s.trim())
       .filter(s => s.length > 0)
-      .map(s => parseFloat(s));
+      .map(s => Units.parse(s, unit));
 
     if (values.some(v => isNaN(v))) {
       return { valid: false, error: 'Invalid number in geometry array' };
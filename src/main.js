@@ -4,6 +4,25 @@ import { JointVisualizer } from './rendering/JointVisualizer.js';
 import { StateManager } from './utils/StateManager.js';
 import { BoardEditor } from './ui/BoardEditor.js';
 import { JointEditor } from './ui/JointEditor.js';
+import { FitCheckPanel } from './ui/FitCheckPanel.js';
+import { CutListDialog } from './ui/CutListDialog.js';
+import { JigSetupDialog } from './ui/JigSetupDialog.js';
+import { TemplateDialog } from './ui/TemplateDialog.js';
+import { ModelExportDialog } from './ui/ModelExportDialog.js';
+import { ViewportController } from './ui/ViewportController.js';
+import { AssemblyPanel } from './ui/AssemblyPanel.js';
+import { TolerancePanel } from './ui/TolerancePanel.js';
+import { WoodMovementPanel } from './ui/WoodMovementPanel.js';
+import { JointStrengthPanel } from './ui/JointStrengthPanel.js';
+import { HistoryPanel } from './ui/HistoryPanel.js';
+import { BoxWizardDialog } from './ui/BoxWizardDialog.js';
+import { CopyBoardDialog } from './ui/CopyBoardDialog.js';
+import { ProjectBrowserDialog } from './ui/ProjectBrowserDialog.js';
+import { SnapshotDialog } from './ui/SnapshotDialog.js';
+import { SpeciesDialog } from './ui/SpeciesDialog.js';
+import { ProjectLibrary } from './utils/ProjectLibrary.js';
+import { AutosaveManager } from './utils/AutosaveManager.js';
+import { FileExporter } from './utils/FileExporter.js';
 import { Board } from './models/Board.js';
 import { JointConfig } from './models/JointConfig.js';
 
@@ -26,10 +45,47 @@ class BoxJointsApp {
     this.stateManager = new StateManager();
     this.boardEditor = new BoardEditor(this.stateManager, this.scene3D, this.materialLibrary);
     this.jointEditor = new JointEditor(this.stateManager, this.boardEditor);
+    this.fitCheckPanel = new FitCheckPanel(this.stateManager, this.scene3D);
+    this.tolerancePanel = new TolerancePanel(this.stateManager);
+    this.speciesDialog = new SpeciesDialog(this.stateManager, (message) => this.showNotification(message));
+    this.cutListDialog = new CutListDialog(this.stateManager, (message) => this.showNotification(message));
+    this.jigSetupDialog = new JigSetupDialog(this.stateManager, (message) => this.showNotification(message));
+    this.templateDialog = new TemplateDialog(this.stateManager, (message) => this.showNotification(message));
+    this.modelExportDialog = new ModelExportDialog(
+      this.stateManager,
+      this.materialLibrary,
+      (message) => this.showNotification(message)
+    );
+    this.boxWizardDialog = new BoxWizardDialog(
+      this.stateManager,
+      this.boardEditor,
+      (message) => this.showNotification(message)
+    );
+    this.copyBoardDialog = new CopyBoardDialog(
+      this.stateManager,
+      this.boardEditor,
+      (message) => this.showNotification(message)
+    );
+    const projectLibrary = new ProjectLibrary();
+    const projectHandlers = {
+      loadProject: (jsonString) => this.loadProject(jsonString),
+      resetProject: () => this.resetProject(),
+      showNotification: (message, duration) => this.showNotification(message, duration)
+    };
+    this.projectBrowser = new ProjectBrowserDialog(this.stateManager, projectLibrary, this.scene3D, projectHandlers);
+    this.autosaveManager = new AutosaveManager(this.stateManager, projectLibrary, this.projectBrowser, this.scene3D);
+    this.snapshotDialog = new SnapshotDialog(this.stateManager, projectLibrary, this.autosaveManager, projectHandlers);
 
     this.stateManager.subscribe((state) => {
+      // Boards of custom species that were edited, added back or removed get fresh materials
+      const changedSpecies = this.materialLibrary.setCustomSpecies(state.customSpecies);
+      state.boards.forEach(board => {
+        if (board.mesh && changedSpecies.has(board.woodType)) {
+          board.mesh.material = this.materialLibrary.getMaterials(board.woodType);
+        }
+      });
       if (state.boards.size > 0) {
-        this.jointVisualizer.visualizeAllBoards(Array.from(state.boards.values()));
+        this.jointVisualizer.visualizeAllBoards(Array.from(state.boards.values()), state.tolerances);
       } else {
         this.jointVisualizer.clearAll();
       }
@@ -40,24 +96,53 @@ class BoxJointsApp {
       if (transparencyToggle) {
         transparencyToggle.checked = state.showUnselectedTransparent;
       }
+      const unitsSelect = document.getElementById('units-select');
+      if (unitsSelect) {
+        unitsSelect.value = state.units;
+      }
     });
 
+    // Subscribed after the visualizer so the gizmo and exploded offsets apply to the rebuilt meshes
+    this.viewportController = new ViewportController(this.stateManager, this.scene3D, this.boardEditor);
+    this.assemblyPanel = new AssemblyPanel(
+      this.stateManager,
+      (active) => this.viewportController.setEnabled(!active)
+    );
+    this.historyPanel = new HistoryPanel(this.stateManager, () => this.refreshScene());
+    this.woodMovementPanel = new WoodMovementPanel(this.stateManager);
+    this.jointStrengthPanel = new JointStrengthPanel(this.stateManager);
+
     const addBoardBtn = document.getElementById('add-board-btn');
     addBoardBtn.addEventListener('click', () => {
       this.boardEditor.createBoard();
     });
 
+    const addGroupBtn = document.getElementById('add-group-btn');
+    if (addGroupBtn) {
+      addGroupBtn.addEventListener('click', () => {
+        this.boardEditor.createGroup();
+      });
+    }
+
     const transparencyToggle = document.getElementById('transparency-toggle');
     if (transparencyToggle) {
       transparencyToggle.addEventListener('change', (e) => {
         const state = this.stateManager.getState();
-        this.stateManager.setState({ showUnselectedTransparent: e.target.checked });
+        this.stateManager.setState({ showUnselectedTransparent: e.target.checked }, { label: 'Toggle transparency' });
       });
       // Set initial state of toggle
       const initialState = this.stateManager.getState();
       transparencyToggle.checked = initialState.showUnselectedTransparent;
     }
 
+    const unitsSelect = document.getElementById('units-select');
+    if (unitsSelect) {
+      unitsSelect.addEventListener('change', (e) => {
+        this.stateManager.setState({ units: e.target.value }, { label: 'Change units' });
+      });
+      unitsSelect.value = this.stateManager.getState().units;
+    }
+
     const deselectAllBtn = document.getElementById('deselect-all-btn');
     if (deselectAllBtn) {
       deselectAllBtn.addEventListener('click', () => {
@@ -86,27 +171,15 @@ class BoxJointsApp {
 
     const saveBtn = document.getElementById('save-btn');
     saveBtn.addEventListener('click', () => {
-      this.stateManager.saveToLocalStorage();
-      this.showNotification('Project saved');
+      this.projectBrowser.save();
     });
 
     const exportBtn = document.getElementById('export-btn');
     exportBtn.addEventListener('click', () => {
       const jsonString = this.stateManager.exportToJSON();
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      const filename = `box-joints-project-${timestamp}.json`;
-      
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
+      const filename = `box-joints-project-${FileExporter.timestamp()}.json`;
+      FileExporter.download(jsonString, filename, 'application/json');
+
       this.showNotification('Project exported');
     });
 
@@ -137,17 +210,15 @@ class BoxJointsApp {
         const reader = new FileReader();
         reader.onload = (event) => {
           try {
-            // Clear all existing board meshes from the scene before importing
-            this.clearAllBoardMeshes();
-            
-            const jsonString = event.target.result;
-            const result = this.stateManager.importFromJSON(jsonString, Board, JointConfig);
-            
+            const result = this.loadProject(event.target.result);
+
             if (result.success) {
-              this.refreshScene();
+              // Imported designs join the library when they are first saved
+              this.projectBrowser.setCurrent(null, file.name.replace(/\.json$/i, ''));
               this.showNotification('Project imported');
             } else {
-              this.showNotification(`Import failed: ${result.error || 'Unknown error'}`);
+              // Validation errors name the offending fields, so leave them up long enough to read
+              this.showNotification(`Import failed: ${result.error || 'Unknown error'}`, 6000);
             }
           } catch (error) {
             this.showNotification(`Import failed: ${error.message || 'Unknown error'}`);
@@ -211,8 +282,13 @@ class BoxJointsApp {
         this.refreshScene();
       } else if ((e.ctrlKey || e.metaKey) && e.key === 's') {
         e.preventDefault();
-        this.stateManager.saveToLocalStorage();
-        this.showNotification('Project saved');
+        this.projectBrowser.save();
+      } else if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+        const state = this.stateManager.getState();
+        if (state.selectedBoardId) {
+          e.preventDefault();
+          this.boardEditor.duplicateBoard(state.selectedBoardId);
+        }
       } else if (e.key === 'Delete' || e.key === 'Backspace') {
         const state = this.stateManager.getState();
         if (state.selectedBoardId) {
@@ -233,13 +309,33 @@ class BoxJointsApp {
     });
   }
 
+  /**
+   * Replaces the design with a project file, or keeps the current one if the
+   * file does not load.
+   * @returns {Object} Result of StateManager.importFromJSON
+   */
+  loadProject(jsonString) {
+    this.clearAllBoardMeshes();
+    const result = this.stateManager.importFromJSON(jsonString, Board, JointConfig);
+    this.refreshScene();
+    return result;
+  }
+
+  resetProject() {
+    this.clearAllBoardMeshes();
+    this.stateManager.reset();
+    this.refreshScene();
+  }
+
   clearScene() {
     this.clearAllBoardMeshes();
     this.stateManager.setState({
       boards: new Map(),
+      groups: new Map(),
       selectedBoardId: null,
-      selectedSide: null
-    });
+      selectedSide: null,
+      assemblyOrder: []
+    }, { label: 'Clear scene' });
     this.showNotification('Scene cleared');
   }
 
@@ -256,11 +352,13 @@ class BoxJointsApp {
     });
 
     if (state.boards.size > 0) {
-      this.jointVisualizer.visualizeAllBoards(Array.from(state.boards.values()));
+      this.jointVisualizer.visualizeAllBoards(Array.from(state.boards.values()), state.tolerances);
     }
     
     // Update selection visuals after refreshing scene
     this.updateBoardSelectionVisuals(state);
+    // The rebuilt meshes are at their true size; show the wood movement preview again
+    this.woodMovementPanel.applyPreview();
   }
 
   updateBoardSelectionVisuals(state) {
@@ -272,62 +370,76 @@ class BoxJointsApp {
       const isSelected = id === selectedBoardId;
       
       // Clone material to avoid affecting cached materials
-      const currentMaterial = board.mesh.material;
-      let material = currentMaterial;
-      
-      // Check if we need to clone (if material is shared/cached)
-      // We'll clone if the material doesn't have our custom property
-      const needsClone = !currentMaterial._isClonedForSelection;
-      
-      if (needsClone) {
-        material = currentMaterial.clone();
-        // Three.js clone() should clone the texture map automatically,
-        // but ensure the cloned texture is properly set up
-        if (material.map) {
-          // Ensure texture properties are preserved in the clone
-          material.map.needsUpdate = true;
+      // Boards carry side and end grain materials
+      board.mesh.material = board.mesh.material.map(currentMaterial => {
+        let material = currentMaterial;
+        
+        // Check if we need to clone (if material is shared/cached)
+        // We'll clone if the material doesn't have our custom property
+        const needsClone = !currentMaterial._isClonedForSelection;
+        
+        if (needsClone) {
+          material = currentMaterial.clone();
+          // Three.js clone() should clone the texture map automatically,
+          // but ensure the cloned texture is properly set up
+          if (material.map) {
+            // Ensure texture properties are preserved in the clone
+            material.map.needsUpdate = true;
+          }
+          // Mark as cloned so we don't clone again
+          material._isClonedForSelection = true;
+          // Store reference to original material for potential restoration
+          material._originalMaterial = currentMaterial;
         }
-        // Mark as cloned so we don't clone again
-        material._isClonedForSelection = true;
-        // Store reference to original material for potential restoration
-        material._originalMaterial = currentMaterial;
-        board.mesh.material = material;
-      }
-      
-      // Apply selection state
-      if (isSelected) {
-        // Selected board: full opacity (always)
-        material.opacity = 1.0;
-        material.transparent = false;
-      } else {
-        // Unselected board: opacity based on toggle state
-        if (showUnselectedTransparent) {
-          // Fully opaque when toggle is ON
+        
+        // Apply selection state
+        if (isSelected) {
+          // Selected board: full opacity (always)
           material.opacity = 1.0;
           material.transparent = false;
         } else {
-          // 70% opacity (default behavior)
-          // CRITICAL: transparent must be true BEFORE setting opacity for it to work
-          // This is especially important for materials with textures
-          material.transparent = true;
-          material.opacity = 0.7;
-          // Ensure alphaTest doesn't interfere with transparency
-          material.alphaTest = 0;
+          // Unselected board: opacity based on toggle state
+          if (showUnselectedTransparent) {
+            // Fully opaque when toggle is ON
+            material.opacity = 1.0;
+            material.transparent = false;
+          } else {
+            // 70% opacity (default behavior)
+            // CRITICAL: transparent must be true BEFORE setting opacity for it to work
+            // This is especially important for materials with textures
+            material.transparent = true;
+            material.opacity = 0.7;
+            // Ensure alphaTest doesn't interfere with transparency
+            material.alphaTest = 0;
+          }
         }
-      }
-      
-      // Force material to update (important for texture-based materials like cherry)
-      material.needsUpdate = true;
+        
+        // Force material to update (important for texture-based materials like cherry)
+        material.needsUpdate = true;
+        return material;
+      });
     });
   }
 
-  loadState() {
-    const loaded = this.stateManager.loadFromLocalStorage('boxJointsState', Board, JointConfig);
+  async loadState() {
+    // Read before a project is opened, since opening one clears the session slot
+    const session = await this.autosaveManager.getRecoverableSession().catch(() => null);
+    let loaded = await this.projectBrowser.restore();
+
+    // Offer work from a tab that was closed or crashed before it was saved
+    if (session) {
+      const time = new Date(session.savedAt).toLocaleString();
+      if (confirm(`"${session.name}" has unsaved changes from ${time}. Recover them?`)) {
+        loaded = await this.projectBrowser.recover(session) || loaded;
+      } else {
+        this.autosaveManager.clearSession();
+      }
+    }
+
     if (loaded) {
-      this.refreshScene();
       this.showNotification('Project loaded');
     }
-    
+
     // Auto-open help modal if there are no boards
     const state = this.stateManager.getState();
     if (state.boards.size === 0) {
@@ -338,7 +450,7 @@ class BoxJointsApp {
     }
   }
 
-  showNotification(message) {
+  showNotification(message, duration = 2000) {
     const notification = document.createElement('div');
     notification.className = 'notification';
     notification.textContent = message;
@@ -351,7 +463,7 @@ class BoxJointsApp {
     setTimeout(() => {
       notification.classList.remove('show');
       setTimeout(() => notification.remove(), 300);
-    }, 2000);
+    }, duration);
   }
 }
 
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { GrainUVMapper } from '../rendering/GrainUVMapper.js';
 
 export class Board {
   constructor(id, dimensions, position = { x: 0, y: 0, z: 0 }, rotation = { x: 0, y: 0, z: 0 }) {
@@ -9,16 +10,24 @@ export class Board {
     this.grainDirection = 'width';
     this.woodType = 'ash';
     this.joints = new Map();
+    // Mortise pockets on the front and back faces (MortiseConfig)
+    this.mortises = [];
+    // Dadoes, grooves and rabbets on the faces (FaceCutConfig)
+    this.faceCuts = [];
+    // Placement against another board's edge (see MateSolver), or null
+    this.mate = null;
+    // Sub-assembly the board belongs to (BoardGroup id), or null
+    this.groupId = null;
     this.mesh = null;
     this.displayName = id;
   }
 
   createMesh(materialLibrary) {
     const { width, height, thickness } = this.dimensions;
-    const geometry = new THREE.BoxGeometry(width, height, thickness);
-    const material = materialLibrary.getMaterial(this.woodType, this.grainDirection);
+    const geometry = GrainUVMapper.apply(new THREE.BoxGeometry(width, height, thickness), this);
+    const materials = materialLibrary.getMaterials(this.woodType);
 
-    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh = new THREE.Mesh(geometry, materials);
     this.mesh.position.set(this.position.x, this.position.y, this.position.z);
     this.mesh.rotation.set(this.rotation.x, this.rotation.y, this.rotation.z);
     this.mesh.userData.boardId = this.id;
@@ -31,12 +40,12 @@ export class Board {
 
     const { width, height, thickness } = this.dimensions;
     this.mesh.geometry.dispose();
-    this.mesh.geometry = new THREE.BoxGeometry(width, height, thickness);
+    // UVs follow the dimensions and grain direction
+    this.mesh.geometry = GrainUVMapper.apply(new THREE.BoxGeometry(width, height, thickness), this);
 
     // Update material if materialLibrary is provided and woodType might have changed
     if (materialLibrary) {
-      const newMaterial = materialLibrary.getMaterial(this.woodType, this.grainDirection);
-      this.mesh.material = newMaterial;
+      this.mesh.material = materialLibrary.getMaterials(this.woodType);
     }
 
     this.mesh.position.set(this.position.x, this.position.y, this.position.z);
@@ -48,6 +57,10 @@ export class Board {
     cloned.grainDirection = this.grainDirection;
     cloned.woodType = this.woodType;
     cloned.joints = new Map(this.joints);
+    cloned.mortises = [...this.mortises];
+    cloned.faceCuts = [...this.faceCuts];
+    cloned.mate = this.mate ? { ...this.mate } : null;
+    cloned.groupId = this.groupId;
     cloned.displayName = this.displayName;
     return cloned;
   }
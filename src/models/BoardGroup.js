@@ -0,0 +1,29 @@
+/**
+ * Named sub-assembly, such as a drawer inside a cabinet. Boards join a group
+ * through their groupId and groups nest through parentId.
+ *
+ * Board positions stay absolute. The group's position and rotation are its
+ * own frame (its pivot, in millimetres and radians): changing them carries
+ * every board and nested group inside along with it (see BoardGroups).
+ */
+export class BoardGroup {
+  constructor(id, name = id, position = { x: 0, y: 0, z: 0 }, rotation = { x: 0, y: 0, z: 0 }) {
+    this.id = id;
+    this.name = name;
+    this.parentId = null;
+    this.position = position;
+    this.rotation = rotation;
+  }
+
+  clone() {
+    const cloned = new BoardGroup(this.id, this.name, { ...this.position }, { ...this.rotation });
+    cloned.parentId = this.parentId;
+    return cloned;
+  }
+
+  static fromJSON(data) {
+    const group = new BoardGroup(data.id, data.name, { ...data.position }, { ...data.rotation });
+    group.parentId = data.parentId;
+    return group;
+  }
+}
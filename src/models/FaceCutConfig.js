@@ -0,0 +1,33 @@
+/**
+ * Flat-bottomed channel cut into a board face.
+ *
+ * - 'dado' runs across the grain and 'groove' runs with it; both are placed
+ *   by their offset from the bottom edge (cuts running along the width) or
+ *   the left edge (cuts running along the height).
+ * - 'rabbet' runs along one edge and is open on that edge.
+ *
+ * Non-zero stops end the cut short of the board ends (stopped dadoes,
+ * grooves and rabbets). Distances are in millimetres.
+ */
+export class FaceCutConfig {
+  constructor(id) {
+    this.id = id;
+    this.type = 'dado';
+    this.face = 'front';
+    // Edge a rabbet runs along (top/bottom/left/right)
+    this.edge = 'right';
+    this.offset = 50;
+    this.width = 18;
+    this.depth = 6;
+    this.stopStart = 0;
+    this.stopEnd = 0;
+  }
+
+  clone() {
+    return Object.assign(new FaceCutConfig(this.id), this);
+  }
+
+  static fromJSON(data) {
+    return Object.assign(new FaceCutConfig(data.id), data);
+  }
+}
@@ -1,6 +1,11 @@
+import { TenonConfig } from './MortiseTenonConfig.js';
+
 export class JointConfig {
   constructor(side) {
     this.side = side;
+    // 'box' for rectangular fingers, 'dovetail' for tapered pins and tails,
+    // 'tenon' for a tenon standing on this edge
+    this.type = 'box';
     this.mode = 'fixed';
     this.fingerWidth = 10;
     this.fingerCount = 5;
@@ -8,10 +13,31 @@ export class JointConfig {
     this.start = 0;
     this.geometry = [];
     this.grooveDepth = null;
+    // Mating link: { boardId, side, reversed }. In 'complement' mode the
+    // pattern is derived from the linked side instead of being edited here.
+    this.link = null;
+    // Dovetail layout, used when type is 'dovetail'. Pin widths are measured
+    // at their narrow end; slope is the run per unit of taper (1:6, 1:8).
+    this.dovetail = {
+      tailCount: 3,
+      slope: 8,
+      halfPinWidth: 6,
+      pinWidth: 6,
+      style: 'through',
+      lap: 4,
+      role: 'tails',
+      outsideFace: 'auto'
+    };
+    // TenonConfig, used when type is 'tenon'
+    this.tenon = null;
+    // Fit override { clearance, interference } in mm; null uses the project's.
+    // Sides linked to this one share it.
+    this.tolerance = null;
   }
 
   clone() {
     const cloned = new JointConfig(this.side);
+    cloned.type = this.type;
     cloned.mode = this.mode;
     cloned.fingerWidth = this.fingerWidth;
     cloned.fingerCount = this.fingerCount;
@@ -19,6 +45,29 @@ export class JointConfig {
     cloned.start = this.start;
     cloned.geometry = [...this.geometry];
     cloned.grooveDepth = this.grooveDepth;
+    cloned.link = this.link ? { ...this.link } : null;
+    cloned.dovetail = { ...this.dovetail };
+    cloned.tenon = this.tenon ? this.tenon.clone() : null;
+    cloned.tolerance = this.tolerance ? { ...this.tolerance } : null;
     return cloned;
   }
+
+  /**
+   * Builds a joint from validated project data, keeping only the fields a
+   * joint has.
+   */
+  static fromJSON(data) {
+    const joint = new JointConfig(data.side);
+    Object.keys(joint).forEach(key => {
+      if (key in data) {
+        joint[key] = data[key];
+      }
+    });
+    joint.geometry = [...joint.geometry];
+    joint.link = joint.link ? { ...joint.link } : null;
+    joint.dovetail = { ...joint.dovetail };
+    joint.tenon = joint.tenon ? TenonConfig.fromJSON(joint.tenon) : null;
+    joint.tolerance = joint.tolerance ? { ...joint.tolerance } : null;
+    return joint;
+  }
 }
@@ -0,0 +1,55 @@
+/**
+ * Tenon on a board edge. Stored on the edge's JointConfig (type 'tenon').
+ * Distances are in millimetres; the tenon is centred on the edge unless
+ * offset, and `length` runs from the edge in to the shoulder line.
+ */
+export class TenonConfig {
+  constructor() {
+    this.length = 30;
+    this.thickness = 8;
+    this.width = 40;
+    // Offset of the tenon centre from the middle of the edge
+    this.offset = 0;
+    // Which cheeks are cut back: 'both', or 'front' / 'back' for a barefaced tenon
+    this.shoulders = 'both';
+    // Haunch beside the tenon; a width of 0 means no haunch
+    this.haunchWidth = 0;
+    this.haunchLength = 8;
+    this.haunchSide = 'start';
+  }
+
+  clone() {
+    return Object.assign(new TenonConfig(), this);
+  }
+
+  static fromJSON(data) {
+    return Object.assign(new TenonConfig(), data);
+  }
+}
+
+/**
+ * Rectangular mortise pocket on a board face. Position is the pocket centre
+ * in face coordinates (origin at the bottom-left corner, seen from the front).
+ * A depth at or beyond the board thickness makes a through mortise.
+ */
+export class MortiseConfig {
+  constructor(id) {
+    this.id = id;
+    this.face = 'front';
+    this.x = 50;
+    this.y = 50;
+    this.length = 40;
+    this.width = 8;
+    this.depth = 30;
+    // 'horizontal' runs the length along the board width, 'vertical' along its height
+    this.orientation = 'horizontal';
+  }
+
+  clone() {
+    return Object.assign(new MortiseConfig(this.id), this);
+  }
+
+  static fromJSON(data) {
+    return Object.assign(new MortiseConfig(data.id), data);
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * A wood species or sheet material and its physical properties.
+ *
+ * - density: air-dried density in kg/m³
+ * - hardness: Janka hardness in newtons
+ * - movement: dimensional change coefficients { tangential, radial }, the
+ *   fraction a board's width changes per 1% change in moisture content
+ *   (flat-sawn boards move tangentially across their width, quarter-sawn
+ *   boards radially). Sheet goods move so little that they are near zero.
+ * - appearance: { baseColor, grainColor, figure, ringSpacing, contrast,
+ *   roughness, texture } used to render it. figure is 'straight' (parallel
+ *   grain lines), 'cathedral' (arched flat-sawn figure) or 'plain' (no grain,
+ *   as in MDF); ringSpacing is the distance between grain lines in texture
+ *   pixels, rounded so whole rings fit a texture, and contrast (0-1) how dark
+ *   they are. texture names a bundled image used instead of a generated one.
+ */
+export class WoodSpecies {
+  constructor(id, name = id) {
+    this.id = id;
+    this.name = name;
+    // 'hardwood', 'softwood' or 'sheet'
+    this.category = 'hardwood';
+    this.density = 600;
+    this.hardness = 4500;
+    this.movement = { tangential: 0.0027, radial: 0.0016 };
+    this.appearance = {
+      baseColor: '#c8a77a',
+      grainColor: '#9c7a50',
+      figure: 'cathedral',
+      ringSpacing: 24,
+      contrast: 0.5,
+      roughness: 0.8,
+      texture: null
+    };
+    // Added by the user and stored with the project
+    this.custom = false;
+  }
+
+  clone() {
+    const cloned = Object.assign(new WoodSpecies(this.id), this);
+    cloned.movement = { ...this.movement };
+    cloned.appearance = { ...this.appearance };
+    return cloned;
+  }
+
+  static fromJSON(data) {
+    const species = Object.assign(new WoodSpecies(data.id), data);
+    species.movement = { ...species.movement };
+    species.appearance = { ...new WoodSpecies(data.id).appearance, ...data.appearance };
+    return species;
+  }
+}
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { MateSolver } from '../utils/MateSolver.js';
+
+const EDGES = ['top', 'bottom', 'left', 'right'];
+
+/**
+ * Display-only offsets that pull boards apart to show how their joints go
+ * together. Boards keep their positions in the project; only the meshes move.
+ */
+export class ExplodedView {
+  /**
+   * World-space direction each board slides out of its joints: away from
+   * every jointed edge, or away from the middle of the assembly when its
+   * joints pull in opposite directions (e.g. a shelf jointed at both ends).
+   * @param {Array} boards - Board objects
+   * @returns {Map} Unit (or zero) THREE.Vector3 by board id
+   */
+  static getDirections(boards) {
+    const centre = new THREE.Vector3();
+    boards.forEach(board => centre.add(new THREE.Vector3(board.position.x, board.position.y, board.position.z)));
+    if (boards.length > 0) {
+      centre.divideScalar(boards.length);
+    }
+
+    const directions = new Map();
+    boards.forEach(board => {
+      const quaternion = new THREE.Quaternion().setFromEuler(
+        new THREE.Euler(board.rotation.x, board.rotation.y, board.rotation.z)
+      );
+
+      const direction = new THREE.Vector3();
+      board.joints.forEach((joint, side) => {
+        if (EDGES.includes(side)) {
+          direction.add(MateSolver.getEdgeFrame(board.dimensions, side).inward);
+        }
+      });
+      direction.applyQuaternion(quaternion);
+
+      if (direction.lengthSq() < 1e-6) {
+        direction.set(board.position.x, board.position.y, board.position.z).sub(centre);
+      }
+      if (direction.lengthSq() > 1e-6) {
+        direction.normalize();
+      }
+      directions.set(board.id, direction);
+    });
+
+    return directions;
+  }
+
+  /**
+   * Moves each board mesh to its project position plus an offset along its direction.
+   * @param {Array} boards - Board objects
+   * @param {Map} directions - Directions from getDirections
+   * @param {Function} getDistance - (board, index) => offset in mm
+   */
+  static apply(boards, directions, getDistance) {
+    boards.forEach((board, index) => {
+      if (!board.mesh) return;
+      const direction = directions.get(board.id) || new THREE.Vector3();
+      const distance = getDistance(board, index);
+      board.mesh.position.set(
+        board.position.x + direction.x * distance,
+        board.position.y + direction.y * distance,
+        board.position.z + direction.z * distance
+      );
+    });
+  }
+}
@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+// Real-world size (mm) one repeat of a wood texture covers: across the grain
+// and along it. End grain textures are square, across × across.
+export const TEXTURE_TILE = {
+  across: 150,
+  along: 600
+};
+
+// Material slots of a board mesh: long grain on the faces and edges, and end
+// grain on the faces the grain runs into
+export const GRAIN_GROUPS = {
+  side: 0,
+  end: 1
+};
+
+/**
+ * Texture coordinates for board geometry, including the faces CSG cuts
+ * leave inside finger notches, dovetail sockets and mortises.
+ *
+ * Every triangle is projected onto the board-local plane it faces most
+ * directly, measured in millimetres from the board's corner and divided by
+ * the texture tile size, so the grain keeps its real-world scale on boards
+ * of any size and runs on unbroken from a face into the cuts in it. The
+ * texture's height follows the board's grain direction. Triangles facing
+ * along the grain are end grain and are grouped into their own material slot.
+ */
+export class GrainUVMapper {
+  /**
+   * @param {THREE.BufferGeometry} geometry - Board-local geometry; not modified
+   * @param {Object} board - Board with dimensions and grainDirection
+   * @returns {THREE.BufferGeometry} Non-indexed geometry with flat normals,
+   *   uv and GRAIN_GROUPS material groups
+   */
+  static apply(geometry, board) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const position = source.attributes.position;
+    const { width, height, thickness } = board.dimensions;
+    const offset = { x: width / 2, y: height / 2, z: thickness / 2 };
+    const grain = board.grainDirection === 'height' ? 'y' : 'x';
+    const across = grain === 'x' ? 'y' : 'x';
+
+    const side = { positions: [], normals: [], uvs: [] };
+    const end = { positions: [], normals: [], uvs: [] };
+    const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const normal = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+
+    for (let index = 0; index + 2 < position.count; index += 3) {
+      corners.forEach((corner, k) => corner.fromBufferAttribute(position, index + k));
+      normal.subVectors(corners[2], corners[1]).cross(edge.subVectors(corners[0], corners[1])).normalize();
+      if (!isFinite(normal.x) || normal.lengthSq() === 0) continue;
+
+      const facing = this.dominantAxis(normal);
+      const target = facing === grain ? end : side;
+      corners.forEach(corner => {
+        const local = { x: corner.x + offset.x, y: corner.y + offset.y, z: corner.z + offset.z };
+        let u, v;
+        if (facing === grain) {
+          // End grain: growth rings seen across the width and thickness
+          u = local[across] / TEXTURE_TILE.across;
+          v = local.z / TEXTURE_TILE.across;
+        } else if (facing === 'z') {
+          u = local[across] / TEXTURE_TILE.across;
+          v = local[grain] / TEXTURE_TILE.along;
+        } else {
+          // Edges show the grain along their length and the thickness across
+          u = local.z / TEXTURE_TILE.across;
+          v = local[grain] / TEXTURE_TILE.along;
+        }
+        target.positions.push(corner.x, corner.y, corner.z);
+        target.normals.push(normal.x, normal.y, normal.z);
+        target.uvs.push(u, v);
+      });
+    }
+
+    const result = new THREE.BufferGeometry();
+    result.setAttribute('position', new THREE.Float32BufferAttribute([...side.positions, ...end.positions], 3));
+    result.setAttribute('normal', new THREE.Float32BufferAttribute([...side.normals, ...end.normals], 3));
+    result.setAttribute('uv', new THREE.Float32BufferAttribute([...side.uvs, ...end.uvs], 2));
+    const sideCount = side.positions.length / 3;
+    result.addGroup(0, sideCount, GRAIN_GROUPS.side);
+    result.addGroup(sideCount, end.positions.length / 3, GRAIN_GROUPS.end);
+    result.computeBoundingBox();
+    result.computeBoundingSphere();
+
+    if (source !== geometry) {
+      source.dispose();
+    }
+    return result;
+  }
+
+  static dominantAxis(normal) {
+    const x = Math.abs(normal.x);
+    const y = Math.abs(normal.y);
+    const z = Math.abs(normal.z);
+    if (z >= x && z >= y) return 'z';
+    return x >= y ? 'x' : 'y';
+  }
+}
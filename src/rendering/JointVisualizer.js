@@ -1,6 +1,10 @@
 import * as THREE from "three";
 import { CSG } from "three-csg-ts";
 import { BoxJointGenerator } from "../generators/BoxJointGenerator.js";
+import { DovetailGenerator } from "../generators/DovetailGenerator.js";
+import { MortiseTenonGenerator } from "../generators/MortiseTenonGenerator.js";
+import { FaceCutGenerator } from "../generators/FaceCutGenerator.js";
+import { GrainUVMapper } from "./GrainUVMapper.js";
 
 /**
  * Handles visualization of box joints on board geometry.
@@ -25,9 +29,11 @@ export class JointVisualizer {
    * Processes all boards and visualizes their joints.
    * Subtracts groove volumes from board geometry using CSG operations.
    * @param {Array} boards - Array of board objects with dimensions and joints
+   * @param {Object} tolerances - Project fit tolerances applied to the joints
    */
-  visualizeAllBoards(boards) {
+  visualizeAllBoards(boards, tolerances = null) {
     this.clearAll();
+    const boardsById = new Map(boards.filter(Boolean).map(board => [board.id, board]));
     
     boards.forEach((board) => {
       if (!board || !board.joints || !board.dimensions) {
@@ -53,7 +59,7 @@ export class JointVisualizer {
         
         // Create fresh base mesh
         const { width, height, thickness } = board.dimensions;
-        const baseGeometry = new THREE.BoxGeometry(width, height, thickness);
+        const baseGeometry = GrainUVMapper.apply(new THREE.BoxGeometry(width, height, thickness), board);
         board.mesh = new THREE.Mesh(baseGeometry, originalMaterial);
         board.mesh.position.copy(originalPosition);
         board.mesh.rotation.copy(originalRotation);
@@ -65,31 +71,23 @@ export class JointVisualizer {
 
       // Collect all groove geometries for all sides
       const grooveGeometries = [];
-      const { thickness } = board.dimensions;
 
       board.joints.forEach((joint, side) => {
-        const dimension = this.getSideDimension(board, side);
-        // Use joint.grooveDepth with fallback to board thickness, and clamp to thickness
-        let grooveDepth = joint.grooveDepth ?? thickness;
-        if (grooveDepth > thickness) {
-          grooveDepth = thickness;
-        }
-        if (grooveDepth <= 0) {
-          grooveDepth = thickness;
-        }
-        
-        let result;
-        
-        if (joint.mode === "fixed") {
-          result = BoxJointGenerator.generateFixedJoints(joint, dimension);
-        } else {
-          result = BoxJointGenerator.generateVariableJoints(joint, dimension);
-        }
-        
-        if (result.valid) {
+        // Linked sides resolve their depth (and complement pattern) from the partner board
+        const result = BoxJointGenerator.resolveJoint(board, side, boardsById, tolerances);
+
+        if (result.valid && result.type === "tenon") {
+          MortiseTenonGenerator.getTenonCutters(board, side, result.tenon, result.dimension).forEach(box => {
+            grooveGeometries.push(this.createBoxCutter(box));
+          });
+        } else if (result.valid && result.type === "dovetail") {
+          DovetailGenerator.getCutters(result).forEach(cutter => {
+            grooveGeometries.push(this.createDovetailGeometry(board, side, cutter, result.dovetail));
+          });
+        } else if (result.valid) {
           result.segments.forEach(segment => {
             if (segment.type === "groove") {
-              const grooveGeometry = this.createGrooveGeometry(board, side, segment, grooveDepth);
+              const grooveGeometry = this.createGrooveGeometry(board, side, segment, result.grooveDepth);
               if (grooveGeometry) {
                 grooveGeometries.push(grooveGeometry);
               }
@@ -98,6 +96,14 @@ export class JointVisualizer {
         }
       });
 
+      // Mortise pockets, dadoes, grooves and rabbets on the faces
+      (board.mortises || []).forEach(mortise => {
+        grooveGeometries.push(this.createBoxCutter(MortiseTenonGenerator.getMortiseCutter(board, mortise)));
+      });
+      (board.faceCuts || []).forEach(cut => {
+        grooveGeometries.push(this.createBoxCutter(FaceCutGenerator.getCutter(board, cut)));
+      });
+
       // Apply all grooves at once using CSG subtraction
       if (grooveGeometries.length > 0) {
         this.subtractGroovesFromBoard(board, grooveGeometries);
@@ -112,16 +118,7 @@ export class JointVisualizer {
    * @returns {number} Dimension in the direction of the joint
    */
   getSideDimension(board, side) {
-    switch (side) {
-      case "top":
-      case "bottom":
-        return board.dimensions.width;
-      case "left":
-      case "right":
-        return board.dimensions.height;
-      default:
-        return 0;
-    }
+    return BoxJointGenerator.getSideDimension(board, side);
   }
 
   /**
@@ -182,6 +179,91 @@ export class JointVisualizer {
     return mesh;
   }
 
+  /**
+   * Creates a box cutter for CSG subtraction from a board-local { min, max } box.
+   * @param {Object} box - Box corners in board-local coordinates
+   * @returns {THREE.Mesh} Cutter mesh
+   */
+  createBoxCutter(box) {
+    const geometry = new THREE.BoxGeometry(
+      box.max.x - box.min.x,
+      box.max.y - box.min.y,
+      box.max.z - box.min.z
+    );
+    const mesh = new THREE.Mesh(geometry);
+    mesh.position.set(
+      (box.min.x + box.max.x) / 2,
+      (box.min.y + box.max.y) / 2,
+      (box.min.z + box.max.z) / 2
+    );
+    return mesh;
+  }
+
+  /**
+   * Creates a tapered dovetail cutter for CSG subtraction, in board-local space.
+   * @param {Object} board - Board object
+   * @param {string} side - Side identifier
+   * @param {Object} cutter - Cutter outline from DovetailGenerator.getCutters
+   * @param {Object} dovetail - Resolved dovetail parameters
+   * @returns {THREE.Mesh} Cutter mesh
+   */
+  createDovetailGeometry(board, side, cutter, dovetail) {
+    const { width, height, thickness } = board.dimensions;
+    const over = 1;
+
+    // corners[i][j][k]: i = left/right along the edge, j = near/far on the
+    // tapered axis, k = the two ends of the straight extrusion
+    const corners = [0, 1].map(i => [0, 1].map(j => [0, 1].map(k => {
+      const u = (j === 0 ? cutter.near : cutter.far)[i];
+      let v, z;
+
+      if (dovetail.role === "tails") {
+        v = cutter.taper[j];
+        z = k === 0 ? -thickness / 2 - over : thickness / 2 + over;
+      } else {
+        v = cutter.extrude[k];
+        z = DovetailGenerator.faceOffsetToZ(thickness, dovetail.outsideFace, cutter.taper[j]);
+      }
+
+      const face = DovetailGenerator.edgeToFace(board.dimensions, side, u, v);
+      return new THREE.Vector3(face.x - width / 2, face.y - height / 2, z);
+    })));
+
+    return new THREE.Mesh(this.createHexahedron(corners));
+  }
+
+  /**
+   * Builds a closed six-sided solid by moving the corners of a unit box.
+   * Winding is flipped when the corner mapping mirrors the box, so face
+   * normals always point outwards for the CSG library.
+   * @param {Array} corners - corners[i][j][k] for the box's x, y and z extremes
+   * @returns {THREE.BufferGeometry} Solid geometry
+   */
+  createHexahedron(corners) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const position = geometry.attributes.position;
+
+    for (let index = 0; index < position.count; index++) {
+      const corner = corners[position.getX(index) > 0 ? 1 : 0][position.getY(index) > 0 ? 1 : 0][position.getZ(index) > 0 ? 1 : 0];
+      position.setXYZ(index, corner.x, corner.y, corner.z);
+    }
+
+    const origin = corners[0][0][0];
+    const du = corners[1][0][0].clone().sub(origin);
+    const dv = corners[0][1][0].clone().sub(origin);
+    const dw = corners[0][0][1].clone().sub(origin);
+    if (du.dot(dv.cross(dw)) < 0) {
+      const indices = Array.from(geometry.index.array);
+      for (let i = 0; i < indices.length; i += 3) {
+        [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+      }
+      geometry.setIndex(indices);
+    }
+
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
   /**
    * Subtracts groove volumes from board mesh using CSG operations.
    * Properly handles mesh disposal and scene updates to avoid rendering issues.
@@ -228,7 +310,12 @@ export class JointVisualizer {
       // Convert CSG result back to BufferGeometry
       // Use identity matrix since we worked in local space
       const identityMatrix = new THREE.Matrix4();
-      const resultGeometry = resultCSG.toGeometry(identityMatrix);
+      const csgGeometry = resultCSG.toGeometry(identityMatrix);
+
+      // Map the faces the cutters left, so the grain runs on into every notch
+      // and cut faces across the grain show end grain
+      const resultGeometry = GrainUVMapper.apply(csgGeometry, board);
+      csgGeometry.dispose();
 
       // Clean up temporary board mesh
       tempBoardMesh.geometry.dispose();
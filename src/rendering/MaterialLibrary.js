@@ -1,66 +1,142 @@
 import * as THREE from 'three';
 import ashTextureUrl from '../textures/woodmap_ash.png';
 import cherryTextureUrl from '../textures/woodmap_cherry.png';
+import { WoodCatalog } from '../utils/WoodCatalog.js';
+import { WoodTextureGenerator } from './WoodTextureGenerator.js';
+import { GRAIN_GROUPS } from './GrainUVMapper.js';
+
+// Bundled images, referenced by a species' appearance.texture
+const TEXTURE_URLS = {
+  ash: ashTextureUrl,
+  cherry: cherryTextureUrl
+};
+
+// End grain is rougher than the faces: its open pores scatter the light
+const END_GRAIN_ROUGHNESS = 0.15;
 
 export class MaterialLibrary {
   constructor() {
     this.textureLoader = new THREE.TextureLoader();
-    this.materials = new Map(); // Cache materials by woodType + grainDirection
-    
-    // Load textures
-    this.ashTexture = this.textureLoader.load(ashTextureUrl);
-    this.cherryTexture = this.textureLoader.load(cherryTextureUrl);
-    
-    // Configure texture properties
-    [this.ashTexture, this.cherryTexture].forEach(texture => {
-      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-      texture.colorSpace = THREE.SRGBColorSpace;
+    this.materials = new Map(); // Cache materials by woodType + surface
+    this.textures = new Map(); // Base textures by bundled image name or generated species id, end grain by id + '_end'
+    this.customSpecies = [];
+  }
+
+  /**
+   * Species the project adds to the catalogue. Cached textures and materials
+   * of custom species that changed or were removed are dropped.
+   * @param {Array} customSpecies - The project's custom WoodSpecies
+   * @returns {Set} Ids of the species whose materials changed
+   */
+  setCustomSpecies(customSpecies) {
+    if (customSpecies === this.customSpecies) return new Set();
+
+    const changed = new Set();
+    const current = new Map(customSpecies.map(species => [species.id, species]));
+    this.customSpecies.forEach(species => {
+      if (current.get(species.id) !== species) changed.add(species.id);
     });
+    customSpecies.forEach(species => {
+      if (!this.customSpecies.includes(species)) changed.add(species.id);
+    });
+    this.customSpecies = customSpecies;
+
+    changed.forEach(id => this.invalidate(id));
+    return changed;
+  }
+
+  invalidate(woodType) {
+    this.materials.forEach((material, cacheKey) => {
+      if (cacheKey.startsWith(`${woodType}_`)) {
+        material.map.dispose();
+        material.dispose();
+        this.materials.delete(cacheKey);
+      }
+    });
+    [woodType, `${woodType}_end`].forEach(key => {
+      if (this.textures.has(key)) {
+        this.textures.get(key).dispose();
+        this.textures.delete(key);
+      }
+    });
+  }
+
+  getBaseTexture(species) {
+    // Bundled images are keyed by name, generated textures by species id
+    const key = TEXTURE_URLS[species.appearance.texture] ? species.appearance.texture : species.id;
+    if (!this.textures.has(key)) {
+      let texture;
+      if (TEXTURE_URLS[key]) {
+        texture = this.textureLoader.load(TEXTURE_URLS[key]);
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+      } else {
+        texture = WoodTextureGenerator.createTexture(species.appearance, species.id);
+      }
+      this.textures.set(key, texture);
+    }
+    return this.textures.get(key);
   }
 
-  getMaterial(woodType, grainDirection) {
-    // Normalize grainDirection (handle 'horizontal' as 'width' for backward compatibility)
-    const normalizedGrain = grainDirection === 'horizontal' ? 'width' : grainDirection;
-    
+  getEndGrainTexture(species) {
+    const key = `${species.id}_end`;
+    if (!this.textures.has(key)) {
+      this.textures.set(key, WoodTextureGenerator.createEndGrainTexture(species.appearance, species.id));
+    }
+    return this.textures.get(key);
+  }
+
+  /**
+   * Material of one surface of a species. Textures repeat once per UV unit;
+   * GrainUVMapper scales the UVs to the board and lays them along its grain.
+   * @param {string} woodType - Species id
+   * @param {string} surface - 'side' for the faces and edges, 'end' for end grain
+   */
+  getMaterial(woodType, surface = 'side') {
     // Create cache key
-    const cacheKey = `${woodType}_${normalizedGrain}`;
-    
+    const cacheKey = `${woodType}_${surface}`;
+
     // Return cached material if it exists
     if (this.materials.has(cacheKey)) {
       return this.materials.get(cacheKey);
     }
-    
+
     // Get the appropriate texture
-    const baseTexture = woodType === 'cherry' ? this.cherryTexture : this.ashTexture;
-    
+    const species = WoodCatalog.get(woodType, this.customSpecies);
+    const end = surface === 'end';
+    const baseTexture = end ? this.getEndGrainTexture(species) : this.getBaseTexture(species);
+
     // Clone texture to avoid modifying the base texture
     const texture = baseTexture.clone();
-    
-    // Set texture repeat based on grain direction
-    // For height grain (vertical), texture is already vertical, no rotation needed
-    // For width grain (horizontal), rotate texture 90 degrees
-    if (normalizedGrain === 'width') {
-      texture.rotation = Math.PI / 2; // Rotate 90 degrees
-    } else {
-      texture.rotation = 0; // No rotation for height grain
-    }
-    
-    // Set repeat values (can be adjusted based on board dimensions if needed)
     texture.repeat.set(1, 1);
-    
+
     // Create material with texture
     const material = new THREE.MeshStandardMaterial({
       map: texture,
-      roughness: woodType === 'cherry' ? 0.7 : 0.8,
+      roughness: end
+        ? Math.min(species.appearance.roughness + END_GRAIN_ROUGHNESS, 1)
+        : species.appearance.roughness,
       metalness: 0.1
     });
-    
+    material.name = end ? `${species.name} (end grain)` : species.name;
+
     // Cache the material
     this.materials.set(cacheKey, material);
-    
+
     return material;
   }
 
+  /**
+   * @returns {Array} Side and end grain materials, indexed by GRAIN_GROUPS
+   */
+  getMaterials(woodType) {
+    const materials = [];
+    Object.entries(GRAIN_GROUPS).forEach(([surface, index]) => {
+      materials[index] = this.getMaterial(woodType, surface);
+    });
+    return materials;
+  }
+
   dispose() {
     // Dispose all cached materials
     this.materials.forEach(mat => {
@@ -70,13 +146,9 @@ export class MaterialLibrary {
       mat.dispose();
     });
     this.materials.clear();
-    
+
     // Dispose base textures
-    if (this.ashTexture) {
-      this.ashTexture.dispose();
-    }
-    if (this.cherryTexture) {
-      this.cherryTexture.dispose();
-    }
+    this.textures.forEach(texture => texture.dispose());
+    this.textures.clear();
   }
 }
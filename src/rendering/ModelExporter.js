@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { Units, DEFAULT_UNIT } from '../utils/Units.js';
+import { MateSolver } from '../utils/MateSolver.js';
+
+/**
+ * Exports the jointed board meshes (the CSG results currently in the scene)
+ * as STL, OBJ or glTF/GLB.
+ *
+ * Each board becomes one mesh named after its display name, placed with the
+ * world transform of its scene mesh. STL and OBJ are unitless and written in
+ * millimetres, or in inches for imperial projects; glTF is defined in metres,
+ * so its root node is scaled by 0.001.
+ */
+export class ModelExporter {
+  constructor(materialLibrary) {
+    this.materialLibrary = materialLibrary;
+  }
+
+  /**
+   * Builds a standalone scene holding copies of the board meshes.
+   * @param {Array} boards - Boards with up-to-date meshes
+   * @param {Object} options - { withMaterials, scale }
+   * @returns {THREE.Object3D} Root object of the export scene
+   */
+  buildExportScene(boards, options = {}) {
+    const root = new THREE.Group();
+    root.name = 'assembly';
+    if (options.scale) {
+      root.scale.setScalar(options.scale);
+    }
+
+    boards.forEach(board => {
+      if (!board.mesh) return;
+
+      const mesh = new THREE.Mesh(
+        board.mesh.geometry,
+        options.withMaterials ? this.getExportMaterial(board) : undefined
+      );
+      // Placed from the board itself: the exploded view, the assembly player
+      // and the wood movement preview only move and scale the meshes on screen
+      MateSolver.getMatrix(board).decompose(mesh.position, mesh.quaternion, mesh.scale);
+      mesh.name = board.displayName || board.id;
+      mesh.userData.boardId = board.id;
+      root.add(mesh);
+    });
+
+    root.updateMatrixWorld(true);
+    return root;
+  }
+
+  /**
+   * Opaque copies of the board's side and end grain materials; the scene
+   * copies may carry selection transparency that should not end up in the file.
+   */
+  getExportMaterial(board) {
+    return this.materialLibrary.getMaterials(board.woodType).map(original => {
+      const material = original.clone();
+      material.transparent = false;
+      material.opacity = 1;
+      return material;
+    });
+  }
+
+  /**
+   * Scale for the unitless formats: inches for imperial projects, else mm.
+   */
+  getUnitScale(unit) {
+    return Units.isImperial(unit) ? 1 / Units.get(unit).factor : 1;
+  }
+
+  /**
+   * @returns {DataView} Binary STL data
+   */
+  exportSTL(boards, unit = DEFAULT_UNIT) {
+    const root = this.buildExportScene(boards, { scale: this.getUnitScale(unit) });
+    return new STLExporter().parse(root, { binary: true });
+  }
+
+  /**
+   * @returns {string} Wavefront OBJ text
+   */
+  exportOBJ(boards, unit = DEFAULT_UNIT) {
+    return new OBJExporter().parse(this.buildExportScene(boards, { scale: this.getUnitScale(unit) }));
+  }
+
+  /**
+   * @param {Array} boards - Boards to export
+   * @param {boolean} binary - true for .glb, false for .gltf JSON
+   * @returns {Promise<ArrayBuffer|Object>} GLB buffer or glTF JSON
+   */
+  exportGLTF(boards, binary) {
+    const root = this.buildExportScene(boards, { withMaterials: true, scale: 0.001 });
+    return new GLTFExporter().parseAsync(root, { binary });
+  }
+}
@@ -29,6 +29,10 @@ export class Scene3D {
     this.setupLights();
     this.setupGrid();
 
+    // Overlay meshes (e.g. fit-check problem regions), kept apart from board meshes
+    this.highlightGroup = new THREE.Group();
+    this.scene.add(this.highlightGroup);
+
     window.addEventListener('resize', () => this.onResize());
 
     this.animate();
@@ -75,6 +79,52 @@ export class Scene3D {
     this.renderer.setSize(width, height);
   }
 
+  /**
+   * Finds the board under a pointer position by raycasting against meshes
+   * tagged with userData.boardId.
+   * @param {number} clientX - Pointer x in client coordinates
+   * @param {number} clientY - Pointer y in client coordinates
+   * @returns {string|null} Id of the nearest board hit, or null
+   */
+  pickBoard(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+
+    const boardMeshes = this.scene.children.filter(child => child.isMesh && child.userData.boardId);
+    const hit = raycaster.intersectObjects(boardMeshes, false)[0];
+    return hit ? hit.object.userData.boardId : null;
+  }
+
+  /**
+   * Renders the current view into a small image for project thumbnails,
+   * cropped around the centre of the viewport to the requested aspect ratio.
+   * @returns {string} JPEG data URL
+   */
+  captureThumbnail(width = 240, height = 160) {
+    // Read the canvas straight after rendering; the drawing buffer is not preserved
+    this.renderer.render(this.scene, this.camera);
+    const source = this.renderer.domElement;
+    const scale = Math.min(source.width / width, source.height / height);
+    const cropWidth = width * scale;
+    const cropHeight = height * scale;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(
+      source,
+      (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+      0, 0, width, height
+    );
+    return canvas.toDataURL('image/jpeg', 0.85);
+  }
+
   addMesh(mesh) {
     this.scene.add(mesh);
   }
@@ -83,6 +133,34 @@ export class Scene3D {
     this.scene.remove(mesh);
   }
 
+  /**
+   * Shows world-space highlight geometry drawn on top of the boards.
+   * Replaces any highlights shown previously.
+   * @param {Array} items - Array of { geometry, color } objects
+   */
+  showHighlights(items) {
+    this.clearHighlights();
+    items.forEach(({ geometry, color }) => {
+      const material = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.6,
+        depthTest: false
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.renderOrder = 10;
+      this.highlightGroup.add(mesh);
+    });
+  }
+
+  clearHighlights() {
+    [...this.highlightGroup.children].forEach(mesh => {
+      this.highlightGroup.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+  }
+
   dispose() {
     this.renderer.dispose();
     this.controls.dispose();
@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+import { TEXTURE_TILE } from './GrainUVMapper.js';
+
+// One texture covers one TEXTURE_TILE, so its pixels are square on the board
+const WIDTH = 256;
+const HEIGHT = WIDTH * TEXTURE_TILE.along / TEXTURE_TILE.across;
+// Brightness of end grain relative to face grain
+const END_GRAIN_SHADE = 0.75;
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32), so a species always gets
+ * the same texture.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function fract(value) {
+  return value - Math.floor(value);
+}
+
+/**
+ * Smooth 1D value noise built from random control points, repeating every
+ * length so it wraps across the texture's edges.
+ */
+function createNoise(random, points) {
+  const values = Array.from({ length: points }, () => random() * 2 - 1);
+  return (position, length) => {
+    const scaled = fract(position / length) * points;
+    const index = Math.floor(scaled);
+    const t = scaled - index;
+    const smooth = t * t * (3 - 2 * t);
+    return values[index] * (1 - smooth) + values[(index + 1) % points] * smooth;
+  };
+}
+
+/**
+ * Ring spacing adjusted so a whole number of rings fits the given length.
+ */
+function fitSpacing(ringSpacing, length) {
+  const spacing = Math.max(ringSpacing, 2);
+  return length / Math.max(Math.round(length / spacing), 1);
+}
+
+/**
+ * Distance from x to the nearest copy of center in a texture repeating every
+ * width, so figures centred on it continue across the texture's edges.
+ */
+function wrappedOffset(x, center, width) {
+  return Math.abs(fract((x - center) / width + 0.5) - 0.5) * width;
+}
+
+/**
+ * Procedural wood textures, so species without a bundled image still show
+ * grain. Textures run with the grain along their height, like the bundled
+ * images; GrainUVMapper lays them along each board's grain. Every figure
+ * repeats exactly across the texture's edges so the tiles join seamlessly.
+ */
+export class WoodTextureGenerator {
+  /**
+   * RGBA pixels of a wood texture.
+   * @param {Object} appearance - WoodSpecies appearance
+   * @param {string} seed - Varies the figure; the species id
+   * @returns {Object} { data: Uint8Array, width, height }
+   */
+  static generatePixels(appearance, seed = '', width = WIDTH, height = HEIGHT) {
+    const random = createRandom(hashString(seed));
+    const base = parseColor(appearance.baseColor);
+    const grain = parseColor(appearance.grainColor);
+    const spacing = fitSpacing(appearance.ringSpacing, width);
+    const contrast = Math.min(Math.max(appearance.contrast, 0), 1);
+
+    // Slow waviness of the grain lines along the board, and fine fibre streaks
+    const wave = createNoise(random, 6);
+    const streaks = Array.from({ length: width }, () => random() * 2 - 1);
+    // Arches of a flat-sawn face: rounded at their tips and climbing a whole
+    // number of rings over the texture's height
+    const archCenter = width * (0.3 + random() * 0.4);
+    const archRound = width * (0.15 + random() * 0.25);
+    const archClimb = Math.max(Math.round(height * 0.12 / spacing), 1) * spacing / height;
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const offset = wave(y, height) * spacing * 1.5;
+      for (let x = 0; x < width; x++) {
+        let amount = 0;
+        if (appearance.figure !== 'plain') {
+          let distance;
+          if (appearance.figure === 'cathedral') {
+            const dx = wrappedOffset(x, archCenter, width);
+            distance = Math.sqrt(dx * dx * 4 + archRound * archRound) - y * archClimb;
+          } else {
+            distance = x;
+          }
+          const ring = fract((distance + offset) / spacing);
+          // Latewood: a sharp dark line at the end of each ring, fading into earlywood
+          amount = Math.pow(ring, 4) * contrast;
+        }
+        amount += streaks[x] * 0.06 * Math.max(contrast, 0.2);
+        amount = Math.min(Math.max(amount, 0), 1);
+
+        const index = (y * width + x) * 4;
+        data[index] = base[0] + (grain[0] - base[0]) * amount;
+        data[index + 1] = base[1] + (grain[1] - base[1]) * amount;
+        data[index + 2] = base[2] + (grain[2] - base[2]) * amount;
+        data[index + 3] = 255;
+      }
+    }
+    return { data, width, height };
+  }
+
+  /**
+   * RGBA pixels of the species' end grain: growth rings curving around a
+   * pith below the texture, with open pores, darker than the face grain as
+   * end grain soaks up more finish and light. Runs across the board's width
+   * along the texture width and through its thickness along the height; the
+   * rings mirror halfway between repeats of the pith so the texture tiles.
+   * @returns {Object} { data: Uint8Array, width, height }
+   */
+  static generateEndGrainPixels(appearance, seed = '', size = WIDTH) {
+    const random = createRandom(hashString(`${seed}:end`));
+    const darken = color => color.map(channel => channel * END_GRAIN_SHADE);
+    const base = darken(parseColor(appearance.baseColor));
+    const grain = darken(parseColor(appearance.grainColor));
+    const spacing = fitSpacing(appearance.ringSpacing, size);
+    const contrast = Math.min(Math.max(appearance.contrast, 0), 1);
+    const pithX = size * (0.2 + random() * 0.6);
+    const pithDepth = size * (1 + random());
+
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let amount = 0;
+        if (appearance.figure !== 'plain') {
+          // Rings climb one spacing per spacing of height, a whole number over the texture
+          const ring = fract((Math.hypot(wrappedOffset(x, pithX, size), pithDepth) + y) / spacing);
+          amount = Math.pow(ring, 4) * contrast;
+        }
+        // Pores: scattered dark specks
+        if (random() < 0.02 + 0.04 * contrast) {
+          amount += 0.5;
+        }
+        amount = Math.min(amount, 1);
+
+        const index = (y * size + x) * 4;
+        data[index] = base[0] + (grain[0] - base[0]) * amount;
+        data[index + 1] = base[1] + (grain[1] - base[1]) * amount;
+        data[index + 2] = base[2] + (grain[2] - base[2]) * amount;
+        data[index + 3] = 255;
+      }
+    }
+    return { data, width: size, height: size };
+  }
+
+  /**
+   * @returns {THREE.DataTexture} Repeating sRGB texture of a species
+   */
+  static createTexture(appearance, seed = '') {
+    return this.toTexture(this.generatePixels(appearance, seed));
+  }
+
+  /**
+   * @returns {THREE.DataTexture} Repeating sRGB end grain texture of a species
+   */
+  static createEndGrainTexture(appearance, seed = '') {
+    return this.toTexture(this.generateEndGrainPixels(appearance, seed));
+  }
+
+  static toTexture({ data, width, height }) {
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+  }
+}
@@ -0,0 +1,210 @@
+import { ExplodedView } from '../rendering/ExplodedView.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+// How far (mm) boards start from their place when the sequence plays
+const PLAYBACK_DISTANCE = 120;
+// Seconds each board takes to slide into place
+const STEP_DURATION = 1;
+
+const easeInOut = t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+/**
+ * Exploded view slider and assembly sequence player. The sequence is the
+ * project's assemblyOrder; the first board stays put and every following
+ * board slides into place in turn.
+ */
+export class AssemblyPanel {
+  /**
+   * @param {StateManager} stateManager - Application state
+   * @param {Function} onPreviewChange - Called with true while boards are shown away from their positions
+   */
+  constructor(stateManager, onPreviewChange) {
+    this.stateManager = stateManager;
+    this.onPreviewChange = onPreviewChange;
+    this.explode = 0;
+    this.playback = null; // { startTime, pausedAt } while the sequence is playing or paused
+    this.previewActive = false;
+
+    const playBtn = document.getElementById('assembly-play-btn');
+    if (playBtn) {
+      playBtn.addEventListener('click', () => this.togglePlayback());
+    }
+    const stopBtn = document.getElementById('assembly-stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.stopPlayback());
+    }
+
+    const container = document.getElementById('assembly-panel');
+    if (container) {
+      container.innerHTML = `
+        <label class="assembly-explode">
+          <span>Explode: <span class="assembly-explode-value">${Units.format(0, stateManager.getState().units)}</span></span>
+          <input type="range" class="assembly-explode-input" min="0" max="200" step="5" value="0">
+        </label>
+        <div class="assembly-order-title">Assembly order</div>
+        <div class="assembly-order"></div>
+      `;
+      container.querySelector('.assembly-explode-input').addEventListener('input', (e) => {
+        this.explode = parseFloat(e.target.value);
+        this.renderExplode();
+        this.applyPreview();
+      });
+    }
+
+    // Board meshes are rebuilt on every state change, so the offsets are applied again
+    this.stateManager.subscribe(() => {
+      this.renderExplode();
+      this.renderOrder();
+      this.applyPreview();
+    });
+    this.renderOrder();
+  }
+
+  renderExplode() {
+    const value = document.querySelector('#assembly-panel .assembly-explode-value');
+    if (value) {
+      value.textContent = Units.format(this.explode, this.stateManager.getState().units, 1);
+    }
+  }
+
+  /**
+   * Boards in assembly order: the saved order first, then any boards not in it yet.
+   */
+  getOrder(state = this.stateManager.getState()) {
+    const ordered = state.assemblyOrder.filter(id => state.boards.has(id));
+    const remaining = Array.from(state.boards.keys())
+      .filter(id => !ordered.includes(id))
+      .sort((a, b) => a.localeCompare(b));
+    return [...ordered, ...remaining];
+  }
+
+  moveBoard(id, step) {
+    const order = this.getOrder();
+    const index = order.indexOf(id);
+    const target = index + step;
+    if (index < 0 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    this.stateManager.setState({ assemblyOrder: order }, { label: 'Reorder assembly' });
+  }
+
+  renderOrder() {
+    const container = document.querySelector('#assembly-panel .assembly-order');
+    if (!container) return;
+
+    const state = this.stateManager.getState();
+    const order = this.getOrder(state);
+
+    if (order.length === 0) {
+      container.innerHTML = '<div class="placeholder">Add boards to plan the assembly</div>';
+      return;
+    }
+
+    container.innerHTML = order.map((id, index) => {
+      const board = state.boards.get(id);
+      return `
+        <div class="assembly-item ${id === state.selectedBoardId ? 'selected' : ''}" data-id="${escapeHTML(id)}">
+          <span class="assembly-step">${index + 1}</span>
+          <span class="assembly-name">${escapeHTML(board.displayName || board.id)}</span>
+          <button class="assembly-move" data-step="-1" title="Earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="assembly-move" data-step="1" title="Later" ${index === order.length - 1 ? 'disabled' : ''}>↓</button>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.assembly-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const board = this.stateManager.getState().boards.get(item.dataset.id);
+        this.stateManager.setState({ selectedBoardId: item.dataset.id }, {
+          label: `Select ${board ? board.displayName || board.id : item.dataset.id}`
+        });
+      });
+    });
+    container.querySelectorAll('.assembly-move').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.moveBoard(btn.closest('.assembly-item').dataset.id, parseInt(btn.dataset.step, 10));
+      });
+    });
+  }
+
+  togglePlayback() {
+    const now = performance.now() / 1000;
+
+    if (!this.playback) {
+      this.playback = { startTime: now, pausedAt: null };
+      this.animate();
+    } else if (this.playback.pausedAt !== null) {
+      this.playback.startTime += now - this.playback.pausedAt;
+      this.playback.pausedAt = null;
+      this.animate();
+    } else {
+      this.playback.pausedAt = now;
+    }
+    this.updatePlayButton();
+  }
+
+  stopPlayback() {
+    this.playback = null;
+    this.updatePlayButton();
+    this.applyPreview();
+  }
+
+  updatePlayButton() {
+    const playBtn = document.getElementById('assembly-play-btn');
+    if (playBtn) {
+      playBtn.textContent = this.playback && this.playback.pausedAt === null ? 'Pause' : 'Play';
+    }
+  }
+
+  animate() {
+    if (!this.playback || this.playback.pausedAt !== null) return;
+
+    const steps = Math.max(this.getOrder().length - 1, 0);
+    if (this.getProgress() >= steps) {
+      this.stopPlayback();
+      return;
+    }
+
+    this.applyPreview();
+    requestAnimationFrame(() => this.animate());
+  }
+
+  /**
+   * Number of boards that have finished sliding into place after the first,
+   * with the fraction of the one currently moving.
+   */
+  getProgress() {
+    if (!this.playback) return 0;
+    const now = this.playback.pausedAt ?? performance.now() / 1000;
+    return (now - this.playback.startTime) / STEP_DURATION;
+  }
+
+  applyPreview() {
+    const state = this.stateManager.getState();
+    const order = this.getOrder(state);
+    const boards = order.map(id => state.boards.get(id));
+    const directions = ExplodedView.getDirections(boards);
+
+    if (this.playback) {
+      const progress = this.getProgress();
+      const distance = Math.max(this.explode, PLAYBACK_DISTANCE);
+      ExplodedView.apply(boards, directions, (board, index) => {
+        if (index === 0) return 0;
+        const t = Math.min(Math.max(progress - (index - 1), 0), 1);
+        return distance * (1 - easeInOut(t));
+      });
+    } else {
+      ExplodedView.apply(boards, directions, () => this.explode);
+    }
+
+    const active = Boolean(this.playback) || this.explode > 0;
+    if (active !== this.previewActive) {
+      this.previewActive = active;
+      if (this.onPreviewChange) {
+        this.onPreviewChange(active);
+      }
+    }
+  }
+}
@@ -1,4 +1,11 @@
 import { Board } from '../models/Board.js';
+import { JointLinker } from '../utils/JointLinker.js';
+import { MateSolver } from '../utils/MateSolver.js';
+import { BoardGroups } from '../utils/BoardGroups.js';
+import { BoardCopier } from '../utils/BoardCopier.js';
+import { Units } from '../utils/Units.js';
+import { WoodCatalog } from '../utils/WoodCatalog.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
 
 export class BoardEditor {
   constructor(stateManager, scene3D, materialLibrary) {
@@ -10,15 +17,24 @@ export class BoardEditor {
     this.previousBoardIds = new Set();
     this.previousSelectedBoardId = null;
     this.previousDisplayNames = new Map();
+    this.previousUnits = null;
+    this.previousGroups = null;
+    this.previousCustomSpecies = null;
+    this.previousMembership = '';
     this.previousBoardProperties = new Map(); // Track board properties to detect changes
+    // Groups folded in the list; a view setting, so not part of the undo history
+    this.collapsedGroups = new Set();
 
     this.stateManager.subscribe((state) => this.render());
     this.render();
   }
 
-  createBoard(dimensions = { width: 100, height: 50, thickness: 20 }) {
+  /**
+   * Returns a function handing out board ids that follow the highest existing one.
+   */
+  createIdSequence() {
     const state = this.stateManager.getState();
-    
+
     // Calculate the next board ID based on existing boards
     let maxId = 0;
     state.boards.forEach((existingBoard, existingId) => {
@@ -30,7 +46,26 @@ export class BoardEditor {
         }
       }
     });
-    const id = `board-${maxId + 1}`;
+    return () => `board-${++maxId}`;
+  }
+
+  /**
+   * Returns a function handing out group ids that follow the highest existing one.
+   */
+  createGroupIdSequence() {
+    let maxId = 0;
+    this.stateManager.getState().groups.forEach((group, id) => {
+      const match = id.match(/^group-(\d+)$/);
+      if (match) {
+        maxId = Math.max(maxId, parseInt(match[1], 10));
+      }
+    });
+    return () => `group-${++maxId}`;
+  }
+
+  createBoard(dimensions = { width: 100, height: 50, thickness: 20 }) {
+    const state = this.stateManager.getState();
+    const id = this.createIdSequence()();
     const board = new Board(id, dimensions);
 
     // Create a new Map with all existing boards
@@ -44,10 +79,55 @@ export class BoardEditor {
     const mesh = board.createMesh(this.materialLibrary);
     this.scene3D.addMesh(mesh);
 
-    this.stateManager.setState({ boards, selectedBoardId: id });
+    this.stateManager.setState({ boards, selectedBoardId: id }, { label: `Add ${id}` });
   }
 
-  updateBoard(id, updates) {
+  /**
+   * Adds several boards in one undoable step.
+   * @param {Map} newBoards - Boards by id
+   * @param {Object} extraState - Further state updates committed with them
+   * @param {string} label - Name of the step in the undo history
+   */
+  addBoards(newBoards, extraState = {}, label = `Add ${newBoards.size} boards`) {
+    const state = this.stateManager.getState();
+    const boards = new Map(state.boards);
+
+    newBoards.forEach((board, id) => {
+      this.scene3D.addMesh(board.createMesh(this.materialLibrary));
+      boards.set(id, board);
+    });
+
+    this.stateManager.setState({ boards, ...extraState }, { label });
+  }
+
+  boardName(board) {
+    return board.displayName || board.id;
+  }
+
+  /**
+   * Undo history label for a board update, from the first field it changes.
+   */
+  describeUpdate(board, updates) {
+    const name = this.boardName(board);
+    if ('dimensions' in updates) return `Resize ${name}`;
+    if ('position' in updates) return `Move ${name}`;
+    if ('rotation' in updates) return `Rotate ${name}`;
+    if ('displayName' in updates) return `Rename ${name}`;
+    if ('groupId' in updates) return `Regroup ${name}`;
+    if ('woodType' in updates) return `Change wood of ${name}`;
+    if ('grainDirection' in updates) return `Change grain of ${name}`;
+    if ('joints' in updates) return `Change joints of ${name}`;
+    if ('mortises' in updates || 'faceCuts' in updates) return `Edit features of ${name}`;
+    return `Edit ${name}`;
+  }
+
+  /**
+   * Replaces fields of a board as one undo step; boards mated to it follow.
+   * @param {string} id - Board id
+   * @param {Object} updates - Board fields to replace
+   * @param {Object} action - { label, mergeKey } for the undo history; see StateManager.setState
+   */
+  updateBoard(id, updates, action = {}) {
     const state = this.stateManager.getState();
     const board = state.boards.get(id);
     if (!board) return;
@@ -56,18 +136,15 @@ export class BoardEditor {
     Object.assign(updatedBoard, updates);
     updatedBoard.mesh = board.mesh;
 
+    // Moving a mated board by hand releases it from its parent
+    if (board.mate && !('mate' in updates) && ('position' in updates || 'rotation' in updates)) {
+      updatedBoard.mate = null;
+    }
+
     // Check if woodType or grainDirection changed to update material
     const woodTypeChanged = 'woodType' in updates && updates.woodType !== board.woodType;
-    // Normalize 'horizontal' to 'width' for backward compatibility
-    const currentGrainDirection = board.grainDirection === 'horizontal' ? 'width' : board.grainDirection;
-    const newGrainDirection = 'grainDirection' in updates ? updates.grainDirection : currentGrainDirection;
-    const grainDirectionChanged = 'grainDirection' in updates && newGrainDirection !== currentGrainDirection;
+    const grainDirectionChanged = 'grainDirection' in updates && updates.grainDirection !== board.grainDirection;
     const materialNeedsUpdate = woodTypeChanged || grainDirectionChanged;
-    
-    // Normalize grainDirection if it's 'horizontal'
-    if (updatedBoard.grainDirection === 'horizontal') {
-      updatedBoard.grainDirection = 'width';
-    }
 
     if (updatedBoard.mesh) {
       // Pass materialLibrary if woodType or grainDirection changed, otherwise just update geometry/transform
@@ -80,7 +157,11 @@ export class BoardEditor {
     const boards = new Map(state.boards);
     boards.set(id, updatedBoard);
 
-    this.stateManager.setState({ boards });
+    // Boards mated to this one follow it
+    this.stateManager.setState({ boards: MateSolver.propagate(boards, id) }, {
+      label: action.label || this.describeUpdate(board, updates),
+      mergeKey: action.mergeKey || null
+    });
   }
 
   deleteBoard(id) {
@@ -93,24 +174,122 @@ export class BoardEditor {
       board.mesh.geometry.dispose();
     }
 
-    const boards = new Map(state.boards);
+    // Free any partner sides and placed boards that depended on this board before removing it
+    const boards = new Map(MateSolver.removeBoardMates(JointLinker.removeBoardLinks(state.boards, id), id));
     boards.delete(id);
 
-    const newState = { boards };
+    const newState = { boards, assemblyOrder: state.assemblyOrder.filter(boardId => boardId !== id) };
     if (state.selectedBoardId === id) {
       newState.selectedBoardId = null;
       newState.selectedSide = null;
     }
 
-    this.stateManager.setState(newState);
+    this.stateManager.setState(newState, { label: `Delete ${this.boardName(board)}` });
+  }
+
+  /**
+   * Adds copies made by BoardCopier in one undoable step and selects the first.
+   * @param {Function} make - (boards, nextId) → Map of copies
+   * @param {string} label - Name of the step in the undo history
+   * @returns {number} Number of boards added
+   */
+  addCopies(make, label) {
+    const copies = make(this.stateManager.getState().boards, this.createIdSequence());
+    if (copies.size === 0) return 0;
+
+    this.addBoards(copies, { selectedBoardId: copies.keys().next().value, selectedSide: null }, label);
+    return copies.size;
+  }
+
+  duplicateBoard(id) {
+    const board = this.stateManager.getState().boards.get(id);
+    if (!board) return 0;
+    return this.addCopies((boards, nextId) => BoardCopier.duplicate(boards, [id], nextId), `Duplicate ${this.boardName(board)}`);
+  }
+
+  /**
+   * Creates a group holding the selected board, or an empty one.
+   */
+  createGroup() {
+    const state = this.stateManager.getState();
+    const id = this.createGroupIdSequence()();
+    const boardIds = state.selectedBoardId ? [state.selectedBoardId] : [];
+    const { boards, groups } = BoardGroups.create(state.boards, state.groups, id, `Group ${id.replace('group-', '')}`, boardIds);
+    this.stateManager.setState({ boards, groups }, { label: `Add ${id}` });
+  }
+
+  /**
+   * Renames, re-parents or moves a group as one undo step. A new position or
+   * rotation carries the group's boards and nested groups along.
+   * @param {string} id - Group id
+   * @param {Object} updates - Any of name, parentId, position, rotation
+   * @param {Object} action - { label, mergeKey } for the undo history
+   */
+  updateGroup(id, updates, action = {}) {
+    const state = this.stateManager.getState();
+    const group = state.groups.get(id);
+    if (!group) return;
+
+    let { boards, groups } = state;
+    if ('position' in updates || 'rotation' in updates) {
+      ({ boards, groups } = BoardGroups.transform(
+        boards,
+        groups,
+        id,
+        updates.position || group.position,
+        updates.rotation || group.rotation
+      ));
+    }
+    if ('parentId' in updates) {
+      groups = BoardGroups.setParent(groups, id, updates.parentId);
+    }
+    if ('name' in updates) {
+      const renamed = groups.get(id).clone();
+      renamed.name = updates.name;
+      groups = new Map(groups);
+      groups.set(id, renamed);
+    }
+    if (boards === state.boards && groups === state.groups) return;
+
+    let label = `Edit ${group.name}`;
+    if ('position' in updates) label = `Move ${group.name}`;
+    else if ('rotation' in updates) label = `Rotate ${group.name}`;
+    else if ('name' in updates) label = `Rename ${group.name}`;
+    this.stateManager.setState({ boards, groups }, { label: action.label || label, mergeKey: action.mergeKey || null });
+  }
+
+  ungroup(id) {
+    const state = this.stateManager.getState();
+    const group = state.groups.get(id);
+    if (!group) return;
+
+    const { boards, groups } = BoardGroups.ungroup(state.boards, state.groups, id);
+    this.collapsedGroups.delete(id);
+    this.stateManager.setState({ boards, groups }, { label: `Ungroup ${group.name}` });
+  }
+
+  duplicateGroup(id) {
+    const state = this.stateManager.getState();
+    const group = state.groups.get(id);
+    if (!group) return;
+
+    const { newBoards, groups } = BoardGroups.duplicate(
+      state.boards,
+      state.groups,
+      id,
+      this.createIdSequence(),
+      this.createGroupIdSequence()
+    );
+    this.addBoards(newBoards, { groups }, `Duplicate ${group.name}`);
   }
 
   selectBoard(id) {
-    this.stateManager.setState({ selectedBoardId: id });
+    const board = this.stateManager.getState().boards.get(id);
+    this.stateManager.setState({ selectedBoardId: id }, { label: `Select ${board ? this.boardName(board) : id}` });
   }
 
   deselectAllBoards() {
-    this.stateManager.setState({ selectedBoardId: null, selectedSide: null });
+    this.stateManager.setState({ selectedBoardId: null, selectedSide: null }, { label: 'Deselect all' });
   }
 
   render() {
@@ -126,9 +305,13 @@ export class BoardEditor {
     const structureChanged = 
       currentBoardIds.length !== previousBoardIdsArray.length ||
       currentBoardIds.some((id, index) => id !== previousBoardIdsArray[index]);
+    // Boards moving between groups, and any group change, reshape the tree
+    const membership = currentBoardIds.map(id => state.boards.get(id).groupId || '').join('|');
+    const groupsChanged = state.groups !== this.previousGroups || membership !== this.previousMembership;
+    const optionsChanged = state.units !== this.previousUnits || state.customSpecies !== this.previousCustomSpecies;
 
-    if (structureChanged) {
-      // Full re-render needed for add/delete
+    if (structureChanged || groupsChanged || optionsChanged) {
+      // Full re-render needed for add/delete, regrouping, to show lengths in new units or to list new species
       this.renderFull(container, state);
     } else {
       // Structure unchanged - update in place
@@ -158,6 +341,10 @@ export class BoardEditor {
     // Update tracked state
     this.previousBoardIds = new Set(currentBoardIds);
     this.previousSelectedBoardId = state.selectedBoardId;
+    this.previousUnits = state.units;
+    this.previousGroups = state.groups;
+    this.previousCustomSpecies = state.customSpecies;
+    this.previousMembership = membership;
     this.previousDisplayNames.clear();
     this.previousBoardProperties.clear();
     state.boards.forEach((board, id) => {
@@ -179,24 +366,143 @@ export class BoardEditor {
       container.removeChild(container.firstChild);
     }
 
-    // Convert Map to array and sort by board ID for consistent ordering
-    const boardsArray = Array.from(state.boards.entries());
-    boardsArray.sort(([idA], [idB]) => idA.localeCompare(idB));
-    
     // Use DocumentFragment to batch DOM updates
     const fragment = document.createDocumentFragment();
-    
-    boardsArray.forEach(([id, board]) => {
-      // Ensure we have a valid board object
-      if (!board || !board.id) {
-        console.warn('Invalid board in render:', { id, board });
-        return;
+    this.appendLevel(fragment, state, null);
+    container.appendChild(fragment);
+  }
+
+  /**
+   * Appends the groups and boards directly inside a group (or at the top
+   * level for null): nested groups first, then boards, each sorted by id.
+   */
+  appendLevel(parent, state, groupId) {
+    const byId = ([idA], [idB]) => idA.localeCompare(idB);
+
+    Array.from(state.groups.entries())
+      .filter(([, group]) => group.parentId === groupId)
+      .sort(byId)
+      .forEach(([, group]) => parent.appendChild(this.createGroupElement(group, state)));
+
+    // Convert Map to array and sort by board ID for consistent ordering
+    Array.from(state.boards.entries())
+      .filter(([, board]) => (board.groupId || null) === groupId)
+      .sort(byId)
+      .forEach(([id, board]) => {
+        // Ensure we have a valid board object
+        if (!board || !board.id) {
+          console.warn('Invalid board in render:', { id, board });
+          return;
+        }
+        parent.appendChild(this.createBoardElement(board, board.id === state.selectedBoardId));
+      });
+  }
+
+  createGroupElement(group, state) {
+    const length = (mm, limits) => Units.inputAttributes(mm, state.units, limits);
+    const degrees = radians => Math.round(radians * 180 / Math.PI);
+    const boardCount = BoardGroups.boardIds(state.boards, state.groups, group.id).length;
+    // A group cannot nest in itself or in one of its own nested groups
+    const nested = BoardGroups.descendantGroupIds(state.groups, group.id);
+    const parentOptions = Array.from(state.groups.values())
+      .filter(other => !nested.has(other.id))
+      .map(other => `<option value="${other.id}" ${other.id === group.parentId ? 'selected' : ''}>${escapeHTML(other.name)}</option>`)
+      .join('');
+
+    const div = document.createElement('div');
+    div.className = `group-item ${this.collapsedGroups.has(group.id) ? 'collapsed' : ''}`;
+    div.setAttribute('data-group-id', group.id);
+    div.innerHTML = `
+      <div class="group-header">
+        <button class="group-toggle" title="Collapse or expand">${this.collapsedGroups.has(group.id) ? '▸' : '▾'}</button>
+        <span class="group-name">${escapeHTML(group.name)}</span>
+        <span class="group-count">${boardCount} board${boardCount === 1 ? '' : 's'}</span>
+        <button class="group-action" data-action="rename" title="Rename group">✎</button>
+        <button class="group-action" data-action="duplicate" title="Duplicate group">⧉</button>
+        <button class="group-action" data-action="ungroup" title="Ungroup (keeps the boards)">×</button>
+      </div>
+      <div class="group-body">
+        <div class="board-props">
+          <label>
+            Inside:
+            <select class="group-parent-select">
+              <option value="">(top level)</option>
+              ${parentOptions}
+            </select>
+          </label>
+        </div>
+        <div class="board-transform">
+          <div class="transform-group">
+            <span>Position</span>
+            ${['x', 'y', 'z'].map(axis => `
+              <label>${axis.toUpperCase()}: <input ${length(group.position[axis], { step: 5 })} class="group-pos-input" data-axis="${axis}"></label>
+            `).join('')}
+          </div>
+          <div class="transform-group">
+            <span>Rotation (°)</span>
+            ${['x', 'y', 'z'].map(axis => `
+              <label>${axis.toUpperCase()}: <input type="number" class="group-rot-input" data-axis="${axis}" value="${degrees(group.rotation[axis])}" step="15"></label>
+            `).join('')}
+          </div>
+        </div>
+        <div class="group-children"></div>
+      </div>
+    `;
+
+    this.appendLevel(div.querySelector('.group-children'), state, group.id);
+
+    div.querySelector('.group-toggle').addEventListener('click', () => {
+      if (this.collapsedGroups.has(group.id)) {
+        this.collapsedGroups.delete(group.id);
+      } else {
+        this.collapsedGroups.add(group.id);
       }
-      const boardEl = this.createBoardElement(board, board.id === state.selectedBoardId);
-      fragment.appendChild(boardEl);
+      div.classList.toggle('collapsed');
+      div.querySelector('.group-toggle').textContent = div.classList.contains('collapsed') ? '▸' : '▾';
     });
-    
-    container.appendChild(fragment);
+
+    div.querySelectorAll('.group-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'rename') {
+          const name = prompt('Rename group', group.name);
+          if (name !== null && name.trim()) {
+            this.updateGroup(group.id, { name: name.trim() });
+          }
+        } else if (btn.dataset.action === 'duplicate') {
+          this.duplicateGroup(group.id);
+        } else if (btn.dataset.action === 'ungroup') {
+          this.ungroup(group.id);
+        }
+      });
+    });
+
+    div.querySelector('.group-parent-select').addEventListener('change', (e) => {
+      this.updateGroup(group.id, { parentId: e.target.value || null });
+    });
+
+    div.querySelectorAll('.group-pos-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const current = this.stateManager.getState().groups.get(group.id);
+        const value = Units.parse(e.target.value, this.stateManager.getState().units);
+        if (!current || isNaN(value)) return;
+        this.updateGroup(group.id, {
+          position: { ...current.position, [e.target.dataset.axis]: value }
+        }, { mergeKey: `${group.id}.position.${e.target.dataset.axis}` });
+      });
+    });
+
+    div.querySelectorAll('.group-rot-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const current = this.stateManager.getState().groups.get(group.id);
+        const value = parseFloat(e.target.value) * Math.PI / 180;
+        if (!current || isNaN(value)) return;
+        this.updateGroup(group.id, {
+          rotation: { ...current.rotation, [e.target.dataset.axis]: value }
+        }, { mergeKey: `${group.id}.rotation.${e.target.dataset.axis}` });
+      });
+    });
+
+    return div;
   }
 
   updateSelection(container, previousSelectedId, currentSelectedId) {
@@ -234,24 +540,25 @@ export class BoardEditor {
   updateBoardInputs(container, boardId, board, previousProps) {
     const boardItem = container.querySelector(`.board-item[data-id="${boardId}"]`);
     if (!boardItem) return;
+    const units = this.stateManager.getState().units;
 
     // Update dimension inputs
     if (board.dimensions.width !== previousProps.dimensions?.width) {
       const widthInput = boardItem.querySelector('.dim-input[data-prop="width"]');
       if (widthInput && document.activeElement !== widthInput) {
-        widthInput.value = board.dimensions.width;
+        widthInput.value = Units.formatValue(board.dimensions.width, units);
       }
     }
     if (board.dimensions.height !== previousProps.dimensions?.height) {
       const heightInput = boardItem.querySelector('.dim-input[data-prop="height"]');
       if (heightInput && document.activeElement !== heightInput) {
-        heightInput.value = board.dimensions.height;
+        heightInput.value = Units.formatValue(board.dimensions.height, units);
       }
     }
     if (board.dimensions.thickness !== previousProps.dimensions?.thickness) {
       const thicknessInput = boardItem.querySelector('.dim-input[data-prop="thickness"]');
       if (thicknessInput && document.activeElement !== thicknessInput) {
-        thicknessInput.value = board.dimensions.thickness;
+        thicknessInput.value = Units.formatValue(board.dimensions.thickness, units);
       }
     }
 
@@ -259,19 +566,19 @@ export class BoardEditor {
     if (board.position.x !== previousProps.position?.x) {
       const xInput = boardItem.querySelector('.pos-input[data-axis="x"]');
       if (xInput && document.activeElement !== xInput) {
-        xInput.value = board.position.x;
+        xInput.value = Units.formatValue(board.position.x, units);
       }
     }
     if (board.position.y !== previousProps.position?.y) {
       const yInput = boardItem.querySelector('.pos-input[data-axis="y"]');
       if (yInput && document.activeElement !== yInput) {
-        yInput.value = board.position.y;
+        yInput.value = Units.formatValue(board.position.y, units);
       }
     }
     if (board.position.z !== previousProps.position?.z) {
       const zInput = boardItem.querySelector('.pos-input[data-axis="z"]');
       if (zInput && document.activeElement !== zInput) {
-        zInput.value = board.position.z;
+        zInput.value = Units.formatValue(board.position.z, units);
       }
     }
 
@@ -314,12 +621,14 @@ export class BoardEditor {
     if (board.grainDirection !== previousProps.grainDirection) {
       const grainSelect = boardItem.querySelector('.grain-select');
       if (grainSelect && document.activeElement !== grainSelect) {
-        grainSelect.value = board.grainDirection === 'horizontal' ? 'width' : board.grainDirection;
+        grainSelect.value = board.grainDirection;
       }
     }
   }
 
   createBoardElement(board, isSelected) {
+    const { units, groups, customSpecies } = this.stateManager.getState();
+    const length = (mm, limits) => Units.inputAttributes(mm, units, limits);
     const div = document.createElement('div');
     div.className = `board-item ${isSelected ? 'selected' : ''}`;
     div.setAttribute('data-id', board.id);
@@ -331,41 +640,52 @@ export class BoardEditor {
           <span class="board-id">${displayName}</span>
           <button class="edit-name-btn" data-id="${board.id}" title="Edit name">✎</button>
         </div>
+        <button class="duplicate-btn" data-id="${board.id}" title="Duplicate with joints (Ctrl+D)">⧉</button>
         <button class="delete-btn" data-id="${board.id}">×</button>
       </div>
       <div class="board-props">
         <label>
-          W: <input type="number" class="dim-input" data-prop="width" data-id="${board.id}" value="${board.dimensions.width}" step="1" min="10">
+          W: <input ${length(board.dimensions.width, { step: 1, min: 10 })} class="dim-input" data-prop="width" data-id="${board.id}">
         </label>
         <label>
-          H: <input type="number" class="dim-input" data-prop="height" data-id="${board.id}" value="${board.dimensions.height}" step="1" min="10">
+          H: <input ${length(board.dimensions.height, { step: 1, min: 10 })} class="dim-input" data-prop="height" data-id="${board.id}">
         </label>
         <label>
-          T: <input type="number" class="dim-input" data-prop="thickness" data-id="${board.id}" value="${board.dimensions.thickness}" step="1" min="5">
+          T: <input ${length(board.dimensions.thickness, { step: 1, min: 5 })} class="dim-input" data-prop="thickness" data-id="${board.id}">
         </label>
       </div>
       <div class="board-props">
         <label>
           Wood:
           <select class="wood-select" data-id="${board.id}">
-            <option value="ash" ${board.woodType === 'ash' ? 'selected' : ''}>Ash</option>
-            <option value="cherry" ${board.woodType === 'cherry' ? 'selected' : ''}>Cherry</option>
+            ${WoodCatalog.renderOptions(board.woodType, customSpecies)}
           </select>
         </label>
         <label>
           Grain:
           <select class="grain-select" data-id="${board.id}">
-            <option value="width" ${(board.grainDirection === 'width' || board.grainDirection === 'horizontal') ? 'selected' : ''}>Width</option>
+            <option value="width" ${board.grainDirection === 'width' ? 'selected' : ''}>Width</option>
             <option value="height" ${board.grainDirection === 'height' ? 'selected' : ''}>Height</option>
           </select>
         </label>
+        ${groups.size > 0 ? `
+          <label>
+            Group:
+            <select class="group-select" data-id="${board.id}">
+              <option value="">(none)</option>
+              ${Array.from(groups.values()).map(group => `
+                <option value="${group.id}" ${group.id === board.groupId ? 'selected' : ''}>${escapeHTML(group.name)}</option>
+              `).join('')}
+            </select>
+          </label>
+        ` : ''}
       </div>
       <div class="board-transform">
         <div class="transform-group">
           <span>Position</span>
-          <label>X: <input type="number" class="pos-input" data-axis="x" data-id="${board.id}" value="${board.position.x}" step="5"></label>
-          <label>Y: <input type="number" class="pos-input" data-axis="y" data-id="${board.id}" value="${board.position.y}" step="5"></label>
-          <label>Z: <input type="number" class="pos-input" data-axis="z" data-id="${board.id}" value="${board.position.z}" step="5"></label>
+          <label>X: <input ${length(board.position.x, { step: 5 })} class="pos-input" data-axis="x" data-id="${board.id}"></label>
+          <label>Y: <input ${length(board.position.y, { step: 5 })} class="pos-input" data-axis="y" data-id="${board.id}"></label>
+          <label>Z: <input ${length(board.position.z, { step: 5 })} class="pos-input" data-axis="z" data-id="${board.id}"></label>
         </div>
         <div class="transform-group">
           <span>Rotation (°)</span>
@@ -376,6 +696,11 @@ export class BoardEditor {
       </div>
     `;
 
+    div.querySelector('.duplicate-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.duplicateBoard(board.id);
+    });
+
     div.querySelector('.delete-btn').addEventListener('click', (e) => {
       e.stopPropagation();
       this.deleteBoard(board.id);
@@ -435,14 +760,14 @@ export class BoardEditor {
     div.querySelectorAll('.dim-input').forEach(input => {
       input.addEventListener('change', (e) => {
         const prop = e.target.dataset.prop;
-        const value = parseFloat(e.target.value);
         // Get current board from state to avoid stale closure data
         const currentState = this.stateManager.getState();
+        const value = Units.parse(e.target.value, currentState.units);
         const currentBoard = currentState.boards.get(board.id);
-        if (!currentBoard) return;
+        if (!currentBoard || isNaN(value)) return;
         this.updateBoard(board.id, {
           dimensions: { ...currentBoard.dimensions, [prop]: value }
-        });
+        }, { mergeKey: `${board.id}.dimensions.${prop}` });
       });
     });
 
@@ -500,17 +825,27 @@ export class BoardEditor {
       });
     }
 
+    const groupSelect = div.querySelector('.group-select');
+    if (groupSelect) {
+      groupSelect.addEventListener('change', (e) => {
+        this.updateBoard(board.id, { groupId: e.target.value || null });
+      });
+      // Keep the board from being selected while choosing
+      groupSelect.addEventListener('mousedown', (e) => e.stopPropagation());
+      groupSelect.addEventListener('click', (e) => e.stopPropagation());
+    }
+
     div.querySelectorAll('.pos-input').forEach(input => {
       input.addEventListener('change', (e) => {
         const axis = e.target.dataset.axis;
-        const value = parseFloat(e.target.value);
         // Get current board from state to avoid stale closure data
         const currentState = this.stateManager.getState();
+        const value = Units.parse(e.target.value, currentState.units);
         const currentBoard = currentState.boards.get(board.id);
-        if (!currentBoard) return;
+        if (!currentBoard || isNaN(value)) return;
         this.updateBoard(board.id, {
           position: { ...currentBoard.position, [axis]: value }
-        });
+        }, { mergeKey: `${board.id}.position.${axis}` });
       });
     });
 
@@ -524,7 +859,7 @@ export class BoardEditor {
         if (!currentBoard) return;
         this.updateBoard(board.id, {
           rotation: { ...currentBoard.rotation, [axis]: value }
-        });
+        }, { mergeKey: `${board.id}.rotation.${axis}` });
       });
     });
 
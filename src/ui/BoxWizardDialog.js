@@ -0,0 +1,126 @@
+import { BoxGenerator, DEFAULT_BOX, PANEL_STYLES } from '../generators/BoxGenerator.js';
+import { Units } from '../utils/Units.js';
+import { WoodCatalog } from '../utils/WoodCatalog.js';
+
+const DIMENSION_FIELDS = [
+  { prop: 'length', label: 'Length' },
+  { prop: 'width', label: 'Width' },
+  { prop: 'height', label: 'Height' },
+  { prop: 'thickness', label: 'Thickness' },
+  { prop: 'fingerWidth', label: 'Finger width' },
+  { prop: 'panelThickness', label: 'Panel thickness' }
+];
+
+/**
+ * Box wizard: builds a complete finger-jointed box from its outer dimensions
+ * and adds all of its boards in one undoable step.
+ */
+export class BoxWizardDialog {
+  constructor(stateManager, boardEditor, showNotification) {
+    this.stateManager = stateManager;
+    this.boardEditor = boardEditor;
+    this.showNotification = showNotification;
+    this.options = { ...DEFAULT_BOX };
+
+    this.modal = document.getElementById('box-wizard-modal');
+    const openBtn = document.getElementById('box-wizard-btn');
+    const closeBtn = document.getElementById('box-wizard-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    this.render();
+    this.modal.showModal();
+  }
+
+  render() {
+    const container = document.getElementById('box-wizard-body');
+    if (!container) return;
+
+    const { units } = this.stateManager.getState();
+    const validation = BoxGenerator.validate(this.options, units);
+    const styleOptions = selected => Object.entries(PANEL_STYLES)
+      .map(([key, label]) => `<option value="${key}" ${selected === key ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    container.innerHTML = `
+      <div class="template-options">
+        ${DIMENSION_FIELDS.map(field => `
+          <label>
+            ${field.label} (${Units.get(units).label})
+            <input ${Units.inputAttributes(this.options[field.prop], units, { min: 1, step: 1 })} class="box-input" data-prop="${field.prop}">
+          </label>
+        `).join('')}
+      </div>
+      <div class="template-options">
+        <label>
+          Bottom:
+          <select class="box-select" data-prop="bottom">${styleOptions(this.options.bottom)}</select>
+        </label>
+        <label>
+          Lid:
+          <select class="box-select" data-prop="lid">${styleOptions(this.options.lid)}</select>
+        </label>
+        <label>
+          Wood:
+          <select class="box-select" data-prop="woodType">
+            ${WoodCatalog.renderOptions(this.options.woodType, this.stateManager.getState().customSpecies)}
+          </select>
+        </label>
+      </div>
+      <div class="info-msg">Outer dimensions: length along X, width along Z and height along Y. Front and back walls carry the corner fingers; grooved and rabbeted panels use the panel thickness and sit in stopped cuts half the wall thickness deep.</div>
+      ${validation.valid ? '' : `<div class="error-msg">${validation.error}</div>`}
+      <div class="dialog-actions">
+        <button class="btn-primary box-wizard-run" ${validation.valid ? '' : 'disabled'}>Create Box</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.box-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.options[e.target.dataset.prop] = Units.parse(e.target.value, units);
+        this.render();
+      });
+    });
+    container.querySelectorAll('.box-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.options[e.target.dataset.prop] = e.target.value;
+        this.render();
+      });
+    });
+    container.querySelector('.box-wizard-run').addEventListener('click', () => this.create());
+  }
+
+  create() {
+    const result = BoxGenerator.generate(this.options, this.boardEditor.createIdSequence());
+    if (!result.valid) {
+      this.showNotification(result.error);
+      return;
+    }
+
+    const state = this.stateManager.getState();
+    const frontId = result.order.find(id => result.boards.get(id).displayName === 'Front');
+    this.boardEditor.addBoards(result.boards, {
+      selectedBoardId: frontId,
+      selectedSide: null,
+      assemblyOrder: [...state.assemblyOrder, ...result.order]
+    }, 'Generate box');
+
+    this.modal.close();
+    this.showNotification(`Box created with ${result.boards.size} boards`);
+  }
+}
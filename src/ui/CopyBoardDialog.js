@@ -0,0 +1,217 @@
+import { BoardCopier } from '../utils/BoardCopier.js';
+import { Units } from '../utils/Units.js';
+
+const MODES = {
+  duplicate: 'Duplicate',
+  mirror: 'Mirror',
+  linear: 'Linear array',
+  circular: 'Circular array'
+};
+
+const MIRROR_PLANES = {
+  x: 'Across X (left ↔ right)',
+  y: 'Across Y (top ↔ bottom)',
+  z: 'Across Z (front ↔ back)'
+};
+
+const DEFAULT_OPTIONS = {
+  mode: 'mirror',
+  axis: 'x',
+  plane: 0,
+  count: 3,
+  spacing: 100,
+  angle: 90,
+  center: { x: 0, y: 0, z: 0 }
+};
+
+/**
+ * Copies the selected board, with its joints, as a duplicate, a mirror image
+ * or a linear or circular array. Each operation is one undoable step.
+ */
+export class CopyBoardDialog {
+  constructor(stateManager, boardEditor, showNotification) {
+    this.stateManager = stateManager;
+    this.boardEditor = boardEditor;
+    this.showNotification = showNotification;
+    this.options = { ...DEFAULT_OPTIONS, center: { ...DEFAULT_OPTIONS.center } };
+
+    this.modal = document.getElementById('copy-board-modal');
+    const openBtn = document.getElementById('copy-board-btn');
+    const closeBtn = document.getElementById('copy-board-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    const { selectedBoardId } = this.stateManager.getState();
+    if (!selectedBoardId) {
+      this.showNotification('Select a board to copy first');
+      return;
+    }
+    this.render();
+    this.modal.showModal();
+  }
+
+  render() {
+    const container = document.getElementById('copy-board-body');
+    if (!container) return;
+
+    const { units, boards, selectedBoardId } = this.stateManager.getState();
+    const board = boards.get(selectedBoardId);
+    const unitLabel = Units.get(units).label;
+    const length = (prop, value, limits = { step: 1 }) =>
+      `<input ${Units.inputAttributes(value, units, limits)} class="copy-length" data-prop="${prop}">`;
+    const options = (choices, selected) => Object.entries(choices)
+      .map(([key, label]) => `<option value="${key}" ${selected === key ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const axisChoices = { x: 'X', y: 'Y', z: 'Z' };
+    const { mode } = this.options;
+
+    let fields = '';
+    let note = '';
+    if (mode === 'duplicate') {
+      note = 'The copy is placed beside the original along X.';
+    } else if (mode === 'mirror') {
+      fields = `
+        <label>
+          Plane:
+          <select class="copy-select" data-prop="axis">${options(MIRROR_PLANES, this.options.axis)}</select>
+        </label>
+        <label>
+          Plane at ${this.options.axis.toUpperCase()} (${unitLabel})
+          ${length('plane', this.options.plane)}
+        </label>
+      `;
+      note = 'Joint sides, finger patterns, mortises and face cuts are mirrored with the board, so a left joint becomes a right one. "Left" and "Right" (or "Top"/"Bottom", "Front"/"Back") swap in the name.';
+    } else {
+      fields = `
+        <label>
+          Count
+          <input type="number" class="copy-count" min="2" max="100" step="1" value="${this.options.count}">
+        </label>
+        <label>
+          ${mode === 'linear' ? 'Along' : 'About'}:
+          <select class="copy-select" data-prop="axis">${options(axisChoices, this.options.axis)}</select>
+        </label>
+        ${mode === 'linear' ? `
+          <label>
+            Spacing (${unitLabel})
+            ${length('spacing', this.options.spacing)}
+          </label>
+        ` : `
+          <label>
+            Angle step (°)
+            <input type="number" class="copy-angle" step="15" value="${this.options.angle}">
+          </label>
+          ${['x', 'y', 'z'].map(axis => `
+            <label>
+              Centre ${axis.toUpperCase()} (${unitLabel})
+              ${length(`center.${axis}`, this.options.center[axis])}
+            </label>
+          `).join('')}
+        `}
+      `;
+      note = 'Count includes the original. Copies are numbered after it, e.g. "Shelf 2", "Shelf 3".';
+    }
+
+    container.innerHTML = `
+      <div class="template-options">
+        <label>
+          Operation:
+          <select class="copy-select" data-prop="mode">${options(MODES, mode)}</select>
+        </label>
+        ${fields}
+      </div>
+      <div class="info-msg">Copies ${board ? board.displayName || board.id : 'the selected board'} with its joints. ${note}</div>
+      <div class="dialog-actions">
+        <button class="btn-primary copy-board-run">${MODES[mode]}</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.copy-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.options[e.target.dataset.prop] = e.target.value;
+        this.render();
+      });
+    });
+    container.querySelectorAll('.copy-length').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const value = Units.parse(e.target.value, units);
+        if (!isNaN(value)) {
+          const [prop, axis] = e.target.dataset.prop.split('.');
+          if (axis) {
+            this.options[prop][axis] = value;
+          } else {
+            this.options[prop] = value;
+          }
+        }
+        this.render();
+      });
+    });
+    const countInput = container.querySelector('.copy-count');
+    if (countInput) {
+      countInput.addEventListener('change', (e) => {
+        const count = parseInt(e.target.value, 10);
+        if (count >= 2) this.options.count = Math.min(count, 100);
+        this.render();
+      });
+    }
+    const angleInput = container.querySelector('.copy-angle');
+    if (angleInput) {
+      angleInput.addEventListener('change', (e) => {
+        const angle = parseFloat(e.target.value);
+        if (!isNaN(angle)) this.options.angle = angle;
+        this.render();
+      });
+    }
+    container.querySelector('.copy-board-run').addEventListener('click', () => this.apply());
+  }
+
+  apply() {
+    const { boards, selectedBoardId } = this.stateManager.getState();
+    const board = boards.get(selectedBoardId);
+    if (!board) {
+      this.showNotification('Select a board to copy first');
+      return;
+    }
+
+    const name = this.boardEditor.boardName(board);
+    const { mode, axis, plane, count, spacing, angle, center } = this.options;
+    let added;
+    if (mode === 'duplicate') {
+      added = this.boardEditor.duplicateBoard(board.id);
+    } else if (mode === 'mirror') {
+      added = this.boardEditor.addCopies(
+        (current, nextId) => BoardCopier.mirror(current, [board.id], nextId, axis, plane),
+        `Mirror ${name}`
+      );
+    } else if (mode === 'linear') {
+      added = this.boardEditor.addCopies(
+        (current, nextId) => BoardCopier.linearArray(current, [board.id], nextId, count, axis, spacing),
+        `Array ${name}`
+      );
+    } else {
+      added = this.boardEditor.addCopies(
+        (current, nextId) => BoardCopier.circularArray(current, [board.id], nextId, count, axis, angle * Math.PI / 180, center),
+        `Circular array of ${name}`
+      );
+    }
+
+    this.modal.close();
+    this.showNotification(`Added ${added} board${added === 1 ? '' : 's'}`);
+  }
+}
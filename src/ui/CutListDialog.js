@@ -0,0 +1,138 @@
+import { CutListGenerator, DEFAULT_ALLOWANCES } from '../generators/CutListGenerator.js';
+import { FileExporter } from '../utils/FileExporter.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+/**
+ * Cut list dialog: configurable milling allowances, a preview table and
+ * CSV / Markdown / HTML export of the current project's boards.
+ */
+export class CutListDialog {
+  constructor(stateManager, showNotification) {
+    this.stateManager = stateManager;
+    this.showNotification = showNotification;
+    this.allowances = { ...DEFAULT_ALLOWANCES };
+
+    this.modal = document.getElementById('cut-list-modal');
+    const openBtn = document.getElementById('cut-list-btn');
+    const closeBtn = document.getElementById('cut-list-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    if (this.stateManager.getState().boards.size === 0) {
+      this.showNotification('Add boards to generate a cut list');
+      return;
+    }
+
+    this.render();
+    this.modal.showModal();
+  }
+
+  getCutList() {
+    const state = this.stateManager.getState();
+    return CutListGenerator.generate(Array.from(state.boards.values()), this.allowances, state.units, state.customSpecies, state.tolerances.kerf);
+  }
+
+  render() {
+    const container = document.getElementById('cut-list-body');
+    if (!container) return;
+
+    const cutList = this.getCutList();
+    const unit = cutList.unit;
+    const allowanceInput = (prop, step) =>
+      `<input ${Units.inputAttributes(this.allowances[prop], unit, { step, min: 0 })} class="allowance-input" data-prop="${prop}">`;
+
+    container.innerHTML = `
+      <div class="cut-list-allowances">
+        <span>Rough allowances (${Units.get(unit).label}):</span>
+        <label>L ${allowanceInput('length', 1)}</label>
+        <label>W ${allowanceInput('width', 1)}</label>
+        <label>T ${allowanceInput('thickness', 0.5)}</label>
+        ${cutList.kerf > 0 ? `<span title="Set the kerf in the Tolerances panel">Rough L and W include the ${Units.format(cutList.kerf, Units.fine(unit))} kerf</span>` : ''}
+      </div>
+      <table class="cut-list-table">
+        <thead>
+          <tr><th>Qty</th><th>Species</th><th>Parts</th><th>Finished L×W×T</th><th>Rough L×W×T</th><th>Bd ft</th><th>Machining</th></tr>
+        </thead>
+        <tbody>
+          ${cutList.items.map(item => `
+            <tr>
+              <td>${item.quantity}</td>
+              <td>${escapeHTML(item.species)}</td>
+              <td>${escapeHTML(item.names.join(', '))}</td>
+              <td>${CutListGenerator.formatSize(item.finished, unit)}</td>
+              <td>${CutListGenerator.formatSize(item.rough, unit)}</td>
+              <td>${item.boardFeet.toFixed(2)}</td>
+              <td>${item.machining.map(escapeHTML).join('<br>')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="cut-list-totals">
+        ${cutList.totals.map(total => `
+          <span><strong>${escapeHTML(total.species)}</strong>: ${total.boardFeet.toFixed(2)} bd ft, ${total.volume.toFixed(5)} m³</span>
+        `).join('')}
+      </div>
+      <div class="dialog-actions">
+        <button class="btn-secondary cut-list-export" data-format="csv">CSV</button>
+        <button class="btn-secondary cut-list-export" data-format="md">Markdown</button>
+        <button class="btn-secondary cut-list-export" data-format="html">HTML</button>
+        <button class="btn-primary cut-list-export" data-format="print">Print</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.allowance-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const value = Units.parse(e.target.value, unit);
+        this.allowances[e.target.dataset.prop] = isNaN(value) || value < 0 ? 0 : value;
+        this.render();
+      });
+    });
+
+    container.querySelectorAll('.cut-list-export').forEach(btn => {
+      btn.addEventListener('click', () => this.export(btn.dataset.format));
+    });
+  }
+
+  export(format) {
+    const cutList = this.getCutList();
+    const filename = `cut-list-${FileExporter.timestamp()}`;
+
+    switch (format) {
+      case 'csv':
+        FileExporter.download(CutListGenerator.toCSV(cutList), `${filename}.csv`, 'text/csv');
+        break;
+      case 'md':
+        FileExporter.download(CutListGenerator.toMarkdown(cutList), `${filename}.md`, 'text/markdown');
+        break;
+      case 'html':
+        FileExporter.download(CutListGenerator.toHTML(cutList), `${filename}.html`, 'text/html');
+        break;
+      case 'print':
+        if (!FileExporter.print(CutListGenerator.toHTML(cutList))) {
+          this.showNotification('Allow pop-ups to print the cut list');
+        }
+        return;
+      default:
+        return;
+    }
+
+    this.showNotification('Cut list exported');
+  }
+}
@@ -0,0 +1,172 @@
+import { InterferenceChecker } from '../utils/InterferenceChecker.js';
+import { BoxJointGenerator } from '../generators/BoxJointGenerator.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+const STATUS_LABELS = {
+  clean: 'Clean',
+  fit: 'Fit',
+  overlap: 'Overlap',
+  gap: 'Gap'
+};
+
+const HIGHLIGHT_COLORS = {
+  overlap: 0xe53935,
+  gap: 0xffa000
+};
+
+/**
+ * Runs the assembly fit check on demand and lists the result for every joint.
+ * Problem regions are highlighted in the viewport until the boards change.
+ */
+export class FitCheckPanel {
+  constructor(stateManager, scene3D) {
+    this.stateManager = stateManager;
+    this.scene3D = scene3D;
+    this.results = null;
+    this.checkedBoards = null; // boards Map the current results were computed for
+    this.checkedTolerances = null;
+    this.stale = false;
+    this.error = null; // message of the last check if it failed
+    this.renderedUnits = null;
+
+    const runBtn = document.getElementById('fit-check-btn');
+    if (runBtn) {
+      runBtn.addEventListener('click', () => this.runCheck());
+    }
+
+    this.stateManager.subscribe((state) => {
+      const changed = state.boards !== this.checkedBoards || state.tolerances !== this.checkedTolerances;
+      if (this.results && changed && !this.stale) {
+        // Results no longer describe the assembly on screen
+        this.stale = true;
+        this.scene3D.clearHighlights();
+        this.render();
+      } else if (this.results && state.units !== this.renderedUnits) {
+        this.render();
+      }
+    });
+    this.render();
+  }
+
+  runCheck() {
+    const runBtn = document.getElementById('fit-check-btn');
+    if (runBtn) {
+      runBtn.disabled = true;
+      runBtn.textContent = 'Checking...';
+    }
+
+    // Defer so the button state is painted before the CSG work blocks the thread
+    setTimeout(() => {
+      const state = this.stateManager.getState();
+      try {
+        this.results = InterferenceChecker.checkAssembly(Array.from(state.boards.values()), {
+          fit: this.getDesignedFit(state)
+        });
+        this.checkedBoards = state.boards;
+        this.checkedTolerances = state.tolerances;
+        this.stale = false;
+        this.error = null;
+        this.scene3D.showHighlights(
+          this.results
+            .filter(result => result.geometry)
+            .map(result => ({ geometry: result.geometry, color: HIGHLIGHT_COLORS[result.status] }))
+        );
+      } catch (error) {
+        console.error('Fit check failed:', error);
+        // Any earlier results no longer match a check that could not finish
+        this.error = error.message || String(error);
+        this.stale = true;
+        this.scene3D.clearHighlights();
+      } finally {
+        if (runBtn) {
+          runBtn.disabled = false;
+          runBtn.textContent = 'Check';
+        }
+        this.render();
+      }
+    }, 10);
+  }
+
+  /**
+   * Widest sliver of gap and overlap the joints' fit tolerances leave on each
+   * side of a finger, which is half the fit.
+   */
+  getDesignedFit(state) {
+    const designed = { gap: 0, overlap: 0 };
+    state.boards.forEach(board => {
+      board.joints.forEach(joint => {
+        if (joint.mode === 'complement') return;
+        const fit = BoxJointGenerator.getFit(joint, state.tolerances);
+        designed.gap = Math.max(designed.gap, fit / 2);
+        designed.overlap = Math.max(designed.overlap, -fit / 2);
+      });
+    });
+    return designed;
+  }
+
+  render() {
+    const container = document.getElementById('fit-check-panel');
+    if (!container) return;
+    this.renderedUnits = this.stateManager.getState().units;
+
+    const error = this.error ? `<div class="error-msg">The fit check failed: ${escapeHTML(this.error)}</div>` : '';
+    if (!this.results) {
+      container.innerHTML = error || '<div class="placeholder">Position your boards, then run a check to find overlapping or gapped joints</div>';
+      return;
+    }
+
+    const stale = this.stale && !this.error ? '<div class="warning-msg">Boards changed since the last check</div>' : '';
+    if (this.results.length === 0) {
+      container.innerHTML = `${error}${stale}<div class="info-msg">No adjoining boards found</div>`;
+      return;
+    }
+
+    const count = status => this.results.filter(result => result.status === status).length;
+
+    container.innerHTML = `
+      ${error}${stale}
+      <div class="fit-check-summary">
+        ${count('clean')} clean, ${count('fit')} within tolerance, ${count('overlap')} overlapping, ${count('gap')} gapped
+      </div>
+      <div class="fit-check-list">
+        ${this.results.map((result, index) => this.renderResult(result, index)).join('')}
+      </div>
+    `;
+
+    container.querySelectorAll('.fit-check-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const result = this.results[parseInt(item.dataset.index, 10)];
+        const board = this.stateManager.getState().boards.get(result.boardIds[0]);
+        if (board) {
+          this.stateManager.setState({ selectedBoardId: board.id }, { label: `Select ${board.displayName || board.id}` });
+        }
+      });
+    });
+  }
+
+  renderResult(result, index) {
+    const { units } = this.stateManager.getState();
+    const volumeDecimals = Units.isImperial(units) ? 4 : 1;
+    let detail = '';
+    if (result.separation !== undefined) {
+      detail = `Boards ${Units.format(result.separation, units)} apart`;
+    } else if (result.status === 'fit') {
+      detail = `Designed ${result.fit}, ${Units.formatVolume(result.volume, units, volumeDecimals)}`;
+    } else if (result.status !== 'clean') {
+      const { x, y, z } = result.location;
+      const coordinate = value => Units.formatValue(Units.round(value, Units.fine(units)), Units.fine(units));
+      detail = `${Units.formatVolume(result.volume, units, volumeDecimals)} at (${coordinate(x)}, ${coordinate(y)}, ${coordinate(z)})`;
+    }
+
+    return `
+      <div class="fit-check-item status-${result.status}" data-index="${index}">
+        <div class="fit-check-item-header">
+          <span class="fit-check-pair">${escapeHTML(result.names[0])} ↔ ${escapeHTML(result.names[1])}</span>
+          <span class="fit-check-status">${STATUS_LABELS[result.status]}</span>
+        </div>
+        ${detail ? `<div class="fit-check-detail">${detail}</div>` : ''}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,99 @@
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+// Undo step limit chosen by the user, kept between sessions
+const HISTORY_LIMIT_KEY = 'boxJointsHistoryLimit';
+
+/**
+ * Lists the undo history by label. Clicking a step moves the design back or
+ * forward to it; steps after the current one stay available until the next
+ * edit. Also labels the undo and redo buttons with the step they apply to.
+ */
+export class HistoryPanel {
+  /**
+   * @param {StateManager} stateManager - Application state
+   * @param {Function} onJump - Called after moving through the history so the scene can be rebuilt
+   */
+  constructor(stateManager, onJump) {
+    this.stateManager = stateManager;
+    this.onJump = onJump;
+
+    const storedLimit = parseInt(localStorage.getItem(HISTORY_LIMIT_KEY), 10);
+    if (storedLimit > 0) {
+      this.stateManager.setHistoryLimit(storedLimit);
+    }
+
+    const container = document.getElementById('history-panel');
+    if (container) {
+      container.innerHTML = `
+        <div class="history-list"></div>
+        <label class="history-limit" title="Older steps are dropped once the history is longer than this">
+          Keep
+          <input type="number" class="history-limit-input" min="1" max="1000" step="10">
+          steps
+        </label>
+      `;
+      const limitInput = container.querySelector('.history-limit-input');
+      limitInput.value = this.stateManager.historyLimit;
+      limitInput.addEventListener('change', (e) => {
+        const limit = parseInt(e.target.value, 10);
+        if (limit > 0) {
+          this.stateManager.setHistoryLimit(limit);
+          localStorage.setItem(HISTORY_LIMIT_KEY, String(this.stateManager.historyLimit));
+        }
+        e.target.value = this.stateManager.historyLimit;
+        this.render();
+      });
+    }
+
+    this.stateManager.subscribe(() => this.render());
+    this.render();
+  }
+
+  jumpTo(index) {
+    if (index === this.stateManager.getHistoryIndex()) return;
+    this.stateManager.jumpTo(index);
+    this.onJump();
+  }
+
+  updateButtons() {
+    const undoLabel = this.stateManager.getUndoLabel();
+    const redoLabel = this.stateManager.getRedoLabel();
+    const undoBtn = document.getElementById('undo-btn');
+    if (undoBtn) {
+      undoBtn.disabled = !undoLabel;
+      undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    const redoBtn = document.getElementById('redo-btn');
+    if (redoBtn) {
+      redoBtn.disabled = !redoLabel;
+      redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Y)` : 'Nothing to redo';
+    }
+  }
+
+  render() {
+    this.updateButtons();
+
+    const list = document.querySelector('#history-panel .history-list');
+    if (!list) return;
+
+    const history = this.stateManager.getHistory();
+    const current = this.stateManager.getHistoryIndex();
+    list.innerHTML = history.map((entry, index) => {
+      const position = index === current ? 'current' : index > current ? 'undone' : '';
+      return `
+        <div class="history-item ${position}" data-index="${index}" title="${new Date(entry.time).toLocaleTimeString()}">
+          ${escapeHTML(entry.label)}
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.history-item').forEach(item => {
+      item.addEventListener('click', () => this.jumpTo(parseInt(item.dataset.index, 10)));
+    });
+
+    const currentItem = list.querySelector('.history-item.current');
+    if (currentItem) {
+      currentItem.scrollIntoView({ block: 'nearest' });
+    }
+  }
+}
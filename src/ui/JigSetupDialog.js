@@ -0,0 +1,189 @@
+import { JigSetupGenerator, JIG_TOOLS, DEFAULT_JIG } from '../generators/JigSetupGenerator.js';
+import { FileExporter } from '../utils/FileExporter.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+/**
+ * Jig setup dialog: cutting sequences for the fixed box joints of the
+ * selected board or of every board, on a table-saw jig or router fence,
+ * with HTML export and printing one page per board. The cutter width is the
+ * project's kerf until one is entered here.
+ */
+export class JigSetupDialog {
+  constructor(stateManager, showNotification) {
+    this.stateManager = stateManager;
+    this.showNotification = showNotification;
+    this.jig = { ...DEFAULT_JIG, cutterWidth: null }; // null follows the project kerf
+    this.allBoards = false;
+
+    this.modal = document.getElementById('jig-setup-modal');
+    const openBtn = document.getElementById('jig-setup-btn');
+    const closeBtn = document.getElementById('jig-setup-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    const state = this.stateManager.getState();
+    if (state.boards.size === 0) {
+      this.showNotification('Add boards with box joints to generate jig setups');
+      return;
+    }
+    // Without a selection there is only the whole project to show
+    this.allBoards = this.allBoards || !state.boards.has(state.selectedBoardId);
+
+    this.render();
+    this.modal.showModal();
+  }
+
+  /**
+   * The jig settings with the cutter width filled in from the project kerf,
+   * or the default dado width when no kerf is set.
+   */
+  getJig(state) {
+    const kerf = state.tolerances.kerf;
+    return { ...this.jig, cutterWidth: this.jig.cutterWidth ?? (kerf > 0 ? kerf : DEFAULT_JIG.cutterWidth) };
+  }
+
+  getSheets() {
+    const state = this.stateManager.getState();
+    const jig = this.getJig(state);
+    const selected = state.boards.get(state.selectedBoardId);
+    const boards = this.allBoards || !selected ? Array.from(state.boards.values()) : [selected];
+    return boards
+      .map(board => JigSetupGenerator.generateBoard(board, state.boards, jig, state.tolerances))
+      .filter(sheet => !this.allBoards || sheet.setups.length > 0);
+  }
+
+  render() {
+    const container = document.getElementById('jig-setup-body');
+    if (!container) return;
+
+    const state = this.stateManager.getState();
+    const unit = state.units;
+    const jig = this.getJig(state);
+    const sheets = this.getSheets();
+    const tool = JIG_TOOLS[this.jig.tool];
+    const hasSelection = state.boards.has(state.selectedBoardId);
+
+    container.innerHTML = `
+      <div class="cut-list-allowances jig-setup-options">
+        <label>
+          Jig:
+          <select class="jig-input" data-prop="tool">
+            ${Object.entries(JIG_TOOLS).map(([id, entry]) => `<option value="${id}" ${this.jig.tool === id ? 'selected' : ''}>${entry.name}</option>`).join('')}
+          </select>
+        </label>
+        <label>
+          ${tool.cutter === 'bit' ? 'Bit' : 'Blade'} width (${Units.get(unit).label}):
+          <input ${Units.inputAttributes(jig.cutterWidth, unit, { min: 0 })} class="jig-input" data-prop="cutterWidth">
+        </label>
+        <label>
+          Boards:
+          <select class="jig-input" data-prop="allBoards">
+            <option value="false" ${!this.allBoards ? 'selected' : ''} ${hasSelection ? '' : 'disabled'}>Selected board</option>
+            <option value="true" ${this.allBoards ? 'selected' : ''}>All boards</option>
+          </select>
+        </label>
+      </div>
+      ${sheets.length === 0
+        ? '<div class="placeholder">No board has a fixed-mode box joint</div>'
+        : sheets.map(sheet => this.renderSheet(sheet, unit, jig)).join('')}
+      <div class="dialog-actions">
+        <button class="btn-secondary jig-setup-export" data-format="html">HTML</button>
+        <button class="btn-primary jig-setup-export" data-format="print">Print</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.jig-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const { prop } = e.target.dataset;
+        if (prop === 'allBoards') {
+          this.allBoards = e.target.value === 'true';
+        } else if (prop === 'cutterWidth') {
+          const value = Units.parse(e.target.value, unit);
+          if (!isNaN(value) && value > 0) {
+            this.jig.cutterWidth = value;
+          }
+        } else {
+          this.jig.tool = e.target.value;
+        }
+        this.render();
+      });
+    });
+
+    container.querySelectorAll('.jig-setup-export').forEach(btn => {
+      btn.addEventListener('click', () => this.export(btn.dataset.format));
+    });
+  }
+
+  renderSheet(sheet, unit, jig) {
+    const format = mm => Units.format(mm, unit);
+
+    return `
+      <div class="jig-setup-sheet">
+        <h3>${escapeHTML(sheet.name)}</h3>
+        ${sheet.setups.length === 0 ? '<div class="placeholder">No fixed box joints on this board</div>' : ''}
+        ${sheet.setups.map(setup => `
+          <div class="jig-setup-side">
+            <div class="jig-setup-side-title">${setup.side} edge · ${setup.startsWithFinger ? 'starts with a finger' : 'starts with a groove'}</div>
+            <ol class="jig-setup-steps">
+              ${JigSetupGenerator.describeSteps(setup, jig, unit).map(step => `<li>${step}</li>`).join('')}
+            </ol>
+            <table class="cut-list-table">
+              <thead>
+                <tr><th>Groove</th><th>From ${setup.referenceEnd} end</th><th>To</th><th>Index</th><th>Passes</th></tr>
+              </thead>
+              <tbody>
+                ${setup.cuts.map((cut, index) => `
+                  <tr>
+                    <td>${index + 1}</td>
+                    <td>${format(cut.from)}</td>
+                    <td>${format(cut.to)}</td>
+                    <td>${format(cut.index)}</td>
+                    <td>${cut.passes.map(format).join(', ')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `).join('')}
+        ${sheet.skipped.map(entry => `<div class="info-msg">${entry.side} edge: ${escapeHTML(entry.error)}</div>`).join('')}
+      </div>
+    `;
+  }
+
+  export(format) {
+    const sheets = this.getSheets();
+    if (sheets.length === 0) {
+      this.showNotification('No board has a fixed-mode box joint');
+      return;
+    }
+    const state = this.stateManager.getState();
+    const html = JigSetupGenerator.toHTML(sheets, this.getJig(state), state.units);
+
+    if (format === 'print') {
+      if (!FileExporter.print(html)) {
+        this.showNotification('Allow pop-ups to print the jig setup');
+      }
+      return;
+    }
+
+    FileExporter.download(html, `jig-setup-${FileExporter.timestamp()}.html`, 'text/html');
+    this.showNotification('Jig setup exported');
+  }
+}
@@ -1,6 +1,15 @@
 import { JointConfig } from '../models/JointConfig.js';
+import { TenonConfig, MortiseConfig } from '../models/MortiseTenonConfig.js';
+import { MortiseTenonGenerator } from '../generators/MortiseTenonGenerator.js';
+import { FaceCutConfig } from '../models/FaceCutConfig.js';
+import { FaceCutGenerator } from '../generators/FaceCutGenerator.js';
 import { BoxJointGenerator } from '../generators/BoxJointGenerator.js';
 import { ValidationUtils } from '../generators/ValidationUtils.js';
+import { JointLinker } from '../utils/JointLinker.js';
+import { MateSolver } from '../utils/MateSolver.js';
+import { JointAnalytics, STRENGTH_RATINGS } from '../utils/JointAnalytics.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
 
 export class JointEditor {
   constructor(stateManager, boardEditor) {
@@ -12,6 +21,28 @@ export class JointEditor {
     this.render();
   }
 
+  get units() {
+    return this.stateManager.getState().units;
+  }
+
+  /**
+   * Length in mm shown in the project's display unit.
+   */
+  formatLength(mm) {
+    return Units.format(mm, this.units);
+  }
+
+  /**
+   * Type, value, step and limits (all given in mm) for a length input.
+   */
+  lengthInput(mm, limits = {}) {
+    return Units.inputAttributes(mm, this.units, limits);
+  }
+
+  parseLength(text) {
+    return Units.parse(text, this.units);
+  }
+
   getSelectedBoard() {
     const state = this.stateManager.getState();
     if (!state.selectedBoardId) return null;
@@ -33,11 +64,64 @@ export class JointEditor {
     const newJoints = new Map(board.joints);
     newJoints.set(side, updatedJoint);
 
-    this.boardEditor.updateBoard(board.id, { joints: newJoints });
+    this.boardEditor.updateBoard(board.id, { joints: newJoints }, {
+      label: `Change ${side} joint of ${this.boardEditor.boardName(board)}`,
+      mergeKey: `${board.id}.joints.${side}.${Object.keys(updates).join(',')}`
+    });
+  }
+
+  linkJoint(side, partnerId, partnerSide, reversed) {
+    const board = this.getSelectedBoard();
+    if (!board || !partnerId || !partnerSide) return;
+
+    const state = this.stateManager.getState();
+    const boards = JointLinker.link(
+      state.boards,
+      { boardId: board.id, side },
+      { boardId: partnerId, side: partnerSide },
+      reversed
+    );
+    this.stateManager.setState({ boards }, { label: `Link ${side} joint of ${this.boardEditor.boardName(board)}` });
+  }
+
+  unlinkJoint(side) {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    const state = this.stateManager.getState();
+    this.stateManager.setState({ boards: JointLinker.unlink(state.boards, board.id, side) }, {
+      label: `Unlink ${side} joint of ${this.boardEditor.boardName(board)}`
+    });
+  }
+
+  mateBoard(side, parentId, parentSide, corner, offset, linkJoints) {
+    const board = this.getSelectedBoard();
+    if (!board || !parentId || !parentSide) return;
+
+    const state = this.stateManager.getState();
+    let boards = MateSolver.mate(state.boards, board.id, { parentId, parentSide, side, corner, offset });
+
+    const placed = boards.get(board.id);
+    if (linkJoints && placed.mate) {
+      // The placement knows whether the two edges run in opposite directions
+      const { reversed } = MateSolver.solve(boards.get(parentId), placed, placed.mate);
+      boards = JointLinker.link(boards, { boardId: board.id, side }, { boardId: parentId, side: parentSide }, reversed);
+    }
+    this.stateManager.setState({ boards }, { label: `Mate ${this.boardEditor.boardName(board)}` });
+  }
+
+  releaseMate() {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    const state = this.stateManager.getState();
+    this.stateManager.setState({ boards: MateSolver.release(state.boards, board.id) }, {
+      label: `Release ${this.boardEditor.boardName(board)}`
+    });
   }
 
   selectSide(side) {
-    this.stateManager.setState({ selectedSide: side });
+    this.stateManager.setState({ selectedSide: side }, { label: side ? `Select ${side} side` : 'Deselect side' });
   }
 
   render() {
@@ -59,9 +143,11 @@ export class JointEditor {
           <button class="side-btn ${state.selectedSide === 'bottom' ? 'active' : ''}" data-side="bottom">Bottom</button>
           <button class="side-btn ${state.selectedSide === 'left' ? 'active' : ''}" data-side="left">Left</button>
           <button class="side-btn ${state.selectedSide === 'right' ? 'active' : ''}" data-side="right">Right</button>
+          <button class="side-btn ${state.selectedSide === 'front' ? 'active' : ''}" data-side="front">Front face</button>
+          <button class="side-btn ${state.selectedSide === 'back' ? 'active' : ''}" data-side="back">Back face</button>
         </div>
 
-        ${state.selectedSide ? this.renderJointConfig(board, state.selectedSide) : '<div class="placeholder">Select a side</div>'}
+        ${this.renderSelectedSide(board, state.selectedSide)}
       </div>
     `;
 
@@ -71,7 +157,377 @@ export class JointEditor {
       });
     });
 
-    this.attachJointConfigListeners(board, state.selectedSide);
+    if (this.isFace(state.selectedSide)) {
+      this.attachFaceConfigListeners(board, state.selectedSide);
+    } else {
+      this.attachJointConfigListeners(board, state.selectedSide);
+      this.attachMateListeners(state.selectedSide);
+    }
+  }
+
+  isFace(side) {
+    return side === 'front' || side === 'back';
+  }
+
+  renderSelectedSide(board, side) {
+    if (!side) {
+      return '<div class="placeholder">Select a side</div>';
+    }
+    if (this.isFace(side)) {
+      return this.renderFaceConfig(board, side);
+    }
+    return this.renderJointConfig(board, side) + this.renderMateConfig(board, side);
+  }
+
+  /**
+   * Places the board by butting this side against an edge of another board.
+   */
+  renderMateConfig(board, side) {
+    const state = this.stateManager.getState();
+
+    if (board.mate) {
+      const parent = state.boards.get(board.mate.parentId);
+      const name = parent ? (parent.displayName || parent.id) : board.mate.parentId;
+      const offset = board.mate.offset ? `, offset ${this.formatLength(board.mate.offset)}` : '';
+      return `
+        <div class="mate-config">
+          <div class="mate-title">Placement</div>
+          <span class="link-label">${board.mate.side.toUpperCase()} placed against ${escapeHTML(name)} ${board.mate.parentSide.toUpperCase()} (${board.mate.corner} corner${offset})</span>
+          <button class="helper-btn mate-btn" data-action="release">Release</button>
+        </div>
+      `;
+    }
+
+    // Boards placed against this one cannot become its parent
+    const parents = Array.from(state.boards.values())
+      .filter(other => other.id !== board.id && !MateSolver.isDescendant(state.boards, other.id, board.id))
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    if (parents.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="mate-config">
+        <div class="mate-title">Placement</div>
+        <label>
+          Place against board:
+          <select class="mate-board-select">
+            ${parents.map(other => `<option value="${escapeHTML(other.id)}">${escapeHTML(other.displayName || other.id)}</option>`).join('')}
+          </select>
+        </label>
+        <label>
+          Its side:
+          <select class="mate-side-select">
+            <option value="top">Top</option>
+            <option value="bottom">Bottom</option>
+            <option value="left">Left</option>
+            <option value="right">Right</option>
+          </select>
+        </label>
+        <label>
+          Corner:
+          <select class="mate-corner-select">
+            <option value="inside">Inside (behind its back face)</option>
+            <option value="outside">Outside (in front of its front face)</option>
+          </select>
+        </label>
+        <label>
+          Offset along edge (${Units.get(this.units).suffix}):
+          <input ${this.lengthInput(0, { step: 1 })} class="mate-offset-input">
+        </label>
+        <label class="link-reversed">
+          <input type="checkbox" class="mate-link-input"> Also generate the complement on its side
+        </label>
+        <button class="helper-btn mate-btn" data-action="mate">Move ${side.toUpperCase()} into place</button>
+      </div>
+    `;
+  }
+
+  attachMateListeners(side) {
+    const container = document.getElementById('joint-editor');
+    container.querySelectorAll('.mate-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'release') {
+          this.releaseMate();
+          return;
+        }
+        const parentId = container.querySelector('.mate-board-select')?.value;
+        const parentSide = container.querySelector('.mate-side-select')?.value;
+        const corner = container.querySelector('.mate-corner-select')?.value;
+        const offset = this.parseLength(container.querySelector('.mate-offset-input')?.value ?? '') || 0;
+        const linkJoints = container.querySelector('.mate-link-input')?.checked ?? false;
+        this.mateBoard(side, parentId, parentSide, corner, offset, linkJoints);
+      });
+    });
+  }
+
+  /**
+   * Replaces one entry of a face feature list (mortises or faceCuts) by id.
+   */
+  updateFaceFeature(key, id, updates) {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    const features = board[key].map(feature => {
+      if (feature.id !== id) return feature;
+      return Object.assign(feature.clone(), updates);
+    });
+    this.boardEditor.updateBoard(board.id, { [key]: features }, {
+      label: `Change ${id} of ${this.boardEditor.boardName(board)}`,
+      mergeKey: `${board.id}.${id}.${Object.keys(updates).join(',')}`
+    });
+  }
+
+  removeFaceFeature(key, id) {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    this.boardEditor.updateBoard(board.id, { [key]: board[key].filter(feature => feature.id !== id) }, {
+      label: `Remove ${id} from ${this.boardEditor.boardName(board)}`
+    });
+  }
+
+  nextFeatureId(features, prefix) {
+    const next = features.reduce((max, feature) => {
+      const number = parseInt(feature.id.replace(`${prefix}-`, ''));
+      return isNaN(number) ? max : Math.max(max, number);
+    }, 0) + 1;
+    return `${prefix}-${next}`;
+  }
+
+  addMortise(face) {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    const mortise = new MortiseConfig(this.nextFeatureId(board.mortises, 'mortise'));
+    mortise.face = face;
+    mortise.x = board.dimensions.width / 2;
+    mortise.y = board.dimensions.height / 2;
+    mortise.width = Math.min(mortise.width, board.dimensions.thickness / 3);
+    mortise.depth = Math.min(mortise.depth, board.dimensions.thickness);
+
+    this.boardEditor.updateBoard(board.id, { mortises: [...board.mortises, mortise] }, {
+      label: `Add ${mortise.id} to ${this.boardEditor.boardName(board)}`
+    });
+  }
+
+  addFaceCut(face, type) {
+    const board = this.getSelectedBoard();
+    if (!board) return;
+
+    const cut = new FaceCutConfig(this.nextFeatureId(board.faceCuts, 'cut'));
+    cut.face = face;
+    cut.type = type;
+    cut.depth = Math.min(cut.depth, board.dimensions.thickness / 2);
+    if (type === 'groove') {
+      cut.width = 6;
+    }
+    if (type !== 'rabbet') {
+      const acrossAxis = FaceCutGenerator.getRunAxis(board, cut) === 'x' ? 'height' : 'width';
+      cut.offset = (board.dimensions[acrossAxis] - cut.width) / 2;
+    } else {
+      cut.width = 10;
+    }
+
+    this.boardEditor.updateBoard(board.id, { faceCuts: [...board.faceCuts, cut] }, {
+      label: `Add ${cut.id} to ${this.boardEditor.boardName(board)}`
+    });
+  }
+
+  /**
+   * Lists tenons on other boards so a mortise can be sized to fit one.
+   * @returns {Array} { key, label, tenon }
+   */
+  getTenonSources(board) {
+    const sources = [];
+    this.stateManager.getState().boards.forEach(other => {
+      if (other.id === board.id) return;
+      other.joints.forEach((joint, side) => {
+        if (joint.type === 'tenon' && joint.tenon) {
+          sources.push({ key: `${other.id}:${side}`, label: `${other.displayName || other.id} ${side.toUpperCase()}`, tenon: joint.tenon });
+        }
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Renders the mortises on the front or back face of the board.
+   */
+  renderFaceConfig(board, face) {
+    const mortises = board.mortises.filter(mortise => mortise.face === face);
+    const tenonSources = this.getTenonSources(board);
+
+    return `
+      <div class="joint-config">
+        <div class="joint-header">
+          <span class="side-label">${face.toUpperCase()} FACE</span>
+          <span class="dimension-label">${Units.formatValue(board.dimensions.width, this.units)}×${this.formatLength(board.dimensions.height)}</span>
+        </div>
+
+        ${mortises.length === 0 ? '<div class="placeholder">No mortises on this face</div>' : ''}
+
+        ${mortises.map(mortise => {
+          const validation = ValidationUtils.validateMortise(mortise, board.dimensions);
+          const through = mortise.depth >= board.dimensions.thickness;
+          return `
+            <div class="mortise-item fixed-config" data-id="${mortise.id}">
+              <div class="mortise-grid">
+                <label>Centre X <input ${this.lengthInput(mortise.x)} class="mortise-input" data-prop="x"></label>
+                <label>Centre Y <input ${this.lengthInput(mortise.y)} class="mortise-input" data-prop="y"></label>
+                <label>Length <input ${this.lengthInput(mortise.length, { min: 0.5 })} class="mortise-input" data-prop="length"></label>
+                <label>Width <input ${this.lengthInput(mortise.width, { min: 0.5 })} class="mortise-input" data-prop="width"></label>
+                <label>Depth <input ${this.lengthInput(mortise.depth, { min: 0.5 })} class="mortise-input" data-prop="depth"></label>
+                <label>
+                  Runs
+                  <select class="mortise-input" data-prop="orientation">
+                    <option value="horizontal" ${mortise.orientation !== 'vertical' ? 'selected' : ''}>Across (X)</option>
+                    <option value="vertical" ${mortise.orientation === 'vertical' ? 'selected' : ''}>Up (Y)</option>
+                  </select>
+                </label>
+              </div>
+              ${validation.valid
+                ? `<div class="info-msg">${through ? 'Through mortise' : `Blind, ${this.formatLength(mortise.depth)} deep`}</div>`
+                : `<div class="error-msg">${validation.error}</div>`}
+              <div class="helper-buttons">
+                ${tenonSources.length > 0 ? `
+                <select class="mortise-match">
+                  <option value="">Size to tenon…</option>
+                  ${tenonSources.map(source => `<option value="${source.key}">${source.label}</option>`).join('')}
+                </select>
+                ` : ''}
+                <button class="helper-btn mortise-remove">Remove</button>
+              </div>
+            </div>
+          `;
+        }).join('')}
+
+        <button class="helper-btn mortise-add">Add mortise</button>
+
+        ${this.renderFaceCuts(board, face)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the dadoes, grooves and rabbets on one face.
+   */
+  renderFaceCuts(board, face) {
+    const cuts = board.faceCuts.filter(cut => cut.face === face);
+
+    return `
+      <div class="face-cuts">
+        <div class="face-cuts-title">Dadoes, grooves and rabbets</div>
+
+        ${cuts.map(cut => {
+          const axis = FaceCutGenerator.getRunAxis(board, cut);
+          const runLength = axis === 'x' ? board.dimensions.width : board.dimensions.height;
+          const acrossLength = axis === 'x' ? board.dimensions.height : board.dimensions.width;
+          const validation = ValidationUtils.validateFaceCut(cut, runLength, acrossLength, board.dimensions.thickness, this.units);
+          return `
+            <div class="mortise-item face-cut-item fixed-config" data-id="${cut.id}">
+              <div class="mortise-grid">
+                <label>
+                  Type
+                  <select class="face-cut-input" data-prop="type">
+                    <option value="dado" ${cut.type === 'dado' ? 'selected' : ''}>Dado (across grain)</option>
+                    <option value="groove" ${cut.type === 'groove' ? 'selected' : ''}>Groove (with grain)</option>
+                    <option value="rabbet" ${cut.type === 'rabbet' ? 'selected' : ''}>Rabbet (edge)</option>
+                  </select>
+                </label>
+                ${cut.type === 'rabbet' ? `
+                <label>
+                  Edge
+                  <select class="face-cut-input" data-prop="edge">
+                    ${['top', 'bottom', 'left', 'right'].map(edge =>
+                      `<option value="${edge}" ${cut.edge === edge ? 'selected' : ''}>${edge.charAt(0).toUpperCase() + edge.slice(1)}</option>`
+                    ).join('')}
+                  </select>
+                </label>
+                ` : `
+                <label>Offset from ${axis === 'x' ? 'bottom' : 'left'} <input ${this.lengthInput(cut.offset, { min: 0 })} class="face-cut-input" data-prop="offset"></label>
+                `}
+                <label>Width <input ${this.lengthInput(cut.width, { min: 0.5 })} class="face-cut-input" data-prop="width"></label>
+                <label>Depth <input ${this.lengthInput(cut.depth, { min: 0.5 })} class="face-cut-input" data-prop="depth"></label>
+                <label>Stop at start <input ${this.lengthInput(cut.stopStart, { min: 0 })} class="face-cut-input" data-prop="stopStart"></label>
+                <label>Stop at end <input ${this.lengthInput(cut.stopEnd, { min: 0 })} class="face-cut-input" data-prop="stopEnd"></label>
+              </div>
+              ${validation.valid
+                ? `<div class="info-msg">${FaceCutGenerator.describe(board, cut, this.units)}, runs along the ${axis === 'x' ? 'width' : 'height'}</div>`
+                : `<div class="error-msg">${validation.error}</div>`}
+              <div class="helper-buttons">
+                <button class="helper-btn face-cut-remove">Remove</button>
+              </div>
+            </div>
+          `;
+        }).join('')}
+
+        <div class="helper-buttons">
+          <button class="helper-btn face-cut-add" data-type="dado">Add dado</button>
+          <button class="helper-btn face-cut-add" data-type="groove">Add groove</button>
+          <button class="helper-btn face-cut-add" data-type="rabbet">Add rabbet</button>
+        </div>
+      </div>
+    `;
+  }
+
+  attachFaceConfigListeners(board, face) {
+    const container = document.getElementById('joint-editor');
+
+    container.querySelector('.mortise-add')?.addEventListener('click', () => this.addMortise(face));
+
+    container.querySelectorAll('.face-cut-add').forEach(btn => {
+      btn.addEventListener('click', () => this.addFaceCut(face, btn.dataset.type));
+    });
+
+    container.querySelectorAll('.face-cut-item').forEach(item => {
+      const id = item.dataset.id;
+
+      item.querySelectorAll('.face-cut-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+          const prop = e.target.dataset.prop;
+          if (prop === 'type' || prop === 'edge') {
+            this.updateFaceFeature('faceCuts', id, { [prop]: e.target.value });
+            return;
+          }
+          const value = this.parseLength(e.target.value);
+          if (isNaN(value) || value < 0) return;
+          this.updateFaceFeature('faceCuts', id, { [prop]: value });
+        });
+      });
+
+      item.querySelector('.face-cut-remove')?.addEventListener('click', () => this.removeFaceFeature('faceCuts', id));
+    });
+
+    container.querySelectorAll('.mortise-item:not(.face-cut-item)').forEach(item => {
+      const id = item.dataset.id;
+
+      item.querySelectorAll('.mortise-input').forEach(input => {
+        input.addEventListener('change', (e) => {
+          const prop = e.target.dataset.prop;
+          if (prop === 'orientation') {
+            this.updateFaceFeature('mortises', id, { orientation: e.target.value });
+            return;
+          }
+          const value = this.parseLength(e.target.value);
+          if (isNaN(value) || (prop !== 'x' && prop !== 'y' && value <= 0)) return;
+          this.updateFaceFeature('mortises', id, { [prop]: value });
+        });
+      });
+
+      item.querySelector('.mortise-remove')?.addEventListener('click', () => this.removeFaceFeature('mortises', id));
+
+      item.querySelector('.mortise-match')?.addEventListener('change', (e) => {
+        const source = this.getTenonSources(board).find(candidate => candidate.key === e.target.value);
+        if (!source) return;
+        this.updateFaceFeature('mortises', id, {
+          length: source.tenon.width,
+          width: source.tenon.thickness,
+          depth: source.tenon.length
+        });
+      });
+    });
   }
 
   renderJointConfig(board, side) {
@@ -82,11 +538,23 @@ export class JointEditor {
     }
     const dimension = this.getSideDimension(board, side);
 
+    if (joint.mode === 'complement') {
+      return this.renderComplementConfig(board, side, joint, dimension);
+    }
+
+    if (joint.type === 'dovetail') {
+      return this.renderDovetailConfig(board, side, joint, dimension);
+    }
+
+    if (joint.type === 'tenon' && joint.tenon) {
+      return this.renderTenonConfig(board, side, joint, dimension);
+    }
+
     let validationHtml = '';
     let result;
 
     if (joint.mode === 'fixed') {
-      const validation = ValidationUtils.validateFixedJoint(joint, dimension);
+      const validation = ValidationUtils.validateFixedJoint(joint, dimension, this.units);
       
       // Auto-adapt if validation fails and suggested width is available
       // Use deferred adaptation to avoid render loops
@@ -109,7 +577,7 @@ export class JointEditor {
           }, 0);
           
           // Show warning message
-          validationHtml = `<div class="warning-msg">Adjusting finger width to ${optimalWidth.toFixed(2)}mm to fit board dimension...</div>`;
+          validationHtml = `<div class="warning-msg">Adjusting finger width to ${this.formatLength(optimalWidth)} to fit board dimension...</div>`;
           result = BoxJointGenerator.generateFixedJoints(
             { ...joint, fingerWidth: optimalWidth }, 
             dimension
@@ -128,13 +596,13 @@ export class JointEditor {
         }
       }
     } else {
-      const validation = ValidationUtils.validateVariableJoint(joint.geometry, dimension);
+      const validation = ValidationUtils.validateVariableJoint(joint.geometry, dimension, this.units);
       result = BoxJointGenerator.generateVariableJoints(joint, dimension);
 
       if (!validation.valid) {
         validationHtml = `<div class="error-msg">${validation.error}</div>`;
       } else if (result.valid) {
-        validationHtml = `<div class="info-msg">${result.segments.length} segments, sum: ${joint.geometry.reduce((s, w) => s + w, 0).toFixed(2)}</div>`;
+        validationHtml = `<div class="info-msg">${result.segments.length} segments, sum: ${this.formatLength(joint.geometry.reduce((s, w) => s + w, 0))}</div>`;
       }
     }
 
@@ -154,7 +622,7 @@ export class JointEditor {
             }
           }, 100);
         }, 0);
-        validationHtml = `<div class="warning-msg">Adjusting groove depth to ${boardThickness.toFixed(2)}mm (board thickness)...</div>`;
+        validationHtml = `<div class="warning-msg">Adjusting groove depth to ${this.formatLength(boardThickness)} (board thickness)...</div>`;
       }
     }
 
@@ -162,9 +630,11 @@ export class JointEditor {
       <div class="joint-config">
         <div class="joint-header">
           <span class="side-label">${side.toUpperCase()}</span>
-          <span class="dimension-label">${dimension}mm</span>
+          <span class="dimension-label">${this.formatLength(dimension)}</span>
         </div>
 
+        ${this.renderTypeSelector(joint)}
+
         <div class="mode-selector">
           <label>
             <input type="radio" name="mode" value="fixed" ${joint.mode === 'fixed' ? 'checked' : ''}> Fixed
@@ -177,17 +647,365 @@ export class JointEditor {
         ${joint.mode === 'fixed' ? this.renderFixedMode(joint, board.dimensions.thickness) : this.renderVariableMode(joint, dimension, board.dimensions.thickness)}
 
         ${validationHtml}
+
+        ${this.renderAnalytics(board, side)}
+
+        ${this.renderToleranceConfig(joint)}
+
+        ${this.renderLinkConfig(board, side, joint)}
       </div>
     `;
   }
 
+  renderTypeSelector(joint) {
+    return `
+      <div class="mode-selector joint-type-selector">
+        <label>
+          <input type="radio" name="joint-type" value="box" ${joint.type !== 'dovetail' ? 'checked' : ''}> Box joint
+        </label>
+        <label>
+          <input type="radio" name="joint-type" value="dovetail" ${joint.type === 'dovetail' ? 'checked' : ''}> Dovetail
+        </label>
+        <label>
+          <input type="radio" name="joint-type" value="tenon" ${joint.type === 'tenon' ? 'checked' : ''}> Tenon
+        </label>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders a tenon standing on the edge. Tenons mate with mortises placed
+   * on another board's face, so there is no edge link here.
+   */
+  renderTenonConfig(board, side, joint, dimension) {
+    const tenon = joint.tenon;
+    // Board size measured in from this edge
+    const available = side === 'top' || side === 'bottom' ? board.dimensions.height : board.dimensions.width;
+    const validation = ValidationUtils.validateTenon(tenon, dimension, board.dimensions, available, this.units);
+    const span = MortiseTenonGenerator.getTenonSpan(tenon, dimension);
+
+    const validationHtml = validation.valid
+      ? `<div class="info-msg">Tenon from ${Units.formatValue(span.tenon[0], this.units)} to ${this.formatLength(span.tenon[1])}, shoulder line ${this.formatLength(tenon.length)} in</div>`
+      : `<div class="error-msg">${validation.error}</div>`;
+
+    return `
+      <div class="joint-config">
+        <div class="joint-header">
+          <span class="side-label">${side.toUpperCase()}</span>
+          <span class="dimension-label">${this.formatLength(dimension)}</span>
+        </div>
+
+        ${this.renderTypeSelector(joint)}
+
+        <div class="fixed-config tenon-config">
+          <label>
+            Length:
+            <input ${this.lengthInput(tenon.length, { min: 0.5 })} class="tenon-input" data-prop="length">
+          </label>
+          <label>
+            Thickness:
+            <input ${this.lengthInput(tenon.thickness, { min: 0.5, max: board.dimensions.thickness })} class="tenon-input" data-prop="thickness">
+          </label>
+          <label>
+            Width:
+            <input ${this.lengthInput(tenon.width, { min: 0.5 })} class="tenon-input" data-prop="width">
+          </label>
+          <label>
+            Offset from centre:
+            <input ${this.lengthInput(tenon.offset)} class="tenon-input" data-prop="offset">
+          </label>
+          <label>
+            Shoulders:
+            <select class="tenon-input" data-prop="shoulders">
+              <option value="both" ${tenon.shoulders === 'both' ? 'selected' : ''}>Both cheeks</option>
+              <option value="front" ${tenon.shoulders === 'front' ? 'selected' : ''}>Front only (barefaced)</option>
+              <option value="back" ${tenon.shoulders === 'back' ? 'selected' : ''}>Back only (barefaced)</option>
+            </select>
+          </label>
+          <label>
+            Haunch width (0 for none):
+            <input ${this.lengthInput(tenon.haunchWidth, { min: 0 })} class="tenon-input" data-prop="haunchWidth">
+          </label>
+          ${tenon.haunchWidth > 0 ? `
+          <label>
+            Haunch length:
+            <input ${this.lengthInput(tenon.haunchLength, { min: 0.5 })} class="tenon-input" data-prop="haunchLength">
+          </label>
+          <label>
+            Haunch side:
+            <select class="tenon-input" data-prop="haunchSide">
+              <option value="start" ${tenon.haunchSide === 'start' ? 'selected' : ''}>Start of edge</option>
+              <option value="end" ${tenon.haunchSide === 'end' ? 'selected' : ''}>End of edge</option>
+            </select>
+          </label>
+          ` : ''}
+        </div>
+
+        ${validationHtml}
+
+        ${this.renderAnalytics(board, side)}
+
+        ${this.renderToleranceConfig(joint)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders a dovetail side: layout, slope, style and which half of the joint
+   * (tails or pins) this board carries.
+   */
+  renderDovetailConfig(board, side, joint, dimension) {
+    const state = this.stateManager.getState();
+    const params = joint.dovetail;
+    const validation = ValidationUtils.validateDovetailJoint(params, dimension, this.units);
+    const result = BoxJointGenerator.resolveJoint(board, side, state.boards, state.tolerances);
+
+    let validationHtml;
+    if (!validation.valid) {
+      validationHtml = `<div class="error-msg">${validation.error}</div>`;
+    } else if (!result.valid) {
+      validationHtml = `<div class="error-msg">${result.error}</div>`;
+    } else {
+      const tailWidth = result.segments.find(s => s.type === 'tail').width;
+      const narrowTail = tailWidth - 2 * result.dovetail.tailLength / params.slope;
+      validationHtml = `<div class="info-msg">${params.tailCount} tails, ${params.tailCount + 1} pins, tails ${Units.formatValue(narrowTail, this.units)}–${this.formatLength(tailWidth)}, ${this.formatLength(result.dovetail.tailLength)} long</div>`;
+    }
+
+    const baseline = result.grooveDepth ?? joint.grooveDepth ?? board.dimensions.thickness;
+
+    return `
+      <div class="joint-config">
+        <div class="joint-header">
+          <span class="side-label">${side.toUpperCase()}</span>
+          <span class="dimension-label">${this.formatLength(dimension)}</span>
+        </div>
+
+        ${this.renderTypeSelector(joint)}
+
+        <div class="fixed-config dovetail-config">
+          <label>
+            This board cuts:
+            <select class="dovetail-input" data-prop="role">
+              <option value="tails" ${params.role === 'tails' ? 'selected' : ''}>Tails</option>
+              <option value="pins" ${params.role === 'pins' ? 'selected' : ''}>Pins</option>
+            </select>
+          </label>
+          <label>
+            Style:
+            <select class="dovetail-input" data-prop="style">
+              <option value="through" ${params.style === 'through' ? 'selected' : ''}>Through</option>
+              <option value="half-blind" ${params.style === 'half-blind' ? 'selected' : ''}>Half-blind</option>
+            </select>
+          </label>
+          <label>
+            Tail count:
+            <input type="number" class="dovetail-input" data-prop="tailCount" value="${params.tailCount}" step="1" min="1">
+          </label>
+          <label>
+            Slope:
+            <select class="dovetail-input" data-prop="slope">
+              <option value="6" ${params.slope === 6 ? 'selected' : ''}>1:6 (softwood)</option>
+              <option value="8" ${params.slope === 8 ? 'selected' : ''}>1:8 (hardwood)</option>
+            </select>
+          </label>
+          <label>
+            Half-pin width:
+            <input ${this.lengthInput(params.halfPinWidth, { min: 1 })} class="dovetail-input" data-prop="halfPinWidth">
+          </label>
+          <label>
+            Pin width:
+            <input ${this.lengthInput(params.pinWidth, { min: 1 })} class="dovetail-input" data-prop="pinWidth">
+          </label>
+          ${params.style === 'half-blind' ? `
+          <label>
+            Lap:
+            <input ${this.lengthInput(params.lap, { min: 0.5 })} class="dovetail-input" data-prop="lap">
+          </label>
+          ` : ''}
+          <label>
+            Pins board outside face:
+            <select class="dovetail-input" data-prop="outsideFace">
+              <option value="auto" ${params.outsideFace === 'auto' ? 'selected' : ''}>Auto (away from mated board)</option>
+              <option value="front" ${params.outsideFace === 'front' ? 'selected' : ''}>Front</option>
+              <option value="back" ${params.outsideFace === 'back' ? 'selected' : ''}>Back</option>
+            </select>
+          </label>
+          <label>
+            Baseline:
+            <input ${this.lengthInput(baseline, { min: 0.1 })} class="groove-depth-input" ${joint.link ? 'disabled title="Follows the mated board thickness"' : ''}>
+          </label>
+        </div>
+
+        ${validationHtml}
+
+        ${this.renderAnalytics(board, side)}
+
+        ${this.renderToleranceConfig(joint)}
+
+        ${this.renderLinkConfig(board, side, joint)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders a side whose pattern is derived from a linked partner side.
+   * Only the link itself can be edited here; the fingers follow the partner.
+   */
+  renderComplementConfig(board, side, joint, dimension) {
+    const state = this.stateManager.getState();
+    const result = BoxJointGenerator.resolveJoint(board, side, state.boards, state.tolerances);
+
+    let validationHtml;
+    if (result.valid && result.type === 'dovetail') {
+      validationHtml = `<div class="info-msg">Dovetail ${result.dovetail.role}, baseline ${this.formatLength(result.grooveDepth)}</div>`;
+    } else if (result.valid) {
+      const fingers = result.segments.filter(s => s.type === 'finger').length;
+      validationHtml = `<div class="info-msg">${result.segments.length} segments, ${fingers} fingers, depth ${this.formatLength(result.grooveDepth)}</div>`;
+    } else {
+      validationHtml = `<div class="error-msg">${result.error}</div>`;
+    }
+
+    return `
+      <div class="joint-config">
+        <div class="joint-header">
+          <span class="side-label">${side.toUpperCase()}</span>
+          <span class="dimension-label">${this.formatLength(dimension)}</span>
+        </div>
+
+        <div class="info-msg">Complement of ${this.getLinkLabel(joint.link)}; the fit follows that side</div>
+
+        ${validationHtml}
+
+        ${this.renderAnalytics(board, side)}
+
+        ${this.renderLinkConfig(board, side, joint)}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the glue surface and strength score of the side's joint.
+   */
+  renderAnalytics(board, side) {
+    const analysis = JointAnalytics.analyze(board, side, this.stateManager.getState().boards);
+    if (!analysis) return '';
+
+    const parts = analysis.type === 'tenon' ? 'tenon' : analysis.type === 'dovetail' ? 'tails' : 'fingers';
+    const warnings = [];
+    if (analysis.shortGrain) {
+      warnings.push(`The grain runs along this edge, so the ${parts} are short grain and break off easily`);
+    }
+    if (analysis.fragile) {
+      warnings.push(`The narrowest ${analysis.type === 'tenon' ? 'tenon' : 'finger'} is fragile for this board thickness`);
+    }
+
+    return `
+      <div class="joint-analytics">
+        <div class="joint-analytics-header">
+          <span>Glue & strength</span>
+          <span class="joint-analytics-score rating-${analysis.rating}" title="Comparative score: effective glue area against the edge's cross-section, less for fragile or short grain parts">
+            ${analysis.score} · ${STRENGTH_RATINGS[analysis.rating]}
+          </span>
+        </div>
+        <div>Long grain glue: ${Units.formatArea(analysis.longGrainArea, this.units)}</div>
+        <div>End grain glue: ${Units.formatArea(analysis.endGrainArea, this.units)}</div>
+        <div>
+          ${analysis.type === 'tenon' ? 'Tenon' : `${analysis.fingers} ${parts}, narrowest`}
+          ${this.formatLength(analysis.narrowest)} (${Math.round(analysis.narrowestRatio * 100)}% of the thickness)
+        </div>
+        ${warnings.map(warning => `<div class="warning-msg">${warning}</div>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the fit of a joint: the project's tolerances, or an override
+   * that also applies to every side linked to this one.
+   */
+  renderToleranceConfig(joint) {
+    const tolerance = joint.tolerance || this.stateManager.getState().tolerances;
+    const fit = Number(BoxJointGenerator.getFit(joint, tolerance).toFixed(3));
+    const unit = Units.fine(this.units);
+    const fitLabel = fit === 0 ? 'exact' : `${Units.format(Math.abs(fit), unit)} ${fit > 0 ? 'clearance' : 'interference'}`;
+
+    return `
+      <div class="tolerance-config">
+        <label class="inline-label">
+          <input type="checkbox" class="tolerance-override-input" ${joint.tolerance ? 'checked' : ''}> Own fit tolerance
+        </label>
+        ${joint.tolerance ? `
+        <label>
+          Glue clearance:
+          <input ${Units.inputAttributes(tolerance.clearance, unit, { min: 0, step: 0.05 })} class="tolerance-input" data-prop="clearance">
+        </label>
+        <label>
+          Press-fit interference:
+          <input ${Units.inputAttributes(tolerance.interference, unit, { min: 0, step: 0.05 })} class="tolerance-input" data-prop="interference">
+        </label>
+        ` : ''}
+        <div class="tolerance-summary">Fit: ${fitLabel}${joint.tolerance ? '' : ' (project)'}</div>
+      </div>
+    `;
+  }
+
+  renderLinkConfig(board, side, joint) {
+    if (joint.link) {
+      return `
+        <div class="link-config">
+          <span class="link-label">Mated with ${this.getLinkLabel(joint.link)}${joint.link.reversed ? ' (reversed)' : ''}</span>
+          <button class="helper-btn link-btn" data-action="unlink">Unlink</button>
+        </div>
+      `;
+    }
+
+    const state = this.stateManager.getState();
+    const partners = Array.from(state.boards.values())
+      .filter(other => other.id !== board.id)
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    if (partners.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="link-config">
+        <label>
+          Mate with board:
+          <select class="link-board-select">
+            ${partners.map(other => `<option value="${escapeHTML(other.id)}">${escapeHTML(other.displayName || other.id)}</option>`).join('')}
+          </select>
+        </label>
+        <label>
+          Partner side:
+          <select class="link-side-select">
+            <option value="top">Top</option>
+            <option value="bottom">Bottom</option>
+            <option value="left">Left</option>
+            <option value="right">Right</option>
+          </select>
+        </label>
+        <label class="link-reversed">
+          <input type="checkbox" class="link-reversed-input"> Reversed edge direction
+        </label>
+        <button class="helper-btn link-btn" data-action="link">Generate complement on partner</button>
+      </div>
+    `;
+  }
+
+  getLinkLabel(link) {
+    if (!link) return '';
+    const partner = this.stateManager.getState().boards.get(link.boardId);
+    const name = partner ? (partner.displayName || partner.id) : link.boardId;
+    return `${escapeHTML(name)} ${link.side.toUpperCase()}`;
+  }
+
   renderFixedMode(joint, boardThickness) {
     const grooveDepth = joint.grooveDepth ?? boardThickness;
     return `
       <div class="fixed-config">
         <label>
           Finger width:
-          <input type="number" class="finger-width-input" value="${joint.fingerWidth}" step="0.5" min="1">
+          <input ${this.lengthInput(joint.fingerWidth, { min: 1 })} class="finger-width-input">
         </label>
         <label>
           Finger count:
@@ -200,14 +1018,14 @@ export class JointEditor {
         -->
         <label>
           Groove depth:
-          <input type="number" class="groove-depth-input" value="${grooveDepth}" step="0.5" min="0.1" max="${boardThickness}">
+          <input ${this.lengthInput(grooveDepth, { min: 0.1, max: boardThickness })} class="groove-depth-input" ${joint.link ? 'disabled title="Follows the mated board thickness"' : ''}>
         </label>
       </div>
     `;
   }
 
   renderVariableMode(joint, dimension, boardThickness) {
-    const geometryStr = joint.geometry.join(', ');
+    const geometryStr = joint.geometry.map(width => Units.formatValue(width, this.units)).join(', ');
     const grooveDepth = joint.grooveDepth ?? boardThickness;
 
     return `
@@ -220,12 +1038,12 @@ export class JointEditor {
           </select>
         </label>
         <label>
-          Geometry (comma-separated):
+          Geometry (comma-separated, ${Units.get(this.units).suffix}):
           <textarea class="geometry-input" rows="3" placeholder="10, 15, 10, 15...">${geometryStr}</textarea>
         </label>
         <label>
           Groove depth:
-          <input type="number" class="groove-depth-input" value="${grooveDepth}" step="0.5" min="0.1" max="${boardThickness}">
+          <input ${this.lengthInput(grooveDepth, { min: 0.1, max: boardThickness })} class="groove-depth-input" ${joint.link ? 'disabled title="Follows the mated board thickness"' : ''}>
         </label>
         <div class="helper-buttons">
           <button class="helper-btn" data-action="distribute">Distribute evenly</button>
@@ -236,16 +1054,7 @@ export class JointEditor {
   }
 
   getSideDimension(board, side) {
-    switch (side) {
-      case 'top':
-      case 'bottom':
-        return board.dimensions.width;
-      case 'left':
-      case 'right':
-        return board.dimensions.height;
-      default:
-        return 0;
-    }
+    return BoxJointGenerator.getSideDimension(board, side);
   }
 
   attachJointConfigListeners(board, side) {
@@ -260,10 +1069,56 @@ export class JointEditor {
       });
     });
 
+    container.querySelectorAll('input[name="joint-type"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        const type = e.target.value;
+        if (type === 'tenon' && joint.link) {
+          this.unlinkJoint(side);
+        }
+        const current = this.getSelectedBoard()?.joints.get(side) || joint;
+        this.updateJoint(side, type === 'tenon' && !current.tenon ? { type, tenon: new TenonConfig() } : { type });
+      });
+    });
+
+    container.querySelectorAll('.tenon-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const current = this.getSelectedBoard()?.joints.get(side) || joint;
+        const prop = e.target.dataset.prop;
+        let value = e.target.value;
+
+        if (prop !== 'shoulders' && prop !== 'haunchSide') {
+          value = this.parseLength(value);
+          if (isNaN(value) || (prop !== 'offset' && value < 0)) return;
+        }
+
+        this.updateJoint(side, { tenon: Object.assign(current.tenon.clone(), { [prop]: value }) });
+      });
+    });
+
+    container.querySelectorAll('.dovetail-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const current = this.getSelectedBoard()?.joints.get(side) || joint;
+        const prop = e.target.dataset.prop;
+        let value = e.target.value;
+
+        if (prop === 'tailCount') {
+          value = parseInt(value);
+        } else if (prop === 'slope') {
+          value = parseFloat(value);
+        } else if (['halfPinWidth', 'pinWidth', 'lap'].includes(prop)) {
+          value = this.parseLength(value);
+        }
+        if (typeof value === 'number' && (isNaN(value) || value <= 0)) return;
+
+        this.updateJoint(side, { dovetail: { ...current.dovetail, [prop]: value } });
+      });
+    });
+
     const fingerWidthInput = container.querySelector('.finger-width-input');
     if (fingerWidthInput) {
       fingerWidthInput.addEventListener('change', (e) => {
-        const newWidth = parseFloat(e.target.value);
+        const newWidth = this.parseLength(e.target.value);
+        if (isNaN(newWidth)) return;
         this.updateJoint(side, { fingerWidth: newWidth });
         // Auto-adapt after update
         this.autoAdaptFixedJoint(board, side);
@@ -295,7 +1150,7 @@ export class JointEditor {
         const board = this.getSelectedBoard();
         if (!board) return;
         
-        const newDepth = parseFloat(e.target.value);
+        const newDepth = this.parseLength(e.target.value);
         const boardThickness = board.dimensions.thickness;
         
         // Clamp to board thickness if exceeded
@@ -317,14 +1172,45 @@ export class JointEditor {
     const geometryInput = container.querySelector('.geometry-input');
     if (geometryInput) {
       geometryInput.addEventListener('change', (e) => {
-        const parsed = ValidationUtils.parseGeometryArray(e.target.value);
+        const parsed = ValidationUtils.parseGeometryArray(e.target.value, this.units);
         if (parsed.valid) {
           this.updateJoint(side, { geometry: parsed.values });
         }
       });
     }
 
-    container.querySelectorAll('.helper-btn').forEach(btn => {
+    const toleranceOverride = container.querySelector('.tolerance-override-input');
+    if (toleranceOverride) {
+      toleranceOverride.addEventListener('change', (e) => {
+        const { clearance, interference } = this.stateManager.getState().tolerances;
+        this.updateJoint(side, { tolerance: e.target.checked ? { clearance, interference } : null });
+      });
+    }
+
+    container.querySelectorAll('.tolerance-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const current = this.getSelectedBoard()?.joints.get(side) || joint;
+        const value = this.parseLength(e.target.value);
+        if (isNaN(value) || value < 0 || !current.tolerance) return;
+
+        this.updateJoint(side, { tolerance: { ...current.tolerance, [e.target.dataset.prop]: value } });
+      });
+    });
+
+    container.querySelectorAll('.link-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'unlink') {
+          this.unlinkJoint(side);
+          return;
+        }
+        const partnerId = container.querySelector('.link-board-select')?.value;
+        const partnerSide = container.querySelector('.link-side-select')?.value;
+        const reversed = container.querySelector('.link-reversed-input')?.checked ?? false;
+        this.linkJoint(side, partnerId, partnerSide, reversed);
+      });
+    });
+
+    container.querySelectorAll('.helper-btn[data-action="distribute"], .helper-btn[data-action="mirror"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const action = e.target.dataset.action;
         const dimension = this.getSideDimension(board, side);
@@ -355,7 +1241,7 @@ export class JointEditor {
     if (!joint || joint.mode !== 'fixed') return;
 
     const dimension = this.getSideDimension(board, side);
-    const validation = ValidationUtils.validateFixedJoint(joint, dimension);
+    const validation = ValidationUtils.validateFixedJoint(joint, dimension, this.units);
 
     if (!validation.valid && validation.suggestedWidth !== undefined) {
       const optimalWidth = validation.suggestedWidth;
@@ -0,0 +1,61 @@
+import { JointAnalytics, STRENGTH_RATINGS } from '../utils/JointAnalytics.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+/**
+ * Project summary of glue surface and joint strength: totals over every
+ * joint and each joint's score, weakest first. Clicking a joint selects its
+ * board and side so the joint editor shows the details.
+ */
+export class JointStrengthPanel {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    this.stateManager.subscribe(() => this.render());
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById('strength-panel');
+    if (!container) return;
+
+    const state = this.stateManager.getState();
+    const { joints, totals } = JointAnalytics.analyzeProject(state.boards);
+
+    if (joints.length === 0) {
+      container.innerHTML = '<div class="placeholder">Add joints to see their glue surface and strength</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="strength-summary">
+        <div>${totals.count} joint${totals.count === 1 ? '' : 's'}, average score ${totals.averageScore}</div>
+        <div>Long grain glue ${Units.formatArea(totals.longGrainArea, state.units)}, end grain ${Units.formatArea(totals.endGrainArea, state.units)}</div>
+      </div>
+      <div class="fit-check-list">
+        ${joints.map(joint => `
+          <div class="fit-check-item strength-item rating-${joint.rating}" data-id="${escapeHTML(joint.boardId)}" data-side="${joint.side}">
+            <div class="fit-check-item-header">
+              <span class="fit-check-pair">${escapeHTML(joint.name)} · ${joint.side}</span>
+              <span class="fit-check-status">${joint.score} · ${STRENGTH_RATINGS[joint.rating]}</span>
+            </div>
+            <div class="fit-check-detail">
+              ${Units.formatArea(joint.longGrainArea, state.units)} long grain, ${Units.formatArea(joint.endGrainArea, state.units)} end grain${joint.shortGrain ? ', short grain' : ''}${joint.fragile ? ', fragile' : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    container.querySelectorAll('.strength-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const board = this.stateManager.getState().boards.get(item.dataset.id);
+        if (board) {
+          this.stateManager.setState({ selectedBoardId: board.id, selectedSide: item.dataset.side }, {
+            label: `Select ${board.displayName || board.id}`
+          });
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,140 @@
+import { ModelExporter } from '../rendering/ModelExporter.js';
+import { FileExporter } from '../utils/FileExporter.js';
+import { Units } from '../utils/Units.js';
+
+const FORMATS = {
+  stl: { label: 'STL (binary)', extension: 'stl', mimeType: 'model/stl' },
+  obj: { label: 'OBJ', extension: 'obj', mimeType: 'text/plain' },
+  gltf: { label: 'glTF', extension: 'gltf', mimeType: 'model/gltf+json' },
+  glb: { label: 'GLB', extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+/**
+ * 3D model export dialog for the whole assembly or the selected board.
+ */
+export class ModelExportDialog {
+  constructor(stateManager, materialLibrary, showNotification) {
+    this.stateManager = stateManager;
+    this.exporter = new ModelExporter(materialLibrary);
+    this.showNotification = showNotification;
+    this.options = {
+      scope: 'all',
+      format: 'stl'
+    };
+
+    this.modal = document.getElementById('model-export-modal');
+    const openBtn = document.getElementById('model-export-btn');
+    const closeBtn = document.getElementById('model-export-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    if (this.stateManager.getState().boards.size === 0) {
+      this.showNotification('Add boards to export a 3D model');
+      return;
+    }
+
+    this.render();
+    this.modal.showModal();
+  }
+
+  getBoards() {
+    const state = this.stateManager.getState();
+    const boards = Array.from(state.boards.values());
+    if (this.options.scope === 'selected' && state.selectedBoardId) {
+      return boards.filter(board => board.id === state.selectedBoardId);
+    }
+    return boards;
+  }
+
+  render() {
+    const container = document.getElementById('model-export-body');
+    if (!container) return;
+
+    const { selectedBoardId, units } = this.stateManager.getState();
+    const hasSelection = Boolean(selectedBoardId);
+    if (!hasSelection) {
+      this.options.scope = 'all';
+    }
+
+    container.innerHTML = `
+      <div class="template-options">
+        <label>
+          Export:
+          <select class="model-scope">
+            <option value="all" ${this.options.scope === 'all' ? 'selected' : ''}>Whole assembly</option>
+            <option value="selected" ${this.options.scope === 'selected' ? 'selected' : ''} ${hasSelection ? '' : 'disabled'}>Selected board</option>
+          </select>
+        </label>
+        <label>
+          Format:
+          <select class="model-format">
+            ${Object.entries(FORMATS).map(([key, format]) =>
+              `<option value="${key}" ${this.options.format === key ? 'selected' : ''}>${format.label}</option>`
+            ).join('')}
+          </select>
+        </label>
+      </div>
+      <div class="info-msg">Boards keep their positions and rotations and are named after their display names. STL and OBJ files are in ${Units.isImperial(units) ? 'inches' : 'millimetres'}; glTF/GLB files include wood materials and use metres.</div>
+      <div class="dialog-actions">
+        <button class="btn-primary model-export-run">Export</button>
+      </div>
+    `;
+
+    container.querySelector('.model-scope').addEventListener('change', (e) => {
+      this.options.scope = e.target.value;
+    });
+    container.querySelector('.model-format').addEventListener('change', (e) => {
+      this.options.format = e.target.value;
+    });
+    container.querySelector('.model-export-run').addEventListener('click', () => this.export());
+  }
+
+  async export() {
+    const boards = this.getBoards();
+    const format = FORMATS[this.options.format];
+    const { units } = this.stateManager.getState();
+    const filename = `box-joints-model-${FileExporter.timestamp()}.${format.extension}`;
+
+    try {
+      let content;
+      switch (this.options.format) {
+        case 'stl':
+          content = this.exporter.exportSTL(boards, units);
+          break;
+        case 'obj':
+          content = this.exporter.exportOBJ(boards, units);
+          break;
+        case 'gltf':
+          content = JSON.stringify(await this.exporter.exportGLTF(boards, false));
+          break;
+        case 'glb':
+          content = await this.exporter.exportGLTF(boards, true);
+          break;
+        default:
+          return;
+      }
+
+      FileExporter.download(content, filename, format.mimeType);
+      this.showNotification(`Model exported as ${format.label}`);
+    } catch (error) {
+      console.error('Model export failed:', error);
+      this.showNotification(`Export failed: ${error.message || 'Unknown error'}`);
+    }
+  }
+}
@@ -0,0 +1,297 @@
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+// Remembers which library project was open between sessions
+const CURRENT_PROJECT_KEY = 'boxJointsCurrentProject';
+
+/**
+ * Project browser: saves the design to the project library and lists the
+ * saved projects with their thumbnails so they can be opened, duplicated,
+ * renamed or deleted. Tracks which library project is open; a design that
+ * was imported or started fresh has none until it is saved.
+ */
+export class ProjectBrowserDialog {
+  /**
+   * @param {StateManager} stateManager - Application state
+   * @param {ProjectLibrary} projectLibrary - Saved projects
+   * @param {Scene3D} scene3D - Viewport the thumbnails are taken from
+   * @param {Object} handlers - { loadProject(json) → result, resetProject(), showNotification(message) }
+   */
+  constructor(stateManager, projectLibrary, scene3D, handlers) {
+    this.stateManager = stateManager;
+    this.projectLibrary = projectLibrary;
+    this.scene3D = scene3D;
+    this.handlers = handlers;
+    this.current = null; // { id, name } of the open library project
+    this.suggestedName = 'Untitled';
+    this.savedState = stateManager.getState();
+    this.projectListeners = [];
+
+    this.modal = document.getElementById('project-browser-modal');
+    const openBtn = document.getElementById('projects-btn');
+    const closeBtn = document.getElementById('project-browser-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+
+    this.stateManager.subscribe(() => this.updateTitle());
+    this.updateTitle();
+  }
+
+  /**
+   * Whether the design changed since it was last saved or opened.
+   */
+  isDirty() {
+    return this.stateManager.getState() !== this.savedState;
+  }
+
+  /**
+   * Registers a listener called with the open project ({ id, name } or null)
+   * whenever the design is saved, opened, imported or started fresh.
+   */
+  onProjectChange(listener) {
+    this.projectListeners.push(listener);
+  }
+
+  setCurrent(record, suggestedName = 'Untitled') {
+    this.setOpenProject(record, suggestedName);
+    this.savedState = this.stateManager.getState();
+    this.updateTitle();
+    this.projectListeners.forEach(listener => listener(this.current));
+  }
+
+  /**
+   * Points at a library project without marking the design as saved.
+   */
+  setOpenProject(record, suggestedName) {
+    this.current = record ? { id: record.id, name: record.name } : null;
+    this.suggestedName = suggestedName;
+    if (this.current) {
+      localStorage.setItem(CURRENT_PROJECT_KEY, this.current.id);
+    } else {
+      localStorage.removeItem(CURRENT_PROJECT_KEY);
+    }
+  }
+
+  updateTitle() {
+    const title = document.getElementById('project-name');
+    if (!title) return;
+    const name = this.current ? this.current.name : this.suggestedName;
+    title.textContent = this.isDirty() ? `${name} *` : name;
+    title.title = this.current ? 'Saved in the project library' : 'Not saved in the project library yet';
+  }
+
+  /**
+   * Moves a project saved by older versions into the library, then opens the
+   * project that was open last (or the most recently modified one).
+   * @returns {Promise<boolean>} Whether a project was opened
+   */
+  async restore() {
+    try {
+      await this.projectLibrary.migrateLegacy();
+      const projects = await this.projectLibrary.list();
+      if (projects.length === 0) return false;
+
+      const lastId = localStorage.getItem(CURRENT_PROJECT_KEY);
+      const project = projects.find(p => p.id === lastId) || projects[0];
+      return await this.openProject(project.id);
+    } catch (error) {
+      console.error('Failed to restore project:', error);
+      this.handlers.showNotification('Project library unavailable');
+      return false;
+    }
+  }
+
+  /**
+   * Saves the design over the open project, or as a new named project.
+   */
+  async save() {
+    try {
+      const data = this.stateManager.exportToJSON();
+      const thumbnail = this.scene3D.captureThumbnail();
+      let record;
+
+      if (this.current) {
+        record = await this.projectLibrary.update(this.current.id, { data, thumbnail });
+      }
+      if (!record) {
+        const name = prompt('Project name', this.suggestedName);
+        if (name === null) return;
+        record = await this.projectLibrary.create(name.trim() || 'Untitled', data, thumbnail);
+      }
+
+      this.setCurrent(record);
+      this.handlers.showNotification(`Saved "${record.name}"`);
+    } catch (error) {
+      console.error('Failed to save project:', error);
+      this.handlers.showNotification(`Save failed: ${error.message || 'Unknown error'}`);
+    }
+  }
+
+  async openProject(id) {
+    const record = await this.projectLibrary.get(id);
+    if (!record) {
+      this.handlers.showNotification('Project not found');
+      return false;
+    }
+
+    const result = this.handlers.loadProject(record.data);
+    if (!result.success) {
+      this.handlers.showNotification(`Could not open "${record.name}": ${result.error || 'Unknown error'}`, 6000);
+      return false;
+    }
+
+    this.setCurrent(record);
+    return true;
+  }
+
+  /**
+   * Loads an autosaved session back as unsaved changes to the project it
+   * came from.
+   * @param {Object} session - { projectId, name, data } from AutosaveManager
+   */
+  async recover(session) {
+    const record = session.projectId ? await this.projectLibrary.get(session.projectId) : null;
+    const result = this.handlers.loadProject(session.data);
+    if (!result.success) {
+      this.handlers.showNotification(`Could not recover the session: ${result.error || 'Unknown error'}`, 6000);
+      return false;
+    }
+
+    this.setOpenProject(record, session.name || 'Untitled');
+    this.updateTitle();
+    return true;
+  }
+
+  confirmDiscard() {
+    const hasBoards = this.stateManager.getState().boards.size > 0;
+    return !hasBoards || !this.isDirty() || confirm('Unsaved changes to the current project will be lost. Continue?');
+  }
+
+  newProject() {
+    if (!this.confirmDiscard()) return;
+    this.handlers.resetProject();
+    this.setCurrent(null);
+    this.modal.close();
+  }
+
+  async open() {
+    if (!this.modal) return;
+    this.modal.showModal();
+    await this.render();
+  }
+
+  async render() {
+    const container = document.getElementById('project-browser-body');
+    if (!container) return;
+
+    let projects;
+    try {
+      projects = await this.projectLibrary.list();
+    } catch (error) {
+      console.error('Failed to list projects:', error);
+      container.innerHTML = '<div class="error-msg">The project library could not be opened</div>';
+      return;
+    }
+
+    const formatDate = time => new Date(time).toLocaleString();
+    container.innerHTML = `
+      ${projects.length === 0 ? '<div class="placeholder">No saved projects yet. Save the current design to add it here.</div>' : ''}
+      <div class="project-grid">
+        ${projects.map(project => `
+          <div class="project-card ${this.current && this.current.id === project.id ? 'current' : ''}" data-id="${project.id}">
+            <div class="project-thumbnail">
+              ${project.thumbnail ? `<img src="${project.thumbnail}" alt="">` : '<span>No preview</span>'}
+            </div>
+            <div class="project-card-name">${escapeHTML(project.name)}</div>
+            <div class="project-dates">
+              <span>Modified ${formatDate(project.modified)}</span>
+              <span>Created ${formatDate(project.created)}</span>
+            </div>
+            <div class="project-actions">
+              <button class="btn-primary project-action" data-action="open">Open</button>
+              <button class="btn-secondary project-action" data-action="duplicate">Duplicate</button>
+              <button class="btn-secondary project-action" data-action="rename">Rename</button>
+              <button class="btn-secondary project-action" data-action="delete">Delete</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="dialog-actions">
+        <button class="btn-secondary project-new">New Project</button>
+        <button class="btn-primary project-save">${this.current ? 'Save' : 'Save to Library'}</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.project-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const card = btn.closest('.project-card');
+        const project = projects.find(p => p.id === card.dataset.id);
+        this.runAction(btn.dataset.action, project);
+      });
+    });
+    container.querySelector('.project-new').addEventListener('click', () => this.newProject());
+    container.querySelector('.project-save').addEventListener('click', async () => {
+      await this.save();
+      await this.render();
+    });
+  }
+
+  async runAction(action, project) {
+    const isCurrent = this.current && this.current.id === project.id;
+    try {
+      switch (action) {
+        case 'open':
+          // The project is already open; reloading it would drop unsaved edits and the undo history
+          if (isCurrent) {
+            this.modal.close();
+            return;
+          }
+          if (!this.confirmDiscard()) return;
+          if (await this.openProject(project.id)) {
+            this.modal.close();
+            this.handlers.showNotification(`Opened "${project.name}"`);
+          }
+          return;
+        case 'duplicate':
+          await this.projectLibrary.duplicate(project.id);
+          break;
+        case 'rename': {
+          const name = prompt('Rename project', project.name);
+          if (name === null || !name.trim()) return;
+          const record = await this.projectLibrary.rename(project.id, name.trim());
+          if (isCurrent && record) {
+            this.current.name = record.name;
+            this.updateTitle();
+          }
+          break;
+        }
+        case 'delete':
+          if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+          await this.projectLibrary.delete(project.id);
+          if (isCurrent) {
+            // The design stays open, but is no longer in the library
+            this.setOpenProject(null, project.name);
+            this.updateTitle();
+          }
+          break;
+        default:
+          return;
+      }
+      await this.render();
+    } catch (error) {
+      console.error(`Project ${action} failed:`, error);
+      this.handlers.showNotification(`Could not ${action} "${project.name}"`);
+    }
+  }
+}
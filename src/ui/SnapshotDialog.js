@@ -0,0 +1,125 @@
+const LABELS = {
+  auto: 'Automatic',
+  manual: 'Manual',
+  'before-restore': 'Before restore'
+};
+
+/**
+ * Timeline of the open project's snapshots. Restoring one replaces the
+ * design as an unsaved change; the design it replaces is snapshotted first.
+ */
+export class SnapshotDialog {
+  /**
+   * @param {StateManager} stateManager - Application state
+   * @param {ProjectLibrary} projectLibrary - Holds the snapshots
+   * @param {AutosaveManager} autosaveManager - Takes snapshots and knows the open project
+   * @param {Object} handlers - { loadProject(json) → result, showNotification(message) }
+   */
+  constructor(stateManager, projectLibrary, autosaveManager, handlers) {
+    this.stateManager = stateManager;
+    this.projectLibrary = projectLibrary;
+    this.autosaveManager = autosaveManager;
+    this.handlers = handlers;
+
+    this.modal = document.getElementById('snapshot-modal');
+    const openBtn = document.getElementById('snapshots-btn');
+    const closeBtn = document.getElementById('snapshot-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  async open() {
+    if (!this.modal) return;
+    this.modal.showModal();
+    await this.render();
+  }
+
+  async render() {
+    const container = document.getElementById('snapshot-body');
+    if (!container) return;
+
+    let snapshots;
+    try {
+      snapshots = await this.projectLibrary.listSnapshots(this.autosaveManager.getProjectId());
+    } catch (error) {
+      console.error('Failed to list snapshots:', error);
+      container.innerHTML = '<div class="error-msg">The project library could not be opened</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="info-msg">A snapshot is taken every few minutes while the design changes. Restoring one replaces the design until you save.</div>
+      ${snapshots.length === 0 ? '<div class="placeholder">No snapshots of this project yet</div>' : ''}
+      <div class="snapshot-timeline">
+        ${snapshots.map(snapshot => `
+          <div class="snapshot-item" data-id="${snapshot.id}">
+            <div class="snapshot-thumbnail">
+              ${snapshot.thumbnail ? `<img src="${snapshot.thumbnail}" alt="">` : ''}
+            </div>
+            <div class="snapshot-info">
+              <span class="snapshot-time">${new Date(snapshot.created).toLocaleString()}</span>
+              <span class="snapshot-meta">${LABELS[snapshot.label] || snapshot.label}, ${snapshot.boardCount} board${snapshot.boardCount === 1 ? '' : 's'}</span>
+            </div>
+            <div class="snapshot-actions">
+              <button class="btn-primary snapshot-action" data-action="restore">Restore</button>
+              <button class="btn-secondary snapshot-action" data-action="delete">Delete</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="dialog-actions">
+        <button class="btn-secondary snapshot-take">Take Snapshot</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.snapshot-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const id = Number(btn.closest('.snapshot-item').dataset.id);
+        this.runAction(btn.dataset.action, snapshots.find(snapshot => snapshot.id === id));
+      });
+    });
+    container.querySelector('.snapshot-take').addEventListener('click', async () => {
+      const snapshot = await this.autosaveManager.takeSnapshot('manual', true);
+      this.handlers.showNotification(snapshot ? 'Snapshot taken' : 'Snapshot failed');
+      await this.render();
+    });
+  }
+
+  async runAction(action, snapshot) {
+    const time = new Date(snapshot.created).toLocaleString();
+    try {
+      if (action === 'restore') {
+        if (!confirm(`Replace the design with the snapshot from ${time}?`)) return;
+        const record = await this.projectLibrary.getSnapshot(snapshot.id);
+        if (!record) return;
+
+        await this.autosaveManager.takeSnapshot('before-restore');
+        const result = this.handlers.loadProject(record.data);
+        if (!result.success) {
+          this.handlers.showNotification(`Could not restore the snapshot: ${result.error || 'Unknown error'}`, 6000);
+          return;
+        }
+        this.modal.close();
+        this.handlers.showNotification(`Restored the snapshot from ${time}`);
+      } else if (action === 'delete') {
+        await this.projectLibrary.deleteSnapshot(snapshot.id);
+        await this.render();
+      }
+    } catch (error) {
+      console.error(`Snapshot ${action} failed:`, error);
+      this.handlers.showNotification(`Could not ${action} the snapshot`);
+    }
+  }
+}
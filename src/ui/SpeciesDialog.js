@@ -0,0 +1,311 @@
+import { WoodCatalog, SPECIES_CATEGORIES, SPECIES_FIGURES, DEFAULT_SPECIES } from '../utils/WoodCatalog.js';
+import { WoodTextureGenerator } from '../rendering/WoodTextureGenerator.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+const FIGURE_LABELS = {
+  straight: 'Straight grain',
+  cathedral: 'Cathedral (flat-sawn)',
+  plain: 'None (plain)'
+};
+
+// Movement coefficients are shown as percent change per 1% of moisture content
+const formatMovement = coefficient => (coefficient * 100).toFixed(3);
+
+/**
+ * Wood species catalogue: the built-in species with their physical
+ * properties, and the project's custom species, which can be added (starting
+ * from any species in the catalogue), edited and deleted. Custom species are
+ * stored with the project and every change is one undoable step.
+ */
+export class SpeciesDialog {
+  constructor(stateManager, showNotification) {
+    this.stateManager = stateManager;
+    this.showNotification = showNotification;
+    // Species being added or edited, and the id of the custom species it replaces
+    this.draft = null;
+    this.editingId = null;
+
+    this.modal = document.getElementById('species-modal');
+    const openBtn = document.getElementById('species-btn');
+    const closeBtn = document.getElementById('species-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+    this.draft = null;
+    this.editingId = null;
+    this.render();
+    this.modal.showModal();
+  }
+
+  render() {
+    const container = document.getElementById('species-body');
+    if (!container) return;
+
+    const { customSpecies } = this.stateManager.getState();
+    const row = species => `
+      <tr data-id="${escapeHTML(species.id)}">
+        <td><span class="species-swatch" style="background: ${species.appearance.baseColor}"></span>${escapeHTML(species.name)}</td>
+        <td>${SPECIES_CATEGORIES[species.category]}</td>
+        <td>${species.density}</td>
+        <td>${species.hardness}</td>
+        <td>${formatMovement(species.movement.tangential)} / ${formatMovement(species.movement.radial)}</td>
+        <td class="species-actions">
+          <button class="btn-secondary species-action" data-action="copy" title="Add a custom species based on this one">Copy</button>
+          ${species.custom ? `
+            <button class="btn-secondary species-action" data-action="edit">Edit</button>
+            <button class="btn-secondary species-action" data-action="delete">Delete</button>
+          ` : ''}
+        </td>
+      </tr>
+    `;
+
+    container.innerHTML = `
+      <table class="cut-list-table species-table">
+        <thead>
+          <tr>
+            <th>Species</th>
+            <th>Type</th>
+            <th>Density (kg/m³)</th>
+            <th>Hardness (N)</th>
+            <th>Movement T / R (%)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${WoodCatalog.list(customSpecies).map(row).join('')}
+        </tbody>
+      </table>
+      <div class="info-msg">Hardness is Janka hardness. Movement is the change in width per 1% change in moisture content, tangential (flat-sawn) / radial (quarter-sawn).</div>
+      ${this.draft ? this.renderForm() : `
+        <div class="dialog-actions">
+          <button class="btn-primary species-new">New Species</button>
+        </div>
+      `}
+    `;
+
+    container.querySelectorAll('.species-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const id = btn.closest('tr').dataset.id;
+        this.runAction(btn.dataset.action, WoodCatalog.get(id, customSpecies));
+      });
+    });
+    const newBtn = container.querySelector('.species-new');
+    if (newBtn) {
+      newBtn.addEventListener('click', () => this.startDraft(WoodCatalog.get(DEFAULT_SPECIES), null));
+    }
+    if (this.draft) {
+      this.bindForm(container);
+    }
+  }
+
+  renderForm() {
+    const { draft } = this;
+    const { appearance } = draft;
+    const options = (choices, selected) => Object.entries(choices)
+      .map(([key, label]) => `<option value="${key}" ${selected === key ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const number = (prop, value, attributes) =>
+      `<input type="number" class="species-input" data-prop="${prop}" value="${value}" ${attributes}>`;
+
+    return `
+      <h3 class="species-form-title">${this.editingId ? `Edit ${escapeHTML(WoodCatalog.getName(this.editingId, this.stateManager.getState().customSpecies))}` : 'New species'}</h3>
+      <div class="species-form">
+        <canvas class="species-preview" width="64" height="128"></canvas>
+        <div class="template-options">
+          <label>
+            Name
+            <input type="text" class="species-input" data-prop="name" value="${escapeHTML(draft.name)}">
+          </label>
+          <label>
+            Type
+            <select class="species-input" data-prop="category">${options(SPECIES_CATEGORIES, draft.category)}</select>
+          </label>
+          <label>
+            Density (kg/m³)
+            ${number('density', draft.density, 'min="1" step="5"')}
+          </label>
+          <label>
+            Hardness (N)
+            ${number('hardness', draft.hardness, 'min="0" step="10"')}
+          </label>
+          <label>
+            Tangential movement (%)
+            ${number('movement.tangential', formatMovement(draft.movement.tangential), 'min="0" step="0.005"')}
+          </label>
+          <label>
+            Radial movement (%)
+            ${number('movement.radial', formatMovement(draft.movement.radial), 'min="0" step="0.005"')}
+          </label>
+          <label>
+            Colour
+            <input type="color" class="species-input" data-prop="appearance.baseColor" value="${appearance.baseColor}">
+          </label>
+          <label>
+            Grain colour
+            <input type="color" class="species-input" data-prop="appearance.grainColor" value="${appearance.grainColor}">
+          </label>
+          <label>
+            Figure
+            <select class="species-input" data-prop="appearance.figure">
+              ${options(Object.fromEntries(SPECIES_FIGURES.map(figure => [figure, FIGURE_LABELS[figure]])), appearance.figure)}
+            </select>
+          </label>
+          <label>
+            Grain spacing (px)
+            ${number('appearance.ringSpacing', appearance.ringSpacing, 'min="2" max="128" step="1"')}
+          </label>
+          <label>
+            Grain contrast
+            ${number('appearance.contrast', appearance.contrast, 'min="0" max="1" step="0.05"')}
+          </label>
+          <label>
+            Roughness
+            ${number('appearance.roughness', appearance.roughness, 'min="0" max="1" step="0.05"')}
+          </label>
+        </div>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn-secondary species-cancel">Cancel</button>
+        <button class="btn-primary species-save">${this.editingId ? 'Save Species' : 'Add Species'}</button>
+      </div>
+    `;
+  }
+
+  bindForm(container) {
+    this.drawPreview(container.querySelector('.species-preview'));
+
+    container.querySelectorAll('.species-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const { prop } = e.target.dataset;
+        const [key, field] = prop.split('.');
+        let value = e.target.value;
+        if (e.target.type === 'number') {
+          value = parseFloat(value);
+          if (isNaN(value)) {
+            this.render();
+            return;
+          }
+          // Keep values in the range the project file accepts
+          if (e.target.min !== '') value = Math.max(value, parseFloat(e.target.min));
+          if (e.target.max !== '') value = Math.min(value, parseFloat(e.target.max));
+          if (key === 'movement') value /= 100;
+        }
+        if (field) {
+          this.draft[key] = { ...this.draft[key], [field]: value };
+        } else {
+          this.draft[key] = value;
+        }
+        this.render();
+      });
+    });
+    container.querySelector('.species-cancel').addEventListener('click', () => {
+      this.draft = null;
+      this.editingId = null;
+      this.render();
+    });
+    container.querySelector('.species-save').addEventListener('click', () => this.save());
+  }
+
+  /**
+   * Draws the top of the draft's generated texture, scaled down without
+   * stretching, into the preview canvas.
+   */
+  drawPreview(canvas) {
+    const context = canvas && canvas.getContext('2d');
+    if (!context) return;
+
+    const { data, width, height } = WoodTextureGenerator.generatePixels(this.draft.appearance, this.draft.id);
+    const source = document.createElement('canvas');
+    source.width = width;
+    source.height = height;
+    source.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(data.buffer), width, height), 0, 0);
+    context.drawImage(source, 0, 0, width, width * canvas.height / canvas.width, 0, 0, canvas.width, canvas.height);
+  }
+
+  startDraft(species, editingId) {
+    const { customSpecies } = this.stateManager.getState();
+    this.draft = species.clone();
+    this.draft.custom = true;
+    // Custom species are always drawn from their colours rather than a bundled image
+    this.draft.appearance.texture = null;
+    if (!editingId) {
+      this.draft.name = species.custom ? `${species.name} copy` : `${species.name} (custom)`;
+      this.draft.id = WoodCatalog.createId(this.draft.name, customSpecies);
+    }
+    this.editingId = editingId;
+    this.render();
+  }
+
+  runAction(action, species) {
+    if (action === 'copy') {
+      this.startDraft(species, null);
+    } else if (action === 'edit') {
+      this.startDraft(species, species.id);
+    } else if (action === 'delete') {
+      this.remove(species);
+    }
+  }
+
+  save() {
+    const { customSpecies } = this.stateManager.getState();
+    const name = this.draft.name.trim();
+    if (!name) {
+      this.showNotification('Give the species a name');
+      return;
+    }
+    if (!(this.draft.density > 0)) {
+      this.showNotification('Density must be a positive number');
+      return;
+    }
+    const species = this.draft.clone();
+    species.name = name;
+
+    if (this.editingId) {
+      this.stateManager.setState({
+        customSpecies: customSpecies.map(existing => existing.id === this.editingId ? species : existing)
+      }, { label: `Edit species ${name}` });
+    } else {
+      species.id = WoodCatalog.createId(name, customSpecies);
+      this.stateManager.setState({
+        customSpecies: [...customSpecies, species]
+      }, { label: `Add species ${name}` });
+      this.showNotification(`Added ${name} to the wood list`);
+    }
+    this.draft = null;
+    this.editingId = null;
+    this.render();
+  }
+
+  remove(species) {
+    const { boards, customSpecies } = this.stateManager.getState();
+    const used = Array.from(boards.values()).filter(board => board.woodType === species.id).length;
+    const warning = used > 0
+      ? ` ${used} board${used === 1 ? ' uses' : 's use'} it and will show as an unknown species.`
+      : '';
+    if (!confirm(`Delete ${species.name}?${warning}`)) return;
+
+    this.stateManager.setState({
+      customSpecies: customSpecies.filter(existing => existing.id !== species.id)
+    }, { label: `Delete species ${species.name}` });
+    if (this.editingId === species.id) {
+      this.draft = null;
+      this.editingId = null;
+    }
+    this.render();
+  }
+}
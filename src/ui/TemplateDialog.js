@@ -0,0 +1,153 @@
+import { TemplateGenerator } from '../generators/TemplateGenerator.js';
+import { FileExporter } from '../utils/FileExporter.js';
+import { Units } from '../utils/Units.js';
+
+/**
+ * 2D template dialog: previews flattened board outlines and exports them as
+ * 1:1 SVG or DXF for CNC routers and laser cutters.
+ */
+export class TemplateDialog {
+  constructor(stateManager, showNotification) {
+    this.stateManager = stateManager;
+    this.showNotification = showNotification;
+    this.options = {
+      scope: 'all',
+      dogbones: false,
+      toolRadius: 3,
+      kerfCompensation: true
+    };
+
+    this.modal = document.getElementById('template-modal');
+    const openBtn = document.getElementById('template-btn');
+    const closeBtn = document.getElementById('template-modal-close');
+
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.open());
+    }
+    if (closeBtn && this.modal) {
+      closeBtn.addEventListener('click', () => this.modal.close());
+    }
+    if (this.modal) {
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.modal.close();
+        }
+      });
+    }
+  }
+
+  open() {
+    if (!this.modal) return;
+
+    if (this.stateManager.getState().boards.size === 0) {
+      this.showNotification('Add boards to export templates');
+      return;
+    }
+
+    this.render();
+    this.modal.showModal();
+  }
+
+  getTemplates() {
+    const state = this.stateManager.getState();
+    let boards = Array.from(state.boards.values()).sort((a, b) => a.id.localeCompare(b.id));
+
+    if (this.options.scope === 'selected' && state.selectedBoardId) {
+      boards = boards.filter(board => board.id === state.selectedBoardId);
+    }
+
+    const { tolerances } = state;
+    const kerf = this.options.kerfCompensation ? tolerances.kerf : 0;
+    return boards.map(board => TemplateGenerator.generateBoardTemplate(board, state.boards, { ...this.options, tolerances, kerf }));
+  }
+
+  render() {
+    const container = document.getElementById('template-body');
+    if (!container) return;
+
+    const { selectedBoardId, tolerances, units } = this.stateManager.getState();
+    const hasSelection = Boolean(selectedBoardId);
+    if (!hasSelection) {
+      this.options.scope = 'all';
+    }
+
+    let preview;
+    try {
+      preview = TemplateGenerator.toSVG(this.getTemplates());
+    } catch (error) {
+      console.error('Failed to build templates:', error);
+      preview = '<div class="error-msg">Could not flatten the boards</div>';
+    }
+
+    container.innerHTML = `
+      <div class="template-options">
+        <label>
+          Boards:
+          <select class="template-scope">
+            <option value="all" ${this.options.scope === 'all' ? 'selected' : ''}>All boards</option>
+            <option value="selected" ${this.options.scope === 'selected' ? 'selected' : ''} ${hasSelection ? '' : 'disabled'}>Selected board</option>
+          </select>
+        </label>
+        <label class="inline-label">
+          <input type="checkbox" class="template-dogbones" ${this.options.dogbones ? 'checked' : ''}> Dogbone relief
+        </label>
+        <label>
+          Tool radius (${Units.get(units).label}):
+          <input ${Units.inputAttributes(this.options.toolRadius, units, { min: 0.1 })} class="template-radius">
+        </label>
+        <label class="inline-label" title="Set the kerf in the Tolerances panel">
+          <input type="checkbox" class="template-kerf" ${this.options.kerfCompensation ? 'checked' : ''} ${tolerances.kerf > 0 ? '' : 'disabled'}>
+          Kerf compensation (${Units.format(tolerances.kerf, Units.fine(units))})
+        </label>
+      </div>
+      <div class="template-preview">${preview.replace(/^<\?xml[^>]*>\s*/, '')}</div>
+      <div class="template-legend">
+        <span class="legend-outline">Outline (through cut)</span>
+        <span class="legend-partial">Partial-depth cuts</span>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn-secondary template-export" data-format="svg">SVG</button>
+        <button class="btn-primary template-export" data-format="dxf">DXF</button>
+      </div>
+    `;
+
+    container.querySelector('.template-scope').addEventListener('change', (e) => {
+      this.options.scope = e.target.value;
+      this.render();
+    });
+    container.querySelector('.template-dogbones').addEventListener('change', (e) => {
+      this.options.dogbones = e.target.checked;
+      this.render();
+    });
+    container.querySelector('.template-kerf').addEventListener('change', (e) => {
+      this.options.kerfCompensation = e.target.checked;
+      this.render();
+    });
+    container.querySelector('.template-radius').addEventListener('change', (e) => {
+      const value = Units.parse(e.target.value, units);
+      if (value > 0) {
+        this.options.toolRadius = value;
+      }
+      this.render();
+    });
+
+    container.querySelectorAll('.template-export').forEach(btn => {
+      btn.addEventListener('click', () => this.export(btn.dataset.format));
+    });
+  }
+
+  export(format) {
+    const templates = this.getTemplates();
+    const filename = `joint-templates-${FileExporter.timestamp()}`;
+
+    if (format === 'svg') {
+      FileExporter.download(TemplateGenerator.toSVG(templates), `${filename}.svg`, 'image/svg+xml');
+    } else if (format === 'dxf') {
+      FileExporter.download(TemplateGenerator.toDXF(templates), `${filename}.dxf`, 'application/dxf');
+    } else {
+      return;
+    }
+
+    this.showNotification(`Templates exported as ${format.toUpperCase()}`);
+  }
+}
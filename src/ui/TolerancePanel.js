@@ -0,0 +1,69 @@
+import { DEFAULT_TOLERANCES } from '../generators/BoxJointGenerator.js';
+import { Units } from '../utils/Units.js';
+
+const FIELDS = [
+  { prop: 'kerf', label: 'Kerf', title: 'Width of the saw or bit path. It lands in the waste, so the 3D model keeps its finished size; templates are offset by half of it, cut list rough sizes include it and jig setups use it as the cutter width' },
+  { prop: 'clearance', label: 'Glue clearance', title: 'Gap added around every finger, tail and tenon' },
+  { prop: 'interference', label: 'Press-fit interference', title: 'Overlap taken off the clearance for a tight fit' }
+];
+
+/**
+ * Project-wide kerf and fit tolerances. Joints use these unless they carry
+ * their own override, set in the Joints panel.
+ */
+export class TolerancePanel {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+
+    this.stateManager.subscribe(() => this.render());
+    this.render();
+  }
+
+  updateTolerance(prop, value) {
+    const tolerances = this.stateManager.getState().tolerances;
+    if (tolerances[prop] === value) return;
+    this.stateManager.setState({ tolerances: { ...tolerances, [prop]: value } }, {
+      label: 'Change tolerances',
+      mergeKey: `tolerances.${prop}`
+    });
+  }
+
+  render() {
+    const container = document.getElementById('tolerance-panel');
+    if (!container) return;
+
+    const state = this.stateManager.getState();
+    const unit = Units.fine(state.units);
+    const tolerances = { ...DEFAULT_TOLERANCES, ...state.tolerances };
+    const fit = Number((tolerances.clearance - tolerances.interference).toFixed(3));
+    let summary = 'Joints fit exactly';
+    if (fit > 0) {
+      summary = `Joints open by ${Units.format(fit, unit)}`;
+    } else if (fit < 0) {
+      summary = `Joints overlap by ${Units.format(-fit, unit)}`;
+    }
+
+    container.innerHTML = `
+      <div class="tolerance-fields">
+        ${FIELDS.map(field => `
+          <label title="${field.title}">
+            ${field.label} (${Units.get(unit).label}):
+            <input ${Units.inputAttributes(tolerances[field.prop], unit, { min: 0, step: 0.05 })} class="tolerance-project-input" data-prop="${field.prop}">
+          </label>
+        `).join('')}
+      </div>
+      <div class="tolerance-summary">${summary}</div>
+    `;
+
+    container.querySelectorAll('.tolerance-project-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const value = Units.parse(e.target.value, unit);
+        if (isNaN(value) || value < 0) {
+          this.render();
+          return;
+        }
+        this.updateTolerance(e.target.dataset.prop, value);
+      });
+    });
+  }
+}
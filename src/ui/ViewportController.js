@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { Units } from '../utils/Units.js';
+
+// Pointer travel (px) below which a press and release counts as a click, not an orbit
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Direct manipulation in the 3D viewport: click a board to select it and
+ * drag the transform gizmo to move or rotate it. The mesh follows the
+ * gizmo while dragging; the new position and rotation are committed as a
+ * single undoable state change when the drag ends.
+ */
+export class ViewportController {
+  constructor(stateManager, scene3D, boardEditor) {
+    this.stateManager = stateManager;
+    this.scene3D = scene3D;
+    this.boardEditor = boardEditor;
+    this.pointerDown = null;
+    this.enabled = true;
+    this.snap = {
+      enabled: true,
+      grid: 10, // mm
+      rotation: 90
+    };
+    this.units = stateManager.getState().units;
+
+    const domElement = scene3D.renderer.domElement;
+    this.transformControls = new TransformControls(scene3D.camera, domElement);
+    this.transformControls.setSize(0.8);
+    scene3D.scene.add(this.transformControls.getHelper());
+
+    this.transformControls.addEventListener('dragging-changed', (e) => {
+      scene3D.controls.enabled = !e.value;
+      if (!e.value) {
+        this.commitTransform();
+      }
+    });
+
+    domElement.addEventListener('pointerdown', (e) => {
+      this.pointerDown = { x: e.clientX, y: e.clientY, onGizmo: this.transformControls.axis !== null };
+    });
+    domElement.addEventListener('pointerup', (e) => this.onPointerUp(e));
+
+    this.setupToolbar();
+    this.applySnap();
+
+    document.addEventListener('keydown', (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      if (e.key === 'm' || e.key === 'M') {
+        this.setMode('translate');
+      } else if (e.key === 'r' || e.key === 'R') {
+        this.setMode('rotate');
+      }
+    });
+
+    this.stateManager.subscribe((state) => {
+      if (state.units !== this.units) {
+        this.setUnits(state.units);
+      }
+      this.attachToSelection();
+    });
+    this.attachToSelection();
+  }
+
+  setupToolbar() {
+    document.querySelectorAll('.viewport-tool').forEach(btn => {
+      btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+    });
+
+    const snapToggle = document.getElementById('snap-toggle');
+    if (snapToggle) {
+      snapToggle.checked = this.snap.enabled;
+      snapToggle.addEventListener('change', (e) => {
+        this.snap.enabled = e.target.checked;
+        this.applySnap();
+      });
+    }
+
+    const gridInput = document.getElementById('snap-grid-input');
+    if (gridInput) {
+      this.updateGridInput();
+      gridInput.addEventListener('change', (e) => {
+        const value = Units.parse(e.target.value, this.units);
+        if (value > 0) {
+          this.snap.grid = value;
+          this.applySnap();
+        }
+        this.updateGridInput();
+      });
+    }
+
+    const rotationSelect = document.getElementById('snap-rotation-select');
+    if (rotationSelect) {
+      rotationSelect.value = String(this.snap.rotation);
+      rotationSelect.addEventListener('change', (e) => {
+        this.snap.rotation = parseFloat(e.target.value);
+        this.applySnap();
+      });
+    }
+  }
+
+  /**
+   * Switching between metric and imperial resets the grid to the new unit's
+   * default, since a 10mm grid is an awkward step in inches and vice versa.
+   */
+  setUnits(units) {
+    if (Units.isImperial(units) !== Units.isImperial(this.units)) {
+      this.snap.grid = Units.toMillimetres(Units.get(units).grid, units);
+      this.applySnap();
+    }
+    this.units = units;
+    this.updateGridInput();
+  }
+
+  updateGridInput() {
+    const gridInput = document.getElementById('snap-grid-input');
+    const unitLabel = document.getElementById('snap-grid-unit');
+    if (!gridInput) return;
+
+    const system = Units.get(this.units);
+    gridInput.type = system.denominator ? 'text' : 'number';
+    if (system.denominator) {
+      gridInput.removeAttribute('step');
+      gridInput.removeAttribute('min');
+    } else {
+      gridInput.step = system.step;
+      gridInput.min = system.step;
+    }
+    gridInput.value = Units.formatValue(this.snap.grid, this.units);
+    if (unitLabel) {
+      unitLabel.textContent = system.label;
+    }
+  }
+
+  setMode(mode) {
+    this.transformControls.setMode(mode);
+    document.querySelectorAll('.viewport-tool').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+  }
+
+  /**
+   * Turns the gizmo off while meshes are shown away from their board
+   * positions (e.g. in the exploded view), so a drag cannot commit them.
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.transformControls.enabled = enabled;
+    this.attachToSelection();
+  }
+
+  applySnap() {
+    const { enabled, grid, rotation } = this.snap;
+    this.transformControls.setTranslationSnap(enabled ? grid : null);
+    this.transformControls.setRotationSnap(enabled && rotation > 0 ? THREE.MathUtils.degToRad(rotation) : null);
+  }
+
+  /**
+   * Keeps the gizmo on the selected board. Joint visualization replaces
+   * board meshes on every state change, so the gizmo is re-attached each time.
+   */
+  attachToSelection() {
+    if (this.transformControls.dragging) return;
+
+    const state = this.stateManager.getState();
+    const board = state.selectedBoardId ? state.boards.get(state.selectedBoardId) : null;
+
+    if (this.enabled && board && board.mesh) {
+      if (this.transformControls.object !== board.mesh) {
+        this.transformControls.attach(board.mesh);
+      }
+    } else if (this.transformControls.object) {
+      this.transformControls.detach();
+    }
+  }
+
+  onPointerUp(e) {
+    const down = this.pointerDown;
+    this.pointerDown = null;
+    if (!down || down.onGizmo || e.button !== 0) return;
+
+    const travel = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+    if (travel > CLICK_TOLERANCE) return;
+
+    const boardId = this.scene3D.pickBoard(e.clientX, e.clientY);
+    const state = this.stateManager.getState();
+
+    if (boardId && boardId !== state.selectedBoardId) {
+      this.boardEditor.selectBoard(boardId);
+    } else if (!boardId && state.selectedBoardId) {
+      this.boardEditor.deselectAllBoards();
+    }
+  }
+
+  commitTransform() {
+    const mesh = this.transformControls.object;
+    if (!mesh) return;
+
+    const board = this.stateManager.getState().boards.get(mesh.userData.boardId);
+    if (!board) return;
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const position = { x: round(mesh.position.x), y: round(mesh.position.y), z: round(mesh.position.z) };
+    const rotation = { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z };
+
+    const unchanged = ['x', 'y', 'z'].every(axis =>
+      Math.abs(position[axis] - board.position[axis]) < 1e-6 &&
+      Math.abs(rotation[axis] - board.rotation[axis]) < 1e-6
+    );
+    if (unchanged) return;
+
+    const verb = this.transformControls.getMode() === 'rotate' ? 'Rotate' : 'Move';
+    this.boardEditor.updateBoard(board.id, { position, rotation }, { label: `${verb} ${this.boardEditor.boardName(board)}` });
+  }
+}
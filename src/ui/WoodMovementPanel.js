@@ -0,0 +1,217 @@
+import { WoodMovementCalculator, DEFAULT_MOVEMENT, SAWING_METHODS } from '../utils/WoodMovementCalculator.js';
+import { Units } from '../utils/Units.js';
+import { escapeHTML } from '../utils/escapeHTML.js';
+
+const HUMIDITY_FIELDS = [
+  { prop: 'minHumidity', label: 'Driest', title: 'Relative humidity at the driest time of year, e.g. indoors with the heating on' },
+  { prop: 'buildHumidity', label: 'Built at', title: 'Relative humidity in the workshop when the joints were cut' },
+  { prop: 'maxHumidity', label: 'Most humid', title: 'Relative humidity at the most humid time of year' }
+];
+
+const SEASONS = {
+  build: 'As built',
+  dry: 'Driest',
+  humid: 'Most humid'
+};
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  bind: 'Binds',
+  gap: 'Gaps'
+};
+
+// Factors the previewed movement can be multiplied by; real movement is a fraction of a millimetre
+const EXAGGERATIONS = [1, 10, 25, 50];
+
+/**
+ * Seasonal wood movement: the project's humidity range, each linked joint's
+ * bind or gap at the extremes of it, the selected board's change in size,
+ * and a viewport preview of the boards at the driest or most humid time of
+ * year. The preview only scales the meshes; the boards keep their sizes.
+ */
+export class WoodMovementPanel {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.season = 'build';
+    this.exaggeration = 10;
+
+    // Board meshes are rebuilt on every state change, so the preview is applied again
+    this.stateManager.subscribe(() => {
+      this.render();
+      this.applyPreview();
+    });
+    this.render();
+  }
+
+  getSettings(state = this.stateManager.getState()) {
+    return { ...DEFAULT_MOVEMENT, ...state.movement };
+  }
+
+  updateSetting(prop, value) {
+    const settings = this.getSettings();
+    if (settings[prop] === value) return;
+
+    const updated = { ...settings, [prop]: value };
+    // Keep the build humidity inside the seasonal range
+    if (prop === 'minHumidity') {
+      updated.buildHumidity = Math.max(updated.buildHumidity, value);
+      updated.maxHumidity = Math.max(updated.maxHumidity, value);
+    } else if (prop === 'maxHumidity') {
+      updated.buildHumidity = Math.min(updated.buildHumidity, value);
+      updated.minHumidity = Math.min(updated.minHumidity, value);
+    } else if (prop === 'buildHumidity') {
+      updated.minHumidity = Math.min(updated.minHumidity, value);
+      updated.maxHumidity = Math.max(updated.maxHumidity, value);
+    }
+    this.stateManager.setState({ movement: updated }, {
+      label: 'Change wood movement settings',
+      mergeKey: `movement.${prop}`
+    });
+  }
+
+  render() {
+    const container = document.getElementById('movement-panel');
+    if (!container) return;
+
+    const state = this.stateManager.getState();
+    const settings = this.getSettings(state);
+    const unit = Units.fine(state.units);
+    const moisture = WoodMovementCalculator.getMoisture(settings);
+    const results = WoodMovementCalculator.analyzeJoints(state.boards, settings, state.tolerances, state.customSpecies);
+    const options = (choices, selected) => Object.entries(choices)
+      .map(([key, label]) => `<option value="${key}" ${String(selected) === key ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    container.innerHTML = `
+      <div class="movement-fields">
+        ${HUMIDITY_FIELDS.map(field => `
+          <label title="${field.title}">
+            ${field.label} (% RH):
+            <input type="number" class="movement-input" data-prop="${field.prop}" min="0" max="100" step="5" value="${settings[field.prop]}">
+          </label>
+        `).join('')}
+        <label>
+          Sawing:
+          <select class="movement-input" data-prop="sawing">${options(SAWING_METHODS, settings.sawing)}</select>
+        </label>
+        <label title="Bind or gap at the end fingers above which a joint is flagged">
+          Warn above (${Units.get(unit).label}):
+          <input ${Units.inputAttributes(settings.threshold, unit, { min: 0, step: 0.05 })} class="movement-input movement-length" data-prop="threshold">
+        </label>
+      </div>
+      <div class="movement-summary">
+        Wood moisture ${moisture.build.toFixed(1)}% as built, ${moisture.dry.toFixed(1)}–${moisture.humid.toFixed(1)}% over the year
+      </div>
+      ${this.renderSelectedBoard(state, settings, unit)}
+      <div class="movement-preview">
+        <label>
+          Show:
+          <select class="movement-season">${options(SEASONS, this.season)}</select>
+        </label>
+        <label>
+          Exaggerate:
+          <select class="movement-exaggeration">
+            ${options(Object.fromEntries(EXAGGERATIONS.map(factor => [factor, `×${factor}`])), this.exaggeration)}
+          </select>
+        </label>
+      </div>
+      ${results.length === 0
+        ? '<div class="placeholder">Link joints between boards to check them for wood movement</div>'
+        : `<div class="fit-check-list">${results.map(result => this.renderResult(result, unit)).join('')}</div>`}
+    `;
+
+    container.querySelectorAll('.movement-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const { prop } = e.target.dataset;
+        if (prop === 'sawing') {
+          this.updateSetting(prop, e.target.value);
+          return;
+        }
+        const value = e.target.classList.contains('movement-length')
+          ? Units.parse(e.target.value, unit)
+          : parseFloat(e.target.value);
+        if (isNaN(value) || value < 0 || (prop !== 'threshold' && value > 100)) {
+          this.render();
+          return;
+        }
+        this.updateSetting(prop, value);
+      });
+    });
+    container.querySelector('.movement-season').addEventListener('change', (e) => {
+      this.season = e.target.value;
+      this.applyPreview();
+    });
+    container.querySelector('.movement-exaggeration').addEventListener('change', (e) => {
+      this.exaggeration = parseFloat(e.target.value);
+      this.applyPreview();
+    });
+    container.querySelectorAll('.movement-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const board = this.stateManager.getState().boards.get(item.dataset.id);
+        if (board) {
+          this.stateManager.setState({ selectedBoardId: board.id }, { label: `Select ${board.displayName || board.id}` });
+        }
+      });
+    });
+  }
+
+  renderSelectedBoard(state, settings, unit) {
+    const board = state.boards.get(state.selectedBoardId);
+    if (!board) return '';
+
+    const change = WoodMovementCalculator.getDimensionChange(board, settings, state.customSpecies);
+    const range = prop => {
+      const signed = value => `${value > 0 ? '+' : ''}${Units.format(value, unit)}`;
+      return `${signed(change.dry[prop])} to ${signed(change.humid[prop])}`;
+    };
+    return `
+      <div class="movement-board">
+        <div class="movement-board-name">${escapeHTML(board.displayName || board.id)}</div>
+        <div>Width ${range('width')}</div>
+        <div>Height ${range('height')}</div>
+        <div>Thickness ${range('thickness')}</div>
+      </div>
+    `;
+  }
+
+  renderResult(result, unit) {
+    const mismatch = Math.max(Math.abs(result.mismatch.dry), Math.abs(result.mismatch.humid));
+    let detail;
+    if (result.status === 'bind') {
+      detail = `End fingers bind by ${Units.format(result.bind, unit)} at the most humid`;
+    } else if (result.status === 'gap') {
+      detail = `End fingers open ${Units.format(result.gap, unit)} at the driest`;
+    } else if (mismatch < 0.005) {
+      detail = 'Both boards move together along the joint';
+    } else {
+      detail = `Boards move up to ${Units.format(mismatch, unit)} apart along the joint`;
+    }
+
+    return `
+      <div class="fit-check-item movement-item status-${result.status}" data-id="${escapeHTML(result.boardIds[0])}">
+        <div class="fit-check-item-header">
+          <span class="fit-check-pair">${escapeHTML(result.names[0])} ↔ ${escapeHTML(result.names[1])}</span>
+          <span class="fit-check-status">${STATUS_LABELS[result.status]}</span>
+        </div>
+        <div class="fit-check-detail">${detail}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Scales every board mesh to its size in the previewed season. The scale
+   * is only for display: exports and fit checks use the true size, and
+   * main.js calls this again after rebuilding the meshes.
+   */
+  applyPreview() {
+    const state = this.stateManager.getState();
+    const settings = this.getSettings(state);
+    const change = this.season === 'build' ? 0 : WoodMovementCalculator.getMoistureChange(settings)[this.season];
+
+    state.boards.forEach(board => {
+      if (!board.mesh) return;
+      const scale = WoodMovementCalculator.getScale(board, settings, change, this.exaggeration, state.customSpecies);
+      board.mesh.scale.set(scale.x, scale.y, scale.z);
+    });
+  }
+}
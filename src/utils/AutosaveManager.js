@@ -0,0 +1,154 @@
+import { UNSAVED_PROJECT_ID } from './ProjectLibrary.js';
+
+// Unsaved session, kept in localStorage so it can be written while the page unloads
+const SESSION_KEY = 'boxJointsAutosave';
+// Quiet time after the last change before the session is written (ms)
+const AUTOSAVE_DELAY = 1000;
+// Time between automatic snapshots while the design keeps changing (ms)
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+// Snapshots kept per project
+const SNAPSHOT_LIMIT = 30;
+// Project fields that only change the view, not the design
+const VIEW_FIELDS = ['selectedBoardId', 'selectedSide', 'showUnselectedTransparent', 'units'];
+
+/**
+ * Keeps unsaved work safe between explicit saves.
+ *
+ * - The design is written to a session slot shortly after every change and
+ *   when the page is hidden. Saving, opening or starting a project clears
+ *   the slot; a slot newer than the project's last save can be recovered
+ *   on the next load.
+ * - Every few minutes, if the design changed, a snapshot is added to the
+ *   project's timeline in the project library.
+ */
+export class AutosaveManager {
+  /**
+   * @param {StateManager} stateManager - Application state
+   * @param {ProjectLibrary} projectLibrary - Holds the snapshots
+   * @param {ProjectBrowserDialog} projectBrowser - Knows the open project and whether it is saved
+   * @param {Scene3D} scene3D - Viewport the snapshot thumbnails are taken from
+   */
+  constructor(stateManager, projectLibrary, projectBrowser, scene3D) {
+    this.stateManager = stateManager;
+    this.projectLibrary = projectLibrary;
+    this.projectBrowser = projectBrowser;
+    this.scene3D = scene3D;
+    this.timer = null;
+    this.snapshotDesign = this.getDesign(); // design the last snapshot was taken of
+
+    this.stateManager.subscribe(() => this.schedule());
+    this.projectBrowser.onProjectChange(() => {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.clearSession();
+      this.snapshotDesign = this.getDesign();
+    });
+
+    window.addEventListener('pagehide', () => this.flush());
+    setInterval(() => this.takeSnapshot(), SNAPSHOT_INTERVAL);
+  }
+
+  /**
+   * The design as a string, without the selection and view settings, to
+   * tell whether it changed since the last snapshot.
+   */
+  getDesign() {
+    const project = this.stateManager.serializeProject();
+    VIEW_FIELDS.forEach(field => delete project[field]);
+    return JSON.stringify(project);
+  }
+
+  getProjectId() {
+    return this.projectBrowser.current ? this.projectBrowser.current.id : UNSAVED_PROJECT_ID;
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), AUTOSAVE_DELAY);
+  }
+
+  /**
+   * Writes the session now if it has unsaved changes.
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.projectBrowser.isDirty()) {
+      this.clearSession();
+      return;
+    }
+
+    const current = this.projectBrowser.current;
+    const session = {
+      projectId: current ? current.id : null,
+      name: current ? current.name : this.projectBrowser.suggestedName,
+      savedAt: Date.now(),
+      data: this.stateManager.exportToJSON()
+    };
+    try {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
+  }
+
+  clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * Session left by a closed or crashed tab that is newer than the last
+   * explicit save of its project. Stale sessions are discarded.
+   * @returns {Promise<Object|null>} { projectId, name, savedAt, data }
+   */
+  async getRecoverableSession() {
+    let session;
+    try {
+      session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+      session = null;
+    }
+    if (!session || typeof session.data !== 'string') {
+      this.clearSession();
+      return null;
+    }
+
+    if (session.projectId) {
+      const project = await this.projectLibrary.get(session.projectId);
+      if (project && project.modified >= session.savedAt) {
+        this.clearSession();
+        return null;
+      }
+    }
+    return session;
+  }
+
+  /**
+   * Adds a snapshot of the design to the open project's timeline.
+   * @param {string} label - 'auto', 'manual' or 'before-restore'
+   * @param {boolean} force - Take it even if nothing changed since the last one
+   * @returns {Promise<Object|null>} The snapshot, or null if none was taken
+   */
+  async takeSnapshot(label = 'auto', force = false) {
+    const state = this.stateManager.getState();
+    const design = this.getDesign();
+    if (!force && (design === this.snapshotDesign || state.boards.size === 0)) {
+      return null;
+    }
+
+    try {
+      const projectId = this.getProjectId();
+      const snapshot = await this.projectLibrary.addSnapshot(projectId, this.stateManager.exportToJSON(), {
+        label,
+        boardCount: state.boards.size,
+        thumbnail: this.scene3D.captureThumbnail(160, 100)
+      });
+      this.snapshotDesign = design;
+      await this.projectLibrary.pruneSnapshots(projectId, SNAPSHOT_LIMIT);
+      return snapshot;
+    } catch (error) {
+      console.error('Snapshot failed:', error);
+      return null;
+    }
+  }
+}
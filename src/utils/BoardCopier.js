@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { FaceCutGenerator } from '../generators/FaceCutGenerator.js';
+import { JointLinker } from './JointLinker.js';
+import { MateSolver } from './MateSolver.js';
+
+// Space left between a duplicate and the original (mm)
+const DUPLICATE_GAP = 20;
+
+const AXES = ['x', 'y', 'z'];
+// Joint sides and faces swapped by mirroring a board along one of its own axes
+const SIDE_FLIPS = {
+  x: { left: 'right', right: 'left' },
+  y: { top: 'bottom', bottom: 'top' },
+  z: { front: 'back', back: 'front' }
+};
+// Local axis each edge runs along; its joint pattern reverses when that axis is mirrored
+const EDGE_RUNS = { top: 'x', bottom: 'x', left: 'y', right: 'y' };
+// Words swapped in display names when mirroring across a world axis
+const NAME_FLIPS = {
+  x: ['left', 'right'],
+  y: ['top', 'bottom'],
+  z: ['front', 'back']
+};
+
+/**
+ * Copies boards: duplicates, mirror images and linear or circular arrays.
+ *
+ * Copies get fresh ids and keep their joints. Joint links and placements
+ * between boards copied together point at the copies; links to boards that
+ * were not copied are dropped, keeping the joint's current shape, and
+ * placements against them are released. Like JointLinker and MateSolver,
+ * nothing passed in is mutated; every method returns a Map holding only the
+ * new boards.
+ */
+export class BoardCopier {
+  /**
+   * Hands out the ids of the copies of the given boards.
+   * @param {Map} boards - Current boards by id
+   * @param {Array} boardIds - Boards to copy; ids of missing boards are skipped
+   * @param {Function} nextId - Hands out unused board ids
+   * @returns {Map} Copy id by original id, in the order of boardIds
+   */
+  static createIdMap(boards, boardIds, nextId) {
+    return new Map(boardIds.filter(id => boards.has(id)).map(id => [id, nextId()]));
+  }
+
+  /**
+   * Copies boards as they are.
+   * @param {Map} boards - Current boards by id
+   * @param {Map} idMap - Copy id by original id, from createIdMap
+   * @param {Function} name - (board) → display name of its copy
+   * @returns {Map} Copies by id, in the order of idMap
+   */
+  static copy(boards, idMap, name = board => `${board.displayName || board.id} (copy)`) {
+    const copies = new Map();
+
+    idMap.forEach((copyId, id) => {
+      const board = boards.get(id);
+      const copy = board.clone();
+      copy.id = copyId;
+      // Boards still named after their id are named after their new one
+      copy.displayName = board.displayName && board.displayName !== board.id ? name(board) : copyId;
+      copy.mate = board.mate && idMap.has(board.mate.parentId)
+        ? { ...board.mate, parentId: idMap.get(board.mate.parentId) }
+        : null;
+      board.joints.forEach((joint, side) => {
+        if (!joint.link) return;
+        if (idMap.has(joint.link.boardId)) {
+          const linked = joint.clone();
+          linked.link = { ...joint.link, boardId: idMap.get(joint.link.boardId) };
+          copy.joints.set(side, linked);
+        } else {
+          copy.joints.set(side, JointLinker.detach(boards, board, side));
+        }
+      });
+      copies.set(copyId, copy);
+    });
+
+    return copies;
+  }
+
+  /**
+   * Copies boards and places the copies beside the originals along X.
+   */
+  static duplicate(boards, boardIds, nextId) {
+    const box = this.bounds(boards, boardIds);
+    const shift = box.isEmpty() ? DUPLICATE_GAP : box.max.x - box.min.x + DUPLICATE_GAP;
+    return this.transformed(this.copy(boards, this.createIdMap(boards, boardIds, nextId)), new THREE.Matrix4().makeTranslation(shift, 0, 0));
+  }
+
+  /**
+   * Mirror images of boards across the plane where the given world axis
+   * equals the given coordinate. Each copy is mirrored along its own axis
+   * closest to the world axis, so its joint sides, faces, finger patterns,
+   * mortises, face cuts and tenons swap accordingly (a left joint becomes a
+   * right one). Copies are placed freely rather than against other boards.
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {number} coordinate - Position of the mirror plane along the axis (mm)
+   */
+  static mirror(boards, boardIds, nextId, axis, coordinate = 0) {
+    const copies = this.copy(boards, this.createIdMap(boards, boardIds, nextId), board => this.mirrorName(board.displayName || board.id, axis));
+    const reflection = new THREE.Matrix4().makeScale(
+      axis === 'x' ? -1 : 1,
+      axis === 'y' ? -1 : 1,
+      axis === 'z' ? -1 : 1
+    ).setPosition(
+      axis === 'x' ? 2 * coordinate : 0,
+      axis === 'y' ? 2 * coordinate : 0,
+      axis === 'z' ? 2 * coordinate : 0
+    );
+
+    // Local axis each copy is mirrored along
+    const flips = new Map();
+    copies.forEach((copy, id) => {
+      const basis = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(copy.rotation.x, copy.rotation.y, copy.rotation.z));
+      const worldAxis = AXES.indexOf(axis);
+      const alignment = AXES.map((_, column) => Math.abs(basis.elements[column * 4 + worldAxis]));
+      flips.set(id, AXES[alignment.indexOf(Math.max(...alignment))]);
+    });
+
+    const result = new Map();
+    copies.forEach((copy, id) => {
+      const flip = flips.get(id);
+      const local = new THREE.Matrix4().makeScale(flip === 'x' ? -1 : 1, flip === 'y' ? -1 : 1, flip === 'z' ? -1 : 1);
+      // Mirroring the copy twice, in the world and along its own axis, leaves a proper rotation
+      const world = reflection.clone().multiply(MateSolver.getMatrix(copy)).multiply(local);
+      const mirrored = this.withMatrix(copy, world);
+      mirrored.mate = null;
+      mirrored.joints = new Map(Array.from(copy.joints.entries()).map(([side, joint]) => {
+        const flipped = this.mirrorJoint(joint, flip);
+        if (flipped.link && flips.has(flipped.link.boardId)) {
+          const partnerFlip = flips.get(flipped.link.boardId);
+          flipped.link = {
+            ...flipped.link,
+            side: this.flipSide(flipped.link.side, partnerFlip),
+            // Edges whose direction flipped on only one of the two boards now run the other way
+            reversed: flipped.link.reversed !== ((EDGE_RUNS[side] === flip) !== (EDGE_RUNS[joint.link.side] === partnerFlip))
+          };
+        }
+        return [flipped.side, flipped];
+      }));
+      mirrored.mortises = copy.mortises.map(mortise => this.mirrorMortise(mortise, copy, flip));
+      mirrored.faceCuts = copy.faceCuts.map(cut => this.mirrorFaceCut(cut, copy, flip));
+      result.set(id, mirrored);
+    });
+    return result;
+  }
+
+  /**
+   * Copies repeated along a world axis.
+   * @param {number} count - Number of boards in the array, including the originals
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {number} spacing - Distance between neighbouring copies (mm)
+   */
+  static linearArray(boards, boardIds, nextId, count, axis, spacing) {
+    const step = new THREE.Vector3();
+    step[axis] = spacing;
+    return this.array(boards, boardIds, nextId, count, index =>
+      new THREE.Matrix4().makeTranslation(step.x * index, step.y * index, step.z * index));
+  }
+
+  /**
+   * Copies rotated in steps about a line parallel to a world axis.
+   * @param {number} count - Number of boards in the array, including the originals
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {number} angle - Rotation between neighbouring copies (radians)
+   * @param {Object} center - { x, y, z } point on the rotation axis (mm)
+   */
+  static circularArray(boards, boardIds, nextId, count, axis, angle, center = { x: 0, y: 0, z: 0 }) {
+    const direction = new THREE.Vector3();
+    direction[axis] = 1;
+    return this.array(boards, boardIds, nextId, count, index =>
+      new THREE.Matrix4().makeTranslation(center.x, center.y, center.z)
+        .multiply(new THREE.Matrix4().makeRotationAxis(direction, angle * index))
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z)));
+  }
+
+  /**
+   * Copies numbered 2..count, each moved by placement(index).
+   */
+  static array(boards, boardIds, nextId, count, placement) {
+    const result = new Map();
+    for (let index = 1; index < count; index++) {
+      const copies = this.copy(boards, this.createIdMap(boards, boardIds, nextId), board => `${board.displayName || board.id} ${index + 1}`);
+      this.transformed(copies, placement(index)).forEach((copy, id) => result.set(id, copy));
+    }
+    return result;
+  }
+
+  static transformed(copies, matrix) {
+    const result = new Map();
+    copies.forEach((copy, id) => result.set(id, this.withMatrix(copy, matrix.clone().multiply(MateSolver.getMatrix(copy)))));
+    return result;
+  }
+
+  static withMatrix(board, matrix) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    matrix.decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+
+    const updated = board.clone();
+    updated.position = { x: MateSolver.clean(position.x), y: MateSolver.clean(position.y), z: MateSolver.clean(position.z) };
+    updated.rotation = { x: euler.x, y: euler.y, z: euler.z };
+    return updated;
+  }
+
+  /**
+   * World-space bounding box of some boards.
+   */
+  static bounds(boards, boardIds) {
+    const box = new THREE.Box3();
+    boardIds.forEach(id => {
+      const board = boards.get(id);
+      if (!board) return;
+      const { width, height, thickness } = board.dimensions;
+      const local = new THREE.Box3(
+        new THREE.Vector3(-width / 2, -height / 2, -thickness / 2),
+        new THREE.Vector3(width / 2, height / 2, thickness / 2)
+      );
+      box.union(local.applyMatrix4(MateSolver.getMatrix(board)));
+    });
+    return box;
+  }
+
+  static flipSide(side, flip) {
+    return SIDE_FLIPS[flip][side] || side;
+  }
+
+  static mirrorJoint(joint, flip) {
+    const mirrored = joint.clone();
+    mirrored.side = this.flipSide(joint.side, flip);
+
+    // Fixed patterns are symmetric; variable ones are read from the other end
+    if (EDGE_RUNS[joint.side] === flip && joint.mode === 'variable' && joint.geometry.length > 0) {
+      mirrored.geometry = [...joint.geometry].reverse();
+      mirrored.start = (joint.start + joint.geometry.length - 1) % 2;
+    }
+    if (mirrored.tenon) {
+      if (EDGE_RUNS[joint.side] === flip) {
+        mirrored.tenon.offset = -mirrored.tenon.offset;
+        mirrored.tenon.haunchSide = mirrored.tenon.haunchSide === 'start' ? 'end' : 'start';
+      }
+      if (flip === 'z') {
+        mirrored.tenon.shoulders = this.flipSide(mirrored.tenon.shoulders, flip);
+      }
+    }
+    if (flip === 'z') {
+      mirrored.dovetail = { ...mirrored.dovetail, outsideFace: this.flipSide(mirrored.dovetail.outsideFace, flip) };
+    }
+    return mirrored;
+  }
+
+  static mirrorMortise(mortise, board, flip) {
+    const mirrored = mortise.clone();
+    if (flip === 'x') mirrored.x = board.dimensions.width - mortise.x;
+    if (flip === 'y') mirrored.y = board.dimensions.height - mortise.y;
+    if (flip === 'z') mirrored.face = this.flipSide(mortise.face, flip);
+    return mirrored;
+  }
+
+  static mirrorFaceCut(cut, board, flip) {
+    const mirrored = cut.clone();
+    if (flip === 'z') {
+      mirrored.face = this.flipSide(cut.face, flip);
+      return mirrored;
+    }
+
+    if (FaceCutGenerator.getRunAxis(board, cut) === flip) {
+      mirrored.stopStart = cut.stopEnd;
+      mirrored.stopEnd = cut.stopStart;
+    } else if (cut.type === 'rabbet') {
+      mirrored.edge = this.flipSide(cut.edge, flip);
+    } else {
+      const across = flip === 'x' ? board.dimensions.width : board.dimensions.height;
+      mirrored.offset = across - cut.offset - cut.width;
+    }
+    return mirrored;
+  }
+
+  /**
+   * Display name of a mirror image: "Left side" becomes "Right side" when
+   * mirrored across X, and names with nothing to swap get "(mirror)".
+   */
+  static mirrorName(name, axis) {
+    const [a, b] = NAME_FLIPS[axis];
+    const swapped = name.replace(new RegExp(`\\b(${a}|${b})\\b`, 'gi'), word => {
+      const other = word.toLowerCase() === a ? b : a;
+      return word[0] === word[0].toUpperCase() ? other[0].toUpperCase() + other.slice(1) : other;
+    });
+    return swapped !== name ? swapped : `${name} (mirror)`;
+  }
+}
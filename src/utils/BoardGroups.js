@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { BoardGroup } from '../models/BoardGroup.js';
+import { BoardCopier } from './BoardCopier.js';
+import { MateSolver } from './MateSolver.js';
+
+// Space left between a duplicated group and the original (mm)
+const DUPLICATE_GAP = 50;
+
+/**
+ * Operations on board groups (sub-assemblies). Like JointLinker and
+ * MateSolver, every method returns new Maps and never mutates the boards or
+ * groups passed in.
+ */
+export class BoardGroups {
+  /**
+   * @returns {Set} The group's id and the ids of every group nested in it
+   */
+  static descendantGroupIds(groups, groupId) {
+    const ids = new Set([groupId]);
+    let added = true;
+    while (added) {
+      added = false;
+      groups.forEach(group => {
+        if (group.parentId && ids.has(group.parentId) && !ids.has(group.id)) {
+          ids.add(group.id);
+          added = true;
+        }
+      });
+    }
+    return ids;
+  }
+
+  /**
+   * @returns {Array} Ids of the boards in a group, including nested groups
+   */
+  static boardIds(boards, groups, groupId) {
+    const groupIds = this.descendantGroupIds(groups, groupId);
+    return Array.from(boards.values())
+      .filter(board => board.groupId && groupIds.has(board.groupId))
+      .map(board => board.id);
+  }
+
+  /**
+   * Creates a group around some boards. Its frame starts at the centre of the
+   * boards, and it nests in the group they share, if any.
+   * @returns {Object} { boards, groups }
+   */
+  static create(boards, groups, id, name, boardIds = []) {
+    const members = boardIds.map(boardId => boards.get(boardId)).filter(Boolean);
+    const group = new BoardGroup(id, name);
+
+    if (members.length > 0) {
+      const center = BoardCopier.bounds(boards, boardIds).getCenter(new THREE.Vector3());
+      group.position = { x: MateSolver.clean(center.x), y: MateSolver.clean(center.y), z: MateSolver.clean(center.z) };
+      const parentId = members[0].groupId;
+      group.parentId = members.every(board => board.groupId === parentId) ? parentId : null;
+    }
+
+    const resultGroups = new Map(groups);
+    resultGroups.set(id, group);
+    const resultBoards = new Map(boards);
+    members.forEach(board => resultBoards.set(board.id, this.withGroup(board, id)));
+    return { boards: resultBoards, groups: resultGroups };
+  }
+
+  /**
+   * Removes a group, handing its boards and nested groups to its parent.
+   * @returns {Object} { boards, groups }
+   */
+  static ungroup(boards, groups, groupId) {
+    const group = groups.get(groupId);
+    if (!group) return { boards, groups };
+
+    const resultGroups = new Map(groups);
+    resultGroups.delete(groupId);
+    groups.forEach(child => {
+      if (child.parentId === groupId) {
+        const updated = child.clone();
+        updated.parentId = group.parentId;
+        resultGroups.set(child.id, updated);
+      }
+    });
+
+    const resultBoards = new Map(boards);
+    boards.forEach(board => {
+      if (board.groupId === groupId) {
+        resultBoards.set(board.id, this.withGroup(board, group.parentId));
+      }
+    });
+    return { boards: resultBoards, groups: resultGroups };
+  }
+
+  /**
+   * Nests a group in another one (or at the top level for null). Refused if
+   * the parent is the group itself or nested in it.
+   * @returns {Map} Updated groups map
+   */
+  static setParent(groups, groupId, parentId) {
+    const group = groups.get(groupId);
+    if (!group || group.parentId === parentId) return groups;
+    if (parentId && (!groups.has(parentId) || this.descendantGroupIds(groups, groupId).has(parentId))) {
+      return groups;
+    }
+
+    const updated = group.clone();
+    updated.parentId = parentId;
+    const result = new Map(groups);
+    result.set(groupId, updated);
+    return result;
+  }
+
+  /**
+   * Moves a group's frame to a new position and rotation, carrying its
+   * boards and nested groups rigidly along.
+   *
+   * Boards inside stay mated to each other. A board mated to a board outside
+   * the group is released, as when it is moved by hand, and boards outside
+   * that are mated to boards inside follow them.
+   * @returns {Object} { boards, groups }
+   */
+  static transform(boards, groups, groupId, position, rotation) {
+    const group = groups.get(groupId);
+    if (!group) return { boards, groups };
+
+    const target = new BoardGroup(groupId, group.name, position, rotation);
+    const delta = MateSolver.getMatrix(target).multiply(MateSolver.getMatrix(group).invert());
+
+    const groupIds = this.descendantGroupIds(groups, groupId);
+    const resultGroups = new Map(groups);
+    groupIds.forEach(id => {
+      const updated = groups.get(id).clone();
+      Object.assign(updated, id === groupId ? { position: { ...position }, rotation: { ...rotation } } : this.apply(delta, updated));
+      resultGroups.set(id, updated);
+    });
+
+    const boardIds = new Set(this.boardIds(boards, groups, groupId));
+    let resultBoards = new Map(boards);
+    boardIds.forEach(id => {
+      const board = boards.get(id);
+      const updated = board.clone();
+      updated.mesh = board.mesh;
+      Object.assign(updated, this.apply(delta, board));
+      if (updated.mate && !boardIds.has(updated.mate.parentId)) {
+        updated.mate = null;
+      }
+      if (updated.mesh) {
+        updated.mesh.position.set(updated.position.x, updated.position.y, updated.position.z);
+        updated.mesh.rotation.set(updated.rotation.x, updated.rotation.y, updated.rotation.z);
+      }
+      resultBoards.set(id, updated);
+    });
+
+    boardIds.forEach(id => {
+      resultBoards = MateSolver.propagate(resultBoards, id);
+    });
+    return { boards: resultBoards, groups: resultGroups };
+  }
+
+  /**
+   * Copies a group with its boards and nested groups, placed beside the
+   * original in the same parent. Boards are copied as by BoardCopier.copy
+   * and keep their names.
+   * @param {Function} nextBoardId - Hands out unused board ids
+   * @param {Function} nextGroupId - Hands out unused group ids
+   * @returns {Object} { newBoards, groups } where newBoards holds only the copies
+   */
+  static duplicate(boards, groups, groupId, nextBoardId, nextGroupId) {
+    const group = groups.get(groupId);
+    if (!group) return { newBoards: new Map(), groups };
+
+    const boardIds = this.boardIds(boards, groups, groupId);
+    const box = BoardCopier.bounds(boards, boardIds);
+    const shift = box.isEmpty() ? DUPLICATE_GAP : box.max.x - box.min.x + DUPLICATE_GAP;
+
+    const groupIdMap = new Map();
+    this.descendantGroupIds(groups, groupId).forEach(id => groupIdMap.set(id, nextGroupId()));
+
+    const resultGroups = new Map(groups);
+    groupIdMap.forEach((copyId, id) => {
+      const copy = groups.get(id).clone();
+      copy.id = copyId;
+      copy.parentId = id === groupId ? group.parentId : groupIdMap.get(copy.parentId);
+      copy.position = { ...copy.position, x: MateSolver.clean(copy.position.x + shift) };
+      if (id === groupId) {
+        copy.name = `${group.name} (copy)`;
+      }
+      resultGroups.set(copyId, copy);
+    });
+
+    const boardIdMap = BoardCopier.createIdMap(boards, boardIds, nextBoardId);
+    const copies = BoardCopier.copy(boards, boardIdMap, board => board.displayName);
+    const newBoards = new Map();
+    boardIdMap.forEach((copyId, id) => {
+      const copy = copies.get(copyId);
+      copy.groupId = groupIdMap.get(boards.get(id).groupId);
+      copy.position = { ...copy.position, x: MateSolver.clean(copy.position.x + shift) };
+      newBoards.set(copyId, copy);
+    });
+
+    return { newBoards, groups: resultGroups };
+  }
+
+  /**
+   * Position and rotation of an object after a rigid transform.
+   */
+  static apply(matrix, object) {
+    const world = matrix.clone().multiply(MateSolver.getMatrix(object));
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    world.decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+    return {
+      position: { x: MateSolver.clean(position.x), y: MateSolver.clean(position.y), z: MateSolver.clean(position.z) },
+      rotation: { x: euler.x, y: euler.y, z: euler.z }
+    };
+  }
+
+  static withGroup(board, groupId) {
+    const updated = board.clone();
+    updated.mesh = board.mesh;
+    updated.groupId = groupId;
+    return updated;
+  }
+}
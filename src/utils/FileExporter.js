@@ -0,0 +1,47 @@
+/**
+ * Browser helpers for handing generated files to the user.
+ */
+export class FileExporter {
+  /**
+   * Triggers a download of in-memory content.
+   * @param {string|Blob|ArrayBuffer} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type used when content is not already a Blob
+   */
+  static download(content, filename, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Opens an HTML document in a new window and starts the print dialog.
+   * @param {string} html - Complete HTML document
+   * @returns {boolean} False if the window could not be opened (e.g. popup blocked)
+   */
+  static print(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+  }
+
+  /**
+   * Timestamp suitable for file names, e.g. 2024-05-01T10-20-30.
+   */
+  static timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  }
+}
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { CSG } from 'three-csg-ts';
+import { MateSolver } from './MateSolver.js';
+
+/**
+ * Checks positioned boards against each other for overlapping material and
+ * unfilled gaps at their joints.
+ *
+ * Overlap is the volume both final solids occupy. A gap is any part of a
+ * board's cuts (its uncut block minus its solid) that lies next to the other
+ * board but is not filled by it, or by a third board where three boards meet
+ * (e.g. a box corner or a panel captured in a groove). "Next to" means inside the other board's
+ * block grown by a small margin, so cuts on unrelated sides are ignored.
+ * All operations run in world space on the final CSG meshes.
+ *
+ * Joints drawn with a fit tolerance leave thin slivers of gap or overlap on
+ * purpose. A problem region whose mean thickness is within the designed
+ * sliver width is reported as a 'fit' rather than a gap or overlap.
+ */
+export class InterferenceChecker {
+  /**
+   * @param {Array} boards - Boards with up-to-date meshes
+   * @param {Object} options - { tolerance, margin, fit }: volume in mm³ below which a
+   *   result counts as clean, how far (mm) around a board to look for gaps, and
+   *   the designed { gap, overlap } sliver widths in mm
+   * @returns {Array} One result per adjoining (or linked) pair of boards
+   */
+  static checkAssembly(boards, options = {}) {
+    const tolerance = options.tolerance ?? 1;
+    const margin = options.margin ?? 5;
+    const fit = { gap: 0, overlap: 0, ...options.fit };
+    const results = [];
+    const candidates = boards.filter(board => board && board.mesh);
+
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const others = candidates.filter((board, index) => index !== i && index !== j);
+        const result = this.checkPair(candidates[i], candidates[j], tolerance, margin, others, fit);
+        if (result) {
+          results.push(result);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Checks a single pair of boards.
+   * Returns null when the boards neither interlock, misfit, nor are linked by a joint.
+   */
+  static checkPair(boardA, boardB, tolerance, margin, others = [], fit = { gap: 0, overlap: 0 }) {
+    const linked = this.isLinked(boardA, boardB);
+    const nearA = this.blockMesh(boardA, margin);
+    const nearB = this.blockMesh(boardB, margin);
+
+    const boxA = new THREE.Box3().setFromObject(nearA);
+    const boxB = new THREE.Box3().setFromObject(nearB);
+
+    if (!boxA.intersectsBox(boxB)) {
+      if (!linked) return null;
+      return this.createResult(boardA, boardB, linked, {
+        status: 'gap',
+        separation: this.boxDistance(boxA, boxB) + 2 * margin,
+        location: boxA.getCenter(new THREE.Vector3()).lerp(boxB.getCenter(new THREE.Vector3()), 0.5)
+      });
+    }
+
+    const solidA = this.boardCSG(boardA);
+    const solidB = this.boardCSG(boardB);
+    const blockA = this.toWorldCSG(this.blockMesh(boardA, 0));
+    const blockB = this.toWorldCSG(this.blockMesh(boardB, 0));
+
+    const overlap = solidA.intersect(solidB);
+    const overlapVolume = this.csgVolume(overlap);
+
+    const designedOverlap = overlapVolume > tolerance && this.isDesignedFit([overlap], fit.overlap);
+    if (overlapVolume > tolerance && !designedOverlap) {
+      const geometry = CSG.toGeometry(overlap, new THREE.Matrix4());
+      return this.createResult(boardA, boardB, linked, {
+        status: 'overlap',
+        volume: overlapVolume,
+        location: geometry.boundingBox.getCenter(new THREE.Vector3()),
+        geometry
+      });
+    }
+
+    // Cuts filled by a third board are not gaps
+    const fillers = others
+      .filter(other => {
+        const box = new THREE.Box3().setFromObject(this.blockMesh(other, margin));
+        return box.intersectsBox(boxA) && box.intersectsBox(boxB);
+      })
+      .map(other => this.boardCSG(other));
+
+    const gapA = this.unfilledCuts(blockA.subtract(solidA), this.toWorldCSG(nearB), [solidB, ...fillers]);
+    const gapB = this.unfilledCuts(blockB.subtract(solidB), this.toWorldCSG(nearA), [solidA, ...fillers]);
+    const gapVolume = this.csgVolume(gapA) + this.csgVolume(gapB);
+
+    const designedGap = gapVolume > tolerance && this.isDesignedFit([gapA, gapB], fit.gap);
+    if (gapVolume > tolerance && !designedGap) {
+      const geometry = CSG.toGeometry(gapA.union(gapB), new THREE.Matrix4());
+      return this.createResult(boardA, boardB, linked, {
+        status: 'gap',
+        volume: gapVolume,
+        location: geometry.boundingBox.getCenter(new THREE.Vector3()),
+        geometry
+      });
+    }
+
+    const interlocking = this.csgVolume(blockA.intersect(blockB)) > tolerance;
+    if (!linked && !interlocking) {
+      return null;
+    }
+
+    if (designedGap || designedOverlap) {
+      return this.createResult(boardA, boardB, linked, {
+        status: 'fit',
+        fit: designedGap ? 'clearance' : 'interference',
+        volume: designedGap ? gapVolume : overlapVolume
+      });
+    }
+
+    return this.createResult(boardA, boardB, linked, { status: 'clean' });
+  }
+
+  /**
+   * Part of a board's cuts inside a region that none of the given solids fill.
+   * An uncut board has no cuts; the CSG operations treat an empty solid as
+   * unbounded, so it is returned as is.
+   */
+  static unfilledCuts(cuts, region, solids) {
+    let result = cuts;
+    if (result.polygons.length === 0) return result;
+
+    result = result.intersect(region);
+    for (const solid of solids) {
+      if (result.polygons.length === 0) break;
+      result = result.subtract(solid);
+    }
+    return result;
+  }
+
+  /**
+   * Whether regions are no thicker on average than a designed sliver width.
+   * For a thin slab, twice the volume over the surface area approaches its
+   * thickness, while a missing finger or a misplaced board is far thicker.
+   */
+  static isDesignedFit(regions, width) {
+    if (!(width > 0)) return false;
+    const volume = regions.reduce((sum, region) => sum + this.csgVolume(region), 0);
+    const area = regions.reduce((sum, region) => sum + this.csgArea(region), 0);
+    return area > 0 && (2 * volume) / area <= width * 1.05 + 0.01;
+  }
+
+  static createResult(boardA, boardB, linked, details) {
+    return {
+      boardIds: [boardA.id, boardB.id],
+      names: [boardA.displayName || boardA.id, boardB.displayName || boardB.id],
+      linked,
+      volume: 0,
+      location: null,
+      geometry: null,
+      ...details
+    };
+  }
+
+  static isLinked(boardA, boardB) {
+    const pointsTo = (board, otherId) =>
+      Array.from(board.joints.values()).some(joint => joint.link && joint.link.boardId === otherId);
+    return pointsTo(boardA, boardB.id) || pointsTo(boardB, boardA.id);
+  }
+
+  /**
+   * Builds the uncut block of a board, optionally grown by a margin on every
+   * face, at the board's place in the assembly.
+   */
+  static blockMesh(board, margin) {
+    const { width, height, thickness } = board.dimensions;
+    const block = new THREE.Mesh(
+      new THREE.BoxGeometry(width + 2 * margin, height + 2 * margin, thickness + 2 * margin)
+    );
+    const matrix = MateSolver.getMatrix(board);
+    block.matrixAutoUpdate = false;
+    block.matrix.copy(matrix);
+    block.matrixWorld.copy(matrix);
+    return block;
+  }
+
+  static toWorldCSG(mesh, matrix = mesh.matrix) {
+    const temp = new THREE.Mesh(mesh.geometry);
+    temp.matrix.copy(matrix);
+    return CSG.fromMesh(temp);
+  }
+
+  /**
+   * A board's final solid at its place in the assembly. Taken from the
+   * board rather than its mesh, which the exploded view, the assembly player
+   * and the wood movement preview move and scale for display.
+   */
+  static boardCSG(board) {
+    return this.toWorldCSG(board.mesh, MateSolver.getMatrix(board));
+  }
+
+  /**
+   * Volume enclosed by a closed CSG solid, summed from signed tetrahedra.
+   */
+  static csgVolume(csg) {
+    let volume = 0;
+    csg.polygons.forEach(polygon => {
+      const vertices = polygon.vertices;
+      const a = vertices[0].pos;
+      for (let i = 1; i < vertices.length - 1; i++) {
+        const b = vertices[i].pos;
+        const c = vertices[i + 1].pos;
+        volume += (
+          a.x * (b.y * c.z - b.z * c.y) -
+          a.y * (b.x * c.z - b.z * c.x) +
+          a.z * (b.x * c.y - b.y * c.x)
+        ) / 6;
+      }
+    });
+    return Math.abs(volume);
+  }
+
+  static csgArea(csg) {
+    let area = 0;
+    csg.polygons.forEach(polygon => {
+      const vertices = polygon.vertices;
+      const a = vertices[0].pos;
+      for (let i = 1; i < vertices.length - 1; i++) {
+        const ab = vertices[i].pos.clone().sub(a);
+        const ac = vertices[i + 1].pos.clone().sub(a);
+        area += ab.cross(ac).length() / 2;
+      }
+    });
+    return area;
+  }
+
+  static boxDistance(boxA, boxB) {
+    const dx = Math.max(0, boxB.min.x - boxA.max.x, boxA.min.x - boxB.max.x);
+    const dy = Math.max(0, boxB.min.y - boxA.max.y, boxA.min.y - boxB.max.y);
+    const dz = Math.max(0, boxB.min.z - boxA.max.z, boxA.min.z - boxB.max.z);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+}
@@ -0,0 +1,157 @@
+import { BoxJointGenerator } from '../generators/BoxJointGenerator.js';
+
+// Direction each edge runs along, in grainDirection terms
+const EDGE_RUNS = { top: 'width', bottom: 'width', left: 'height', right: 'height' };
+// Share of a long grain glue line's strength an end grain glue line holds
+const END_GRAIN_FACTOR = 0.1;
+// Effective glue area, relative to the edge's cross-section, that scores 100
+const REFERENCE_RATIO = 1.5;
+// Narrowest finger, pin or tenon relative to the board thickness before the
+// score is cut back for fragile parts
+const MIN_WIDTH_RATIO = { box: 0.5, dovetail: 0.25, tenon: 0.25 };
+// Fingers and tenons with the grain running along the edge snap off easily
+const SHORT_GRAIN_FACTOR = 0.25;
+
+export const STRENGTH_RATINGS = {
+  strong: 'Strong',
+  fair: 'Fair',
+  weak: 'Weak'
+};
+
+/**
+ * Glue surface and a comparative strength score for edge joints.
+ *
+ * Glue lines between two long grain surfaces (the finger cheeks, dovetail
+ * cheeks and tenon cheeks) carry nearly all of a joint's strength; those
+ * against end grain (finger tips and socket bottoms) hold little. The score
+ * weighs the effective glue area against the edge's cross-section and cuts
+ * it back for fragile fingers and short grain, so it compares layouts with
+ * each other rather than predicting a load.
+ */
+export class JointAnalytics {
+  /**
+   * @param {Object} board - Board owning the joint
+   * @param {string} side - Edge identifier
+   * @param {Map} boards - All boards by id, used to look up linked partners
+   * @returns {Object|null} { type, fingers, longGrainArea, endGrainArea, narrowest,
+   *   narrowestRatio, shortGrain, fragile, score, rating } with areas in mm², or null when
+   *   the side has no valid joint
+   */
+  static analyze(board, side, boards) {
+    const joint = board.joints.get(side);
+    if (!joint || !EDGE_RUNS[side]) return null;
+
+    // Nominal geometry; the fit is too small to matter for glue area
+    const result = BoxJointGenerator.resolveJoint(board, side, boards);
+    if (!result.valid) return null;
+
+    const partner = joint.link ? boards.get(joint.link.boardId) : null;
+    const partnerSide = joint.link && joint.link.side;
+    const { thickness } = board.dimensions;
+    // Cheeks are long grain when the grain runs into the joint, across the edge
+    const crossGrain = board.grainDirection !== EDGE_RUNS[side];
+    const partnerCrossGrain = !partner || !EDGE_RUNS[partnerSide] || partner.grainDirection !== EDGE_RUNS[partnerSide];
+
+    let type;
+    let fingers;
+    let cheekArea;
+    let tipArea;
+    let narrowest;
+    if (result.type === 'tenon') {
+      const { tenon } = result;
+      type = 'tenon';
+      fingers = 1;
+      // Cheeks glue to the mortise walls; the tenon's edges meet its end grain ends
+      cheekArea = 2 * tenon.width * tenon.length;
+      tipArea = 2 * tenon.thickness * tenon.length;
+      narrowest = tenon.thickness;
+    } else if (result.type === 'dovetail') {
+      const { dovetail, segments } = result;
+      type = 'dovetail';
+      fingers = segments.filter(segment => segment.type === 'tail').length;
+      // Cheeks run through the tails board and slant across its face
+      const tailsThickness = dovetail.role === 'tails' ? thickness : result.grooveDepth;
+      const slant = Math.sqrt(1 + 1 / (dovetail.slope * dovetail.slope));
+      cheekArea = (segments.length - 1) * dovetail.tailLength * slant * tailsThickness;
+      tipArea = result.dimension * tailsThickness;
+      narrowest = Math.min(...segments.map(segment => (segment.type === 'tail'
+        ? segment.width - 2 * dovetail.tailLength / dovetail.slope
+        : segment.width)));
+    } else {
+      const { segments } = result;
+      type = 'box';
+      fingers = segments.filter(segment => segment.type === 'finger').length;
+      // Every finger/socket boundary inside the edge is a cheek glue line
+      cheekArea = (segments.length - 1) * result.grooveDepth * thickness;
+      // Finger tips meet socket bottoms along the whole edge
+      tipArea = result.dimension * thickness;
+      // The sockets are the partner's fingers
+      narrowest = Math.min(...segments.map(segment => segment.width));
+    }
+
+    // With the grain along the edge the cheeks are end grain and the tips long grain
+    const cheeksLong = type === 'tenon' || (crossGrain && partnerCrossGrain);
+    const tipsLong = type !== 'tenon' && !crossGrain && !partnerCrossGrain;
+    const longGrainArea = (cheeksLong ? cheekArea : 0) + (tipsLong ? tipArea : 0);
+    const endGrainArea = (cheeksLong ? 0 : cheekArea) + (tipsLong ? 0 : tipArea);
+    const shortGrain = !crossGrain;
+    const narrowestRatio = narrowest / thickness;
+
+    const effectiveArea = longGrainArea + END_GRAIN_FACTOR * endGrainArea;
+    let strength = Math.min(effectiveArea / (REFERENCE_RATIO * result.dimension * thickness), 1);
+    strength *= Math.min(narrowestRatio / MIN_WIDTH_RATIO[type], 1);
+    if (shortGrain) {
+      strength *= SHORT_GRAIN_FACTOR;
+    }
+    const score = Math.round(Math.max(strength, 0) * 100);
+
+    return {
+      type,
+      fingers,
+      longGrainArea,
+      endGrainArea,
+      narrowest,
+      narrowestRatio,
+      shortGrain,
+      fragile: narrowestRatio < MIN_WIDTH_RATIO[type],
+      score,
+      rating: this.getRating(score)
+    };
+  }
+
+  static getRating(score) {
+    if (score >= 70) return 'strong';
+    if (score >= 40) return 'fair';
+    return 'weak';
+  }
+
+  /**
+   * Analyses every joint in the project. Linked pairs are one glue joint and
+   * are counted once, from the side their pattern comes from.
+   * @param {Map} boards - All boards by id
+   * @returns {Object} { joints: [{ boardId, side, name, ...analysis }], totals:
+   *   { count, longGrainArea, endGrainArea, averageScore }, weakest }
+   */
+  static analyzeProject(boards) {
+    const joints = [];
+    boards.forEach(board => {
+      board.joints.forEach((joint, side) => {
+        if (joint.mode === 'complement') return;
+        const analysis = this.analyze(board, side, boards);
+        if (!analysis) return;
+        joints.push({ boardId: board.id, side, name: board.displayName || board.id, ...analysis });
+      });
+    });
+
+    joints.sort((a, b) => a.score - b.score);
+    const totals = {
+      count: joints.length,
+      longGrainArea: joints.reduce((sum, joint) => sum + joint.longGrainArea, 0),
+      endGrainArea: joints.reduce((sum, joint) => sum + joint.endGrainArea, 0),
+      averageScore: joints.length > 0
+        ? Math.round(joints.reduce((sum, joint) => sum + joint.score, 0) / joints.length)
+        : 0
+    };
+    return { joints, totals, weakest: joints[0] || null };
+  }
+}
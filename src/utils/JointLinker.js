@@ -0,0 +1,127 @@
+import { JointConfig } from '../models/JointConfig.js';
+import { BoxJointGenerator } from '../generators/BoxJointGenerator.js';
+
+/**
+ * Manages mating links between sides of two boards.
+ * The source side keeps its own fixed/variable pattern; the partner side is
+ * switched to 'complement' mode and derives its fingers from the source.
+ * All methods return a new boards Map and never mutate the boards passed in.
+ */
+export class JointLinker {
+  /**
+   * Links a source side to a partner side, replacing any previous links on either side.
+   * @param {Map} boards - Current boards by id
+   * @param {Object} source - { boardId, side } whose pattern is kept
+   * @param {Object} target - { boardId, side } that receives the complement
+   * @param {boolean} reversed - Whether the two edges run in opposite directions
+   * @returns {Map} Updated boards map
+   */
+  static link(boards, source, target, reversed = false) {
+    if (source.boardId === target.boardId) {
+      return boards;
+    }
+
+    let result = this.unlink(boards, source.boardId, source.side);
+    result = this.unlink(result, target.boardId, target.side);
+
+    const sourceBoard = result.get(source.boardId);
+    const targetBoard = result.get(target.boardId);
+    if (!sourceBoard || !targetBoard) {
+      return boards;
+    }
+
+    let sourceJoint = sourceBoard.joints.get(source.side);
+    if (!sourceJoint) {
+      sourceJoint = new JointConfig(source.side);
+    }
+    sourceJoint = sourceJoint.clone();
+    sourceJoint.link = { boardId: target.boardId, side: target.side, reversed };
+
+    const targetJoint = new JointConfig(target.side);
+    targetJoint.mode = 'complement';
+    targetJoint.link = { boardId: source.boardId, side: source.side, reversed };
+
+    result = this.withJoint(result, sourceBoard, source.side, sourceJoint);
+    result = this.withJoint(result, targetBoard, target.side, targetJoint);
+    return result;
+  }
+
+  /**
+   * Removes the link on one side and on its partner side.
+   * A complement side is frozen into a variable joint with the pattern it had
+   * (or a dovetail with the opposite role), so unlinking never changes the
+   * geometry that is currently shown.
+   * @param {Map} boards - Current boards by id
+   * @param {string} boardId - Board owning the side
+   * @param {string} side - Side identifier
+   * @returns {Map} Updated boards map
+   */
+  static unlink(boards, boardId, side) {
+    const board = boards.get(boardId);
+    const joint = board ? board.joints.get(side) : null;
+    if (!joint || !joint.link) {
+      return boards;
+    }
+
+    const { boardId: partnerId, side: partnerSide } = joint.link;
+    let result = this.withJoint(boards, board, side, this.detach(boards, board, side));
+
+    const partner = result.get(partnerId);
+    const partnerJoint = partner ? partner.joints.get(partnerSide) : null;
+    if (partnerJoint && partnerJoint.link && partnerJoint.link.boardId === boardId && partnerJoint.link.side === side) {
+      result = this.withJoint(result, partner, partnerSide, this.detach(boards, partner, partnerSide));
+    }
+
+    return result;
+  }
+
+  /**
+   * Removes every link that points at a board, typically before it is deleted.
+   * @param {Map} boards - Current boards by id
+   * @param {string} boardId - Board being removed
+   * @returns {Map} Updated boards map
+   */
+  static removeBoardLinks(boards, boardId) {
+    const board = boards.get(boardId);
+    if (!board) return boards;
+
+    let result = boards;
+    board.joints.forEach((joint, side) => {
+      if (joint.link) {
+        result = this.unlink(result, boardId, side);
+      }
+    });
+    return result;
+  }
+
+  static detach(boards, board, side) {
+    const joint = board.joints.get(side).clone();
+
+    const source = joint.link ? boards.get(joint.link.boardId)?.joints.get(joint.link.side) : null;
+
+    if (joint.mode === 'complement' && source && source.type === 'dovetail') {
+      joint.type = 'dovetail';
+      joint.mode = 'fixed';
+      joint.dovetail = { ...source.dovetail, role: source.dovetail.role === 'pins' ? 'tails' : 'pins' };
+    } else if (joint.mode === 'complement') {
+      const resolved = BoxJointGenerator.resolveJoint(board, side, boards);
+      joint.mode = 'variable';
+      joint.geometry = resolved.valid ? resolved.segments.map(s => s.width) : [];
+      joint.start = resolved.valid && resolved.segments[0].type === 'groove' ? 1 : 0;
+      joint.grooveDepth = resolved.grooveDepth ?? joint.grooveDepth;
+    }
+
+    joint.link = null;
+    return joint;
+  }
+
+  static withJoint(boards, board, side, joint) {
+    const updatedBoard = board.clone();
+    updatedBoard.mesh = board.mesh;
+    updatedBoard.joints.set(side, joint);
+
+    const result = new Map(boards);
+    result.set(board.id, updatedBoard);
+    return result;
+  }
+}
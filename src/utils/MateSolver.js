@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+
+const EDGES = ['top', 'bottom', 'left', 'right'];
+
+/**
+ * Places boards against each other by their edges.
+ *
+ * A mate is stored on the child board as
+ * { parentId, parentSide, side, corner, offset }: the child's `side` edge is
+ * butted against the parent's `parentSide` edge so the two form a corner
+ * joint, with the child's front face facing away from the parent's edge.
+ * 'inside' puts the child behind the parent's back face (the parent's front
+ * face is the outside of the corner), 'outside' in front of its front face.
+ * `offset` slides the child along the parent edge in millimetres.
+ *
+ * The child's position is derived from its parent, so moving or resizing
+ * the parent moves the child. All methods return a new boards Map and never
+ * mutate the boards passed in.
+ */
+export class MateSolver {
+  /**
+   * Edge frame in board-local coordinates: the start of the edge at mid
+   * thickness, the direction along the edge and the direction in from it.
+   */
+  static getEdgeFrame(dimensions, side) {
+    const { width, height } = dimensions;
+
+    switch (side) {
+      case 'top':
+        return { origin: new THREE.Vector3(-width / 2, height / 2, 0), along: new THREE.Vector3(1, 0, 0), inward: new THREE.Vector3(0, -1, 0), length: width };
+      case 'bottom':
+        return { origin: new THREE.Vector3(-width / 2, -height / 2, 0), along: new THREE.Vector3(1, 0, 0), inward: new THREE.Vector3(0, 1, 0), length: width };
+      case 'left':
+        return { origin: new THREE.Vector3(-width / 2, -height / 2, 0), along: new THREE.Vector3(0, 1, 0), inward: new THREE.Vector3(1, 0, 0), length: height };
+      case 'right':
+        return { origin: new THREE.Vector3(width / 2, -height / 2, 0), along: new THREE.Vector3(0, 1, 0), inward: new THREE.Vector3(-1, 0, 0), length: height };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Edge midpoint and direction in world coordinates.
+   * @returns {Object|null} { midpoint, direction } as THREE.Vector3
+   */
+  static getWorldEdge(board, side) {
+    const edge = this.getEdgeFrame(board.dimensions, side);
+    if (!edge) return null;
+
+    const matrix = this.getMatrix(board);
+    return {
+      midpoint: edge.origin.clone().addScaledVector(edge.along, edge.length / 2).applyMatrix4(matrix),
+      direction: edge.along.clone().transformDirection(matrix)
+    };
+  }
+
+  /**
+   * Computes where the child goes for a mate.
+   * @param {Object} parent - Board the child is placed against
+   * @param {Object} child - Board being placed
+   * @param {Object} mate - { parentSide, side, corner, offset }
+   * @returns {Object|null} { position, rotation, reversed } with rotation as XYZ Euler angles in radians;
+   *   reversed tells whether the two edges run in opposite directions
+   */
+  static solve(parent, child, mate) {
+    const parentEdge = this.getEdgeFrame(parent.dimensions, mate.parentSide);
+    const childEdge = this.getEdgeFrame(child.dimensions, mate.side);
+    if (!parentEdge || !childEdge) return null;
+
+    const faceNormal = new THREE.Vector3(0, 0, 1);
+    const towards = mate.corner === 'outside' ? 1 : -1;
+
+    // The child runs away from the parent's face, its front facing out past the parent's edge
+    const targetInward = faceNormal.clone().multiplyScalar(towards);
+    const targetNormal = parentEdge.inward.clone().negate();
+    const target = new THREE.Matrix4().makeBasis(
+      targetInward,
+      targetNormal,
+      targetInward.clone().cross(targetNormal)
+    );
+    const source = new THREE.Matrix4().makeBasis(
+      childEdge.inward,
+      faceNormal,
+      childEdge.inward.clone().cross(faceNormal)
+    );
+    const rotation = target.multiply(source.transpose());
+
+    // The child's edge lies on the parent face it starts from, its mid-thickness
+    // plane half the child's thickness in from the parent's edge
+    const anchor = parentEdge.origin.clone()
+      .addScaledVector(parentEdge.along, parentEdge.length / 2 + (mate.offset || 0))
+      .addScaledVector(parentEdge.inward, child.dimensions.thickness / 2)
+      .addScaledVector(faceNormal, -towards * parent.dimensions.thickness / 2);
+    const childCentre = childEdge.origin.clone()
+      .addScaledVector(childEdge.along, childEdge.length / 2)
+      .applyMatrix4(rotation);
+
+    const local = new THREE.Matrix4()
+      .makeTranslation(anchor.sub(childCentre))
+      .multiply(rotation);
+    const world = this.getMatrix(parent).multiply(local);
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    world.decompose(position, quaternion, new THREE.Vector3());
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+
+    return {
+      position: { x: this.clean(position.x), y: this.clean(position.y), z: this.clean(position.z) },
+      // Rotations stay exact: rounded angles open slivers between mating fingers
+      rotation: { x: euler.x, y: euler.y, z: euler.z },
+      reversed: childEdge.along.clone().applyMatrix4(rotation).dot(parentEdge.along) < 0
+    };
+  }
+
+  /**
+   * Mates a child board to a parent, replacing any previous mate of the child,
+   * and moves the child (and anything mated to it) into place.
+   * @param {Map} boards - Current boards by id
+   * @param {string} childId - Board being placed
+   * @param {Object} mate - { parentId, parentSide, side, corner, offset }
+   * @returns {Map} Updated boards map
+   */
+  static mate(boards, childId, mate) {
+    const child = boards.get(childId);
+    if (!child || !boards.has(mate.parentId) || mate.parentId === childId) {
+      return boards;
+    }
+    if (!EDGES.includes(mate.side) || !EDGES.includes(mate.parentSide)) {
+      return boards;
+    }
+    if (this.isDescendant(boards, mate.parentId, childId)) {
+      return boards;
+    }
+
+    const updated = child.clone();
+    updated.mesh = child.mesh;
+    updated.mate = {
+      parentId: mate.parentId,
+      parentSide: mate.parentSide,
+      side: mate.side,
+      corner: mate.corner === 'outside' ? 'outside' : 'inside',
+      offset: mate.offset || 0
+    };
+
+    const result = new Map(boards);
+    result.set(childId, updated);
+    return this.propagate(result, childId);
+  }
+
+  /**
+   * Removes a board's mate, leaving it where it is.
+   */
+  static release(boards, childId) {
+    const child = boards.get(childId);
+    if (!child || !child.mate) return boards;
+
+    const updated = child.clone();
+    updated.mesh = child.mesh;
+    updated.mate = null;
+
+    const result = new Map(boards);
+    result.set(childId, updated);
+    return result;
+  }
+
+  /**
+   * Releases every board mated to a board, typically before it is deleted.
+   */
+  static removeBoardMates(boards, boardId) {
+    let result = boards;
+    boards.forEach(board => {
+      if (board.mate && board.mate.parentId === boardId) {
+        result = this.release(result, board.id);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Re-solves a board (if it is mated) and every board mated to it, directly
+   * or through other boards, after it has moved or changed size.
+   */
+  static propagate(boards, boardId) {
+    const result = new Map(boards);
+    const visited = new Set();
+    const queue = [boardId];
+
+    const start = result.get(boardId);
+    if (start && start.mate) {
+      this.place(result, start);
+    }
+
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      if (visited.has(parentId)) continue;
+      visited.add(parentId);
+
+      result.forEach(board => {
+        if (board.mate && board.mate.parentId === parentId && !visited.has(board.id)) {
+          this.place(result, board);
+          queue.push(board.id);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a board is mated to another, directly or through other boards.
+   */
+  static isDescendant(boards, boardId, ancestorId) {
+    const seen = new Set();
+    let board = boards.get(boardId);
+    while (board && board.mate && !seen.has(board.id)) {
+      if (board.mate.parentId === ancestorId) return true;
+      seen.add(board.id);
+      board = boards.get(board.mate.parentId);
+    }
+    return false;
+  }
+
+  static place(boards, board) {
+    const parent = boards.get(board.mate.parentId);
+    const placement = parent ? this.solve(parent, board, board.mate) : null;
+    if (!placement) return;
+
+    const updated = board.clone();
+    updated.mesh = board.mesh;
+    updated.position = placement.position;
+    updated.rotation = placement.rotation;
+    if (updated.mesh) {
+      updated.mesh.position.set(placement.position.x, placement.position.y, placement.position.z);
+      updated.mesh.rotation.set(placement.rotation.x, placement.rotation.y, placement.rotation.z);
+    }
+    boards.set(board.id, updated);
+  }
+
+  static getMatrix(board) {
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3(board.position.x, board.position.y, board.position.z),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(board.rotation.x, board.rotation.y, board.rotation.z)),
+      new THREE.Vector3(1, 1, 1)
+    );
+  }
+
+  // Rounds away floating point noise so positions read cleanly in the inputs
+  static clean(value) {
+    const rounded = Math.round(value * 1e6) / 1e6;
+    return rounded === 0 ? 0 : rounded;
+  }
+}
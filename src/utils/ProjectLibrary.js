@@ -0,0 +1,173 @@
+const DB_NAME = 'joinery-sim';
+const DB_VERSION = 2;
+const STORE = 'projects';
+const SNAPSHOT_STORE = 'snapshots';
+
+// Single-project key used before the library existed
+export const LEGACY_STORAGE_KEY = 'boxJointsState';
+export const UNSAVED_PROJECT_ID = 'unsaved';
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ */
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Named projects stored in IndexedDB. Each record is
+ * { id, name, created, modified, thumbnail, data } where the timestamps are
+ * epoch milliseconds, thumbnail is an image data URL (or null) and data is
+ * the project file as JSON text, so it goes through the same migrations and
+ * validation as an imported file when it is opened.
+ *
+ * Snapshots are periodic copies of a design kept alongside the projects:
+ * { id, projectId, label, created, boardCount, thumbnail, data }. Designs
+ * that are not in the library yet file theirs under UNSAVED_PROJECT_ID.
+ */
+export class ProjectLibrary {
+  constructor(factory = globalThis.indexedDB) {
+    this.factory = factory;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = this.factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('modified', 'modified');
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true }).createIndex('projectId', 'projectId');
+      }
+    };
+    this.db = await whenDone(request);
+    return this.db;
+  }
+
+  async store(mode, name = STORE) {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  createId() {
+    return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * @returns {Promise<Array>} Project summaries (records without data), most recently modified first
+   */
+  async list() {
+    const records = await whenDone((await this.store('readonly')).getAll());
+    return records
+      .map(({ id, name, created, modified, thumbnail }) => ({ id, name, created, modified, thumbnail }))
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  async get(id) {
+    return (await whenDone((await this.store('readonly')).get(id))) || null;
+  }
+
+  async create(name, data, thumbnail = null) {
+    const now = Date.now();
+    const record = { id: this.createId(), name, created: now, modified: now, thumbnail, data };
+    await whenDone((await this.store('readwrite')).put(record));
+    return record;
+  }
+
+  /**
+   * Applies changes to a project and, unless told not to, bumps its modified
+   * time.
+   * @param {boolean} touch - False for changes that are not a save of the design
+   * @returns {Promise<Object|null>} Updated record, or null if it no longer exists
+   */
+  async update(id, changes, touch = true) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const updated = { ...record, ...changes, id, modified: touch ? Date.now() : record.modified };
+    await whenDone((await this.store('readwrite')).put(updated));
+    return updated;
+  }
+
+  /**
+   * Renames a project without bumping its modified time, which crash
+   * recovery compares against the unsaved session.
+   */
+  rename(id, name) {
+    return this.update(id, { name }, false);
+  }
+
+  async duplicate(id) {
+    const source = await this.get(id);
+    if (!source) return null;
+    return this.create(`${source.name} (copy)`, source.data, source.thumbnail);
+  }
+
+  async delete(id) {
+    await whenDone((await this.store('readwrite')).delete(id));
+    const snapshots = await this.listSnapshots(id);
+    await Promise.all(snapshots.map(snapshot => this.deleteSnapshot(snapshot.id)));
+  }
+
+  /**
+   * @param {string} projectId - Library project id, or UNSAVED_PROJECT_ID
+   * @param {string} data - Project file JSON
+   * @param {Object} details - { label, boardCount, thumbnail }
+   */
+  async addSnapshot(projectId, data, { label = 'auto', boardCount = 0, thumbnail = null } = {}) {
+    const record = { projectId, label, created: Date.now(), boardCount, thumbnail, data };
+    record.id = await whenDone((await this.store('readwrite', SNAPSHOT_STORE)).add(record));
+    return record;
+  }
+
+  /**
+   * @returns {Promise<Array>} Snapshot summaries (without data) for a project, newest first
+   */
+  async listSnapshots(projectId) {
+    const index = (await this.store('readonly', SNAPSHOT_STORE)).index('projectId');
+    const records = await whenDone(index.getAll(projectId));
+    return records
+      .map(({ id, label, created, boardCount, thumbnail }) => ({ id, projectId, label, created, boardCount, thumbnail }))
+      .sort((a, b) => b.created - a.created);
+  }
+
+  async getSnapshot(id) {
+    return (await whenDone((await this.store('readonly', SNAPSHOT_STORE)).get(id))) || null;
+  }
+
+  async deleteSnapshot(id) {
+    await whenDone((await this.store('readwrite', SNAPSHOT_STORE)).delete(id));
+  }
+
+  /**
+   * Deletes all but the newest snapshots of a project.
+   */
+  async pruneSnapshots(projectId, keep) {
+    const snapshots = await this.listSnapshots(projectId);
+    await Promise.all(snapshots.slice(keep).map(snapshot => this.deleteSnapshot(snapshot.id)));
+  }
+
+  /**
+   * Moves a project saved under the old single localStorage key into the
+   * library as "Untitled" and removes the key.
+   * @returns {Promise<Object|null>} The new record, or null if there was nothing to migrate
+   */
+  async migrateLegacy(storage = globalThis.localStorage, key = LEGACY_STORAGE_KEY) {
+    const data = storage ? storage.getItem(key) : null;
+    if (!data) return null;
+
+    const record = await this.create('Untitled', data);
+    storage.removeItem(key);
+    return record;
+  }
+}
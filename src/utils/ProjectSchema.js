@@ -0,0 +1,494 @@
+import { DEFAULT_TOLERANCES } from '../generators/BoxJointGenerator.js';
+import { UNIT_SYSTEMS, DEFAULT_UNIT } from './Units.js';
+import { DEFAULT_MOVEMENT, SAWING_METHODS } from './WoodMovementCalculator.js';
+import { SPECIES_CATEGORIES, SPECIES_FIGURES, WoodCatalog } from './WoodCatalog.js';
+
+/**
+ * Current version of the project file format. Bump it whenever the format
+ * changes and add a migration from the previous version.
+ */
+export const SCHEMA_VERSION = 5;
+
+const SIDES = ['top', 'bottom', 'left', 'right', 'front', 'back'];
+const EDGES = ['top', 'bottom', 'left', 'right'];
+const GRAIN_DIRECTIONS = ['width', 'height'];
+const JOINT_TYPES = ['box', 'dovetail', 'tenon'];
+const JOINT_MODES = ['fixed', 'variable', 'complement'];
+const DOVETAIL_ROLES = ['tails', 'pins'];
+const DOVETAIL_STYLES = ['through', 'half-blind'];
+const OUTSIDE_FACES = ['auto', 'front', 'back'];
+const SHOULDERS = ['both', 'front', 'back'];
+const HAUNCH_SIDES = ['start', 'end'];
+const FACES = ['front', 'back'];
+const MORTISE_ORIENTATIONS = ['horizontal', 'vertical'];
+const FACE_CUT_TYPES = ['dado', 'groove', 'rabbet'];
+const CORNERS = ['inside', 'outside'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_DOVETAIL = {
+  tailCount: 3,
+  slope: 8,
+  halfPinWidth: 6,
+  pinWidth: 6,
+  style: 'through',
+  lap: 4,
+  role: 'tails',
+  outsideFace: 'auto'
+};
+
+/**
+ * Upgrades a project from one version to the next; MIGRATIONS[n] takes a
+ * version n project and returns it as version n + 1.
+ */
+const MIGRATIONS = {
+  // Version 1 files carry no version field. Early ones store grain along the
+  // width as 'horizontal', and fields added since then may be missing.
+  1: project => ({
+    ...project,
+    selectedBoardId: project.selectedBoardId ?? null,
+    selectedSide: project.selectedSide ?? null,
+    showUnselectedTransparent: project.showUnselectedTransparent ?? false,
+    assemblyOrder: project.assemblyOrder ?? [],
+    tolerances: { ...DEFAULT_TOLERANCES, ...project.tolerances },
+    units: project.units ?? DEFAULT_UNIT,
+    boards: mapEntries(project.boards, (id, board) => {
+      if (!isObject(board)) return [id, board];
+      return [id, {
+        ...board,
+        grainDirection: board.grainDirection === 'horizontal' ? 'width' : board.grainDirection ?? 'width',
+        woodType: board.woodType ?? 'ash',
+        displayName: board.displayName || board.id,
+        position: board.position ?? { x: 0, y: 0, z: 0 },
+        rotation: board.rotation ?? { x: 0, y: 0, z: 0 },
+        joints: Array.isArray(board.joints) ? mapEntries(board.joints, (side, joint) => [side, isObject(joint) ? {
+          ...joint,
+          type: joint.type ?? 'box',
+          link: joint.link ?? null,
+          dovetail: { ...DEFAULT_DOVETAIL, ...joint.dovetail },
+          tenon: joint.tenon ?? null,
+          tolerance: joint.tolerance ?? null
+        } : joint]) : board.joints,
+        mortises: board.mortises ?? [],
+        faceCuts: board.faceCuts ?? [],
+        mate: board.mate ?? null
+      }];
+    })
+  }),
+  // Version 3 adds board groups
+  2: project => ({
+    ...project,
+    groups: project.groups ?? [],
+    boards: mapEntries(project.boards, (id, board) => [id, isObject(board) ? { ...board, groupId: board.groupId ?? null } : board])
+  }),
+  // Version 4 adds custom wood species
+  3: project => ({
+    ...project,
+    customSpecies: project.customSpecies ?? []
+  }),
+  // Version 5 adds the seasonal humidity range for wood movement checks
+  4: project => ({
+    ...project,
+    movement: { ...DEFAULT_MOVEMENT, ...project.movement }
+  })
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Maps the [key, value] entries of a board or joint list. Malformed entries
+ * are left as they are for validate() to report with their path.
+ */
+function mapEntries(entries, update) {
+  return entries.map(entry => Array.isArray(entry) && entry.length === 2 ? update(...entry) : entry);
+}
+
+/**
+ * Versioned project file format. Files are brought up to SCHEMA_VERSION by
+ * running each migration in turn, then validated; every problem found is
+ * reported as { path, reason }, e.g. { path: 'boards[0].dimensions.width',
+ * reason: 'must be a positive number' }.
+ */
+export class ProjectSchema {
+  /**
+   * Migrates and validates parsed project data.
+   * @param {*} data - Parsed JSON
+   * @returns {Object} { valid, project, errors }
+   */
+  static load(data) {
+    if (!isObject(data)) {
+      return this.invalid([{ path: '(root)', reason: 'must be a JSON object' }]);
+    }
+
+    const version = data.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      return this.invalid([{ path: 'version', reason: 'must be a whole number' }]);
+    }
+    if (version > SCHEMA_VERSION) {
+      return this.invalid([{ path: 'version', reason: `${version} is newer than this app supports (${SCHEMA_VERSION})` }]);
+    }
+    // Migrations walk the board list, so it has to be there first
+    if (!Array.isArray(data.boards)) {
+      return this.invalid([{ path: 'boards', reason: 'must be an array' }]);
+    }
+
+    const project = this.migrate(data, version);
+    const errors = this.validate(project);
+    return errors.length > 0 ? this.invalid(errors) : { valid: true, project, errors };
+  }
+
+  static invalid(errors) {
+    return { valid: false, project: null, errors };
+  }
+
+  static migrate(data, fromVersion) {
+    let project = data;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      project = MIGRATIONS[version](project);
+    }
+    return { ...project, version: SCHEMA_VERSION };
+  }
+
+  /**
+   * Checks a current-version project.
+   * @returns {Array} { path, reason } for each problem, empty when valid
+   */
+  static validate(project) {
+    const errors = [];
+    const check = new Checker(errors);
+
+    check.optionalString(project.selectedBoardId, 'selectedBoardId');
+    check.optionalOneOf(project.selectedSide, SIDES, 'selectedSide');
+    check.boolean(project.showUnselectedTransparent, 'showUnselectedTransparent');
+    check.oneOf(project.units, Object.keys(UNIT_SYSTEMS), 'units');
+
+    if (check.object(project.tolerances, 'tolerances')) {
+      Object.keys(DEFAULT_TOLERANCES).forEach(key => check.number(project.tolerances[key], `tolerances.${key}`, { min: 0 }));
+    }
+
+    if (check.object(project.movement, 'movement')) {
+      this.validateMovement(project.movement, check);
+    }
+
+    const groupIds = this.validateGroups(project.groups, check);
+    this.validateSpecies(project.customSpecies, check);
+
+    const ids = new Set();
+    project.boards.forEach((entry, index) => {
+      const path = `boards[${index}]`;
+      if (!Array.isArray(entry) || entry.length !== 2) {
+        errors.push({ path, reason: 'must be an [id, board] pair' });
+        return;
+      }
+      const [id, board] = entry;
+      if (!check.string(id, `${path}[0]`)) return;
+      if (ids.has(id)) {
+        errors.push({ path: `${path}[0]`, reason: `duplicates board id "${id}"` });
+      }
+      ids.add(id);
+      if (check.object(board, `${path}[1]`)) {
+        this.validateBoard(board, id, `${path}[1]`, check);
+        if (board.groupId !== null && check.string(board.groupId, `${path}[1].groupId`) && !groupIds.has(board.groupId)) {
+          check.fail(`${path}[1].groupId`, `refers to unknown group "${board.groupId}"`);
+        }
+      }
+    });
+
+    if (check.array(project.assemblyOrder, 'assemblyOrder')) {
+      project.assemblyOrder.forEach((id, index) => check.string(id, `assemblyOrder[${index}]`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks the group list, including that parents exist and do not nest in
+   * their own children.
+   * @returns {Set} Ids of the groups
+   */
+  static validateGroups(groups, check) {
+    const ids = new Set();
+    if (!check.array(groups, 'groups')) return ids;
+
+    const parents = new Map();
+    groups.forEach((group, index) => {
+      const path = `groups[${index}]`;
+      if (!check.object(group, path) || !check.string(group.id, `${path}.id`)) return;
+      if (ids.has(group.id)) {
+        check.fail(`${path}.id`, `duplicates group id "${group.id}"`);
+      }
+      ids.add(group.id);
+      check.string(group.name, `${path}.name`);
+      check.optionalString(group.parentId, `${path}.parentId`);
+      check.vector(group.position, `${path}.position`);
+      check.vector(group.rotation, `${path}.rotation`);
+      parents.set(group.id, { parentId: group.parentId, path: `${path}.parentId` });
+    });
+
+    parents.forEach(({ parentId, path }, id) => {
+      if (typeof parentId !== 'string') return;
+      if (!ids.has(parentId)) {
+        check.fail(path, `refers to unknown group "${parentId}"`);
+        return;
+      }
+      const seen = new Set([id]);
+      for (let current = parentId; current; current = parents.get(current)?.parentId) {
+        if (seen.has(current)) {
+          check.fail(path, `nests group "${id}" inside itself`);
+          return;
+        }
+        seen.add(current);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Checks the movement settings; the build humidity has to lie within the
+   * seasonal range.
+   */
+  static validateMovement(movement, check) {
+    const humidities = ['minHumidity', 'buildHumidity', 'maxHumidity'];
+    const valid = humidities.map(key => check.number(movement[key], `movement.${key}`, { min: 0, max: 100 }));
+    if (valid.every(Boolean)) {
+      if (movement.buildHumidity < movement.minHumidity) {
+        check.fail('movement.buildHumidity', 'must be at least movement.minHumidity');
+      }
+      if (movement.buildHumidity > movement.maxHumidity) {
+        check.fail('movement.buildHumidity', 'must be at most movement.maxHumidity');
+      }
+    }
+    check.oneOf(movement.sawing, Object.keys(SAWING_METHODS), 'movement.sawing');
+    check.number(movement.threshold, 'movement.threshold', { min: 0 });
+  }
+
+  /**
+   * Checks the custom species list. Ids must be unique and must not shadow a
+   * built-in species.
+   */
+  static validateSpecies(customSpecies, check) {
+    if (!check.array(customSpecies, 'customSpecies')) return;
+
+    const ids = new Set();
+    customSpecies.forEach((species, index) => {
+      const path = `customSpecies[${index}]`;
+      if (!check.object(species, path)) return;
+      if (check.string(species.id, `${path}.id`)) {
+        if (WoodCatalog.isBuiltIn(species.id)) {
+          check.fail(`${path}.id`, `is the id of built-in species "${species.id}"`);
+        } else if (ids.has(species.id)) {
+          check.fail(`${path}.id`, `duplicates species id "${species.id}"`);
+        }
+        ids.add(species.id);
+      }
+      check.string(species.name, `${path}.name`);
+      check.oneOf(species.category, Object.keys(SPECIES_CATEGORIES), `${path}.category`);
+      check.number(species.density, `${path}.density`, { positive: true });
+      check.number(species.hardness, `${path}.hardness`, { min: 0 });
+      if (check.object(species.movement, `${path}.movement`)) {
+        ['tangential', 'radial'].forEach(key => check.number(species.movement[key], `${path}.movement.${key}`, { min: 0 }));
+      }
+      if (check.object(species.appearance, `${path}.appearance`)) {
+        const appearance = species.appearance;
+        ['baseColor', 'grainColor'].forEach(key => {
+          if (typeof appearance[key] !== 'string' || !COLOR_PATTERN.test(appearance[key])) {
+            check.fail(`${path}.appearance.${key}`, 'must be a colour like "#c8a77a"');
+          }
+        });
+        check.oneOf(appearance.figure, SPECIES_FIGURES, `${path}.appearance.figure`);
+        check.number(appearance.ringSpacing, `${path}.appearance.ringSpacing`, { positive: true });
+        check.number(appearance.contrast, `${path}.appearance.contrast`, { min: 0, max: 1 });
+        check.number(appearance.roughness, `${path}.appearance.roughness`, { min: 0, max: 1 });
+        check.optionalString(appearance.texture ?? null, `${path}.appearance.texture`);
+      }
+    });
+  }
+
+  static validateBoard(board, id, path, check) {
+    if (board.id !== id) {
+      check.fail(`${path}.id`, `must match the board's key "${id}"`);
+    }
+    if (check.object(board.dimensions, `${path}.dimensions`)) {
+      ['width', 'height', 'thickness'].forEach(key =>
+        check.number(board.dimensions[key], `${path}.dimensions.${key}`, { positive: true }));
+    }
+    check.vector(board.position, `${path}.position`);
+    check.vector(board.rotation, `${path}.rotation`);
+    check.oneOf(board.grainDirection, GRAIN_DIRECTIONS, `${path}.grainDirection`);
+    check.string(board.woodType, `${path}.woodType`);
+    check.string(board.displayName, `${path}.displayName`);
+
+    if (check.array(board.joints, `${path}.joints`)) {
+      board.joints.forEach((entry, index) => {
+        const jointPath = `${path}.joints[${index}]`;
+        if (!Array.isArray(entry) || entry.length !== 2) {
+          check.fail(jointPath, 'must be a [side, joint] pair');
+          return;
+        }
+        check.oneOf(entry[0], SIDES, `${jointPath}[0]`);
+        if (check.object(entry[1], `${jointPath}[1]`)) {
+          this.validateJoint(entry[1], `${jointPath}[1]`, check);
+        }
+      });
+    }
+
+    if (check.array(board.mortises, `${path}.mortises`)) {
+      board.mortises.forEach((mortise, index) => {
+        const mortisePath = `${path}.mortises[${index}]`;
+        if (!check.object(mortise, mortisePath)) return;
+        check.string(mortise.id, `${mortisePath}.id`);
+        check.oneOf(mortise.face, FACES, `${mortisePath}.face`);
+        check.oneOf(mortise.orientation, MORTISE_ORIENTATIONS, `${mortisePath}.orientation`);
+        ['x', 'y'].forEach(key => check.number(mortise[key], `${mortisePath}.${key}`));
+        ['length', 'width', 'depth'].forEach(key => check.number(mortise[key], `${mortisePath}.${key}`, { positive: true }));
+      });
+    }
+
+    if (check.array(board.faceCuts, `${path}.faceCuts`)) {
+      board.faceCuts.forEach((cut, index) => {
+        const cutPath = `${path}.faceCuts[${index}]`;
+        if (!check.object(cut, cutPath)) return;
+        check.string(cut.id, `${cutPath}.id`);
+        check.oneOf(cut.type, FACE_CUT_TYPES, `${cutPath}.type`);
+        check.oneOf(cut.face, FACES, `${cutPath}.face`);
+        check.oneOf(cut.edge, EDGES, `${cutPath}.edge`);
+        check.number(cut.offset, `${cutPath}.offset`);
+        ['width', 'depth'].forEach(key => check.number(cut[key], `${cutPath}.${key}`, { positive: true }));
+        ['stopStart', 'stopEnd'].forEach(key => check.number(cut[key], `${cutPath}.${key}`, { min: 0 }));
+      });
+    }
+
+    if (board.mate !== null && check.object(board.mate, `${path}.mate`)) {
+      check.string(board.mate.parentId, `${path}.mate.parentId`);
+      check.oneOf(board.mate.parentSide, EDGES, `${path}.mate.parentSide`);
+      check.oneOf(board.mate.side, EDGES, `${path}.mate.side`);
+      check.oneOf(board.mate.corner, CORNERS, `${path}.mate.corner`);
+      check.number(board.mate.offset, `${path}.mate.offset`);
+    }
+  }
+
+  static validateJoint(joint, path, check) {
+    check.oneOf(joint.type, JOINT_TYPES, `${path}.type`);
+    check.oneOf(joint.mode, JOINT_MODES, `${path}.mode`);
+    check.number(joint.fingerWidth, `${path}.fingerWidth`, { positive: true });
+    check.number(joint.fingerCount, `${path}.fingerCount`, { positive: true });
+    check.boolean(joint.centerKeyed, `${path}.centerKeyed`);
+    check.number(joint.start, `${path}.start`);
+    if (joint.grooveDepth !== null) {
+      check.number(joint.grooveDepth, `${path}.grooveDepth`, { positive: true });
+    }
+    if (check.array(joint.geometry, `${path}.geometry`)) {
+      joint.geometry.forEach((width, index) => check.number(width, `${path}.geometry[${index}]`, { positive: true }));
+    }
+
+    if (joint.link !== null && check.object(joint.link, `${path}.link`)) {
+      check.string(joint.link.boardId, `${path}.link.boardId`);
+      check.oneOf(joint.link.side, SIDES, `${path}.link.side`);
+      check.boolean(joint.link.reversed, `${path}.link.reversed`);
+    }
+    if (joint.mode === 'complement' && !joint.link) {
+      check.fail(`${path}.link`, 'is required in complement mode');
+    }
+
+    if (check.object(joint.dovetail, `${path}.dovetail`)) {
+      const dovetail = joint.dovetail;
+      ['tailCount', 'slope', 'halfPinWidth', 'pinWidth'].forEach(key =>
+        check.number(dovetail[key], `${path}.dovetail.${key}`, { positive: true }));
+      check.number(dovetail.lap, `${path}.dovetail.lap`, { min: 0 });
+      check.oneOf(dovetail.style, DOVETAIL_STYLES, `${path}.dovetail.style`);
+      check.oneOf(dovetail.role, DOVETAIL_ROLES, `${path}.dovetail.role`);
+      check.oneOf(dovetail.outsideFace, OUTSIDE_FACES, `${path}.dovetail.outsideFace`);
+    }
+
+    if (joint.tenon !== null && check.object(joint.tenon, `${path}.tenon`)) {
+      const tenon = joint.tenon;
+      ['length', 'thickness', 'width'].forEach(key => check.number(tenon[key], `${path}.tenon.${key}`, { positive: true }));
+      check.number(tenon.offset, `${path}.tenon.offset`);
+      ['haunchWidth', 'haunchLength'].forEach(key => check.number(tenon[key], `${path}.tenon.${key}`, { min: 0 }));
+      check.oneOf(tenon.shoulders, SHOULDERS, `${path}.tenon.shoulders`);
+      check.oneOf(tenon.haunchSide, HAUNCH_SIDES, `${path}.tenon.haunchSide`);
+    }
+    if (joint.type === 'tenon' && !joint.tenon) {
+      check.fail(`${path}.tenon`, 'is required for a tenon joint');
+    }
+
+    if (joint.tolerance !== null && check.object(joint.tolerance, `${path}.tolerance`)) {
+      check.number(joint.tolerance.clearance, `${path}.tolerance.clearance`, { min: 0 });
+      check.number(joint.tolerance.interference, `${path}.tolerance.interference`, { min: 0 });
+    }
+  }
+
+  /**
+   * One-line summary of validation errors for a notification.
+   */
+  static formatErrors(errors, limit = 3) {
+    const shown = errors.slice(0, limit).map(error => `${error.path} ${error.reason}`);
+    const more = errors.length > limit ? ` (and ${errors.length - limit} more)` : '';
+    return shown.join('; ') + more;
+  }
+}
+
+/**
+ * Type checks that record a { path, reason } error on failure and return
+ * whether the value passed, so callers can skip checks of nested fields.
+ */
+class Checker {
+  constructor(errors) {
+    this.errors = errors;
+  }
+
+  fail(path, reason) {
+    this.errors.push({ path, reason });
+    return false;
+  }
+
+  object(value, path) {
+    return isObject(value) || this.fail(path, 'must be an object');
+  }
+
+  array(value, path) {
+    return Array.isArray(value) || this.fail(path, 'must be an array');
+  }
+
+  string(value, path) {
+    return (typeof value === 'string' && value !== '') || this.fail(path, 'must be a non-empty string');
+  }
+
+  optionalString(value, path) {
+    return value === null || this.string(value, path);
+  }
+
+  boolean(value, path) {
+    return typeof value === 'boolean' || this.fail(path, 'must be true or false');
+  }
+
+  number(value, path, { positive = false, min = null, max = null } = {}) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return this.fail(path, 'must be a number');
+    }
+    if (positive && !(value > 0)) {
+      return this.fail(path, 'must be a positive number');
+    }
+    if (min !== null && value < min) {
+      return this.fail(path, `must be at least ${min}`);
+    }
+    if (max !== null && value > max) {
+      return this.fail(path, `must be at most ${max}`);
+    }
+    return true;
+  }
+
+  vector(value, path) {
+    if (!this.object(value, path)) return false;
+    return ['x', 'y', 'z'].every(key => this.number(value[key], `${path}.${key}`));
+  }
+
+  oneOf(value, allowed, path) {
+    return allowed.includes(value) || this.fail(path, `must be one of ${allowed.map(v => `"${v}"`).join(', ')}`);
+  }
+
+  optionalOneOf(value, allowed, path) {
+    return value === null || this.oneOf(value, allowed, path);
+  }
+}
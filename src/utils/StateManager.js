@@ -1,62 +1,178 @@
+import { MortiseConfig } from '../models/MortiseTenonConfig.js';
+import { FaceCutConfig } from '../models/FaceCutConfig.js';
+import { BoardGroup } from '../models/BoardGroup.js';
+import { WoodSpecies } from '../models/WoodSpecies.js';
+import { DEFAULT_TOLERANCES } from '../generators/BoxJointGenerator.js';
+import { DEFAULT_MOVEMENT } from './WoodMovementCalculator.js';
+import { DEFAULT_UNIT } from './Units.js';
+import { ProjectSchema, SCHEMA_VERSION } from './ProjectSchema.js';
+
+// Undo steps kept unless configured otherwise
+export const DEFAULT_HISTORY_LIMIT = 100;
+// Edits with the same merge key closer together than this become one undo step (ms)
+const MERGE_WINDOW = 1000;
+
+// Labels for steps committed without one, by the first updated field
+const UPDATE_LABELS = {
+  boards: 'Edit boards',
+  groups: 'Edit groups',
+  customSpecies: 'Edit species',
+  selectedBoardId: 'Change selection',
+  selectedSide: 'Select side',
+  showUnselectedTransparent: 'Toggle transparency',
+  assemblyOrder: 'Reorder assembly',
+  tolerances: 'Change tolerances',
+  movement: 'Change wood movement settings',
+  units: 'Change units'
+};
+
+/**
+ * Application state with an undo history.
+ *
+ * State objects are never modified once committed: every setState builds a
+ * new object, and callers replace the boards Map and any board they change
+ * rather than editing them. Each history entry therefore holds the state
+ * object itself, and boards, joints and settings that a step did not touch
+ * are shared with the entries around it instead of being copied.
+ */
 export class StateManager {
-  constructor() {
-    this.state = {
+  /**
+   * @param {Object} options - { historyLimit } maximum number of undo steps
+   */
+  constructor({ historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.state = this.createInitialState();
+    this.historyLimit = historyLimit;
+    this.listeners = [];
+    this.resetHistory();
+  }
+
+  createInitialState(units = DEFAULT_UNIT) {
+    return {
       boards: new Map(),
+      // Sub-assemblies (BoardGroup) by id
+      groups: new Map(),
+      // Wood species (WoodSpecies) the project adds to the built-in catalogue
+      customSpecies: [],
       selectedBoardId: null,
       selectedSide: null,
-      showUnselectedTransparent: false
+      showUnselectedTransparent: false,
+      // Board ids in the order they are assembled
+      assemblyOrder: [],
+      tolerances: { ...DEFAULT_TOLERANCES },
+      // Seasonal humidity range joints are checked for wood movement against
+      movement: { ...DEFAULT_MOVEMENT },
+      // Display unit; the model itself is always in millimetres
+      units
     };
-    this.history = [this.cloneState()];
-    this.historyIndex = 0;
-    this.listeners = [];
   }
 
-  cloneState() {
-    return {
-      boards: new Map(this.state.boards),
-      selectedBoardId: this.state.selectedBoardId,
-      selectedSide: this.state.selectedSide,
-      showUnselectedTransparent: this.state.showUnselectedTransparent
-    };
+  /**
+   * Starts a blank project with a fresh history, keeping the display unit.
+   */
+  reset() {
+    this.state = this.createInitialState(this.state.units);
+    this.resetHistory();
+    this.notifyListeners();
+  }
+
+  resetHistory(label = 'Open project') {
+    this.history = [{ state: this.state, label, mergeKey: null, time: Date.now() }];
+    this.historyIndex = 0;
   }
 
   getState() {
     return this.state;
   }
 
-  setState(updates) {
+  /**
+   * Commits updates as one undo step.
+   * @param {Object} updates - State fields to replace
+   * @param {Object} action - { label, mergeKey }. The label names the step in
+   *   the history (derived from the updated fields if omitted). A step with the
+   *   same mergeKey as the latest one, made within MERGE_WINDOW of it, replaces
+   *   it instead, so dragging or typing into one field undoes in one go.
+   */
+  setState(updates, { label = null, mergeKey = null } = {}) {
     this.state = { ...this.state, ...updates };
+    const time = Date.now();
+    const last = this.history[this.historyIndex];
+    const atEnd = this.historyIndex === this.history.length - 1;
 
-    if (this.historyIndex < this.history.length - 1) {
-      this.history = this.history.slice(0, this.historyIndex + 1);
+    if (mergeKey && atEnd && this.historyIndex > 0 && last.mergeKey === mergeKey && time - last.time < MERGE_WINDOW) {
+      this.history[this.historyIndex] = { ...last, state: this.state, time };
+    } else {
+      // A new step discards anything that could have been redone
+      this.history.length = this.historyIndex + 1;
+      this.history.push({ state: this.state, label: label || StateManager.describeUpdates(updates), mergeKey, time });
+      this.historyIndex++;
+      this.trimHistory();
     }
 
-    this.history.push(this.cloneState());
-    this.historyIndex = this.history.length - 1;
+    this.notifyListeners();
+  }
+
+  static describeUpdates(updates) {
+    const key = Object.keys(updates).find(k => k in UPDATE_LABELS);
+    return key ? UPDATE_LABELS[key] : 'Edit';
+  }
 
-    if (this.history.length > 50) {
-      this.history.shift();
-      this.historyIndex--;
+  /**
+   * Drops the oldest steps beyond the history limit.
+   */
+  trimHistory() {
+    const excess = this.history.length - 1 - this.historyLimit;
+    if (excess > 0) {
+      this.history.splice(0, excess);
+      this.historyIndex = Math.max(0, this.historyIndex - excess);
     }
+  }
+
+  setHistoryLimit(limit) {
+    this.historyLimit = Math.max(1, Math.floor(limit));
+    this.trimHistory();
+  }
+
+  /**
+   * @returns {Array} { label, time } for every step, oldest first; the first is the starting point
+   */
+  getHistory() {
+    return this.history.map(({ label, time }) => ({ label, time }));
+  }
+
+  getHistoryIndex() {
+    return this.historyIndex;
+  }
+
+  /**
+   * Label of the step undo would revert, or null if there is none.
+   */
+  getUndoLabel() {
+    return this.historyIndex > 0 ? this.history[this.historyIndex].label : null;
+  }
+
+  /**
+   * Label of the step redo would reapply, or null if there is none.
+   */
+  getRedoLabel() {
+    return this.historyIndex < this.history.length - 1 ? this.history[this.historyIndex + 1].label : null;
+  }
 
+  /**
+   * Moves to any point in the history; later steps stay available to redo.
+   */
+  jumpTo(index) {
+    if (index < 0 || index >= this.history.length || index === this.historyIndex) return;
+    this.historyIndex = index;
+    this.state = this.history[index].state;
     this.notifyListeners();
   }
 
   undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      this.state = this.cloneState();
-      this.state = this.history[this.historyIndex];
-      this.notifyListeners();
-    }
+    this.jumpTo(this.historyIndex - 1);
   }
 
   redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      this.state = this.history[this.historyIndex];
-      this.notifyListeners();
-    }
+    this.jumpTo(this.historyIndex + 1);
   }
 
   subscribe(listener) {
@@ -67,143 +183,122 @@ export class StateManager {
     this.listeners.forEach(listener => listener(this.state));
   }
 
-  saveToLocalStorage(key = 'boxJointsState') {
-    const serialized = {
-      boards: Array.from(this.state.boards.entries()).map(([id, board]) => [
-        id,
-        {
-          id: board.id,
-          dimensions: board.dimensions,
-          position: board.position,
-          rotation: board.rotation,
-          grainDirection: board.grainDirection,
-          woodType: board.woodType,
-          displayName: board.displayName,
-          joints: Array.from(board.joints.entries())
-        }
-      ]),
-      selectedBoardId: this.state.selectedBoardId,
-      selectedSide: this.state.selectedSide,
-      showUnselectedTransparent: this.state.showUnselectedTransparent
-    };
-    localStorage.setItem(key, JSON.stringify(serialized));
+  serializeBoards() {
+    return Array.from(this.state.boards.entries()).map(([id, board]) => [
+      id,
+      {
+        id: board.id,
+        dimensions: board.dimensions,
+        position: board.position,
+        rotation: board.rotation,
+        grainDirection: board.grainDirection,
+        woodType: board.woodType,
+        displayName: board.displayName,
+        joints: Array.from(board.joints.entries()),
+        mortises: board.mortises,
+        faceCuts: board.faceCuts,
+        mate: board.mate,
+        groupId: board.groupId
+      }
+    ]);
   }
 
-  exportToJSON() {
-    const serialized = {
-      boards: Array.from(this.state.boards.entries()).map(([id, board]) => [
-        id,
-        {
-          id: board.id,
-          dimensions: board.dimensions,
-          position: board.position,
-          rotation: board.rotation,
-          grainDirection: board.grainDirection,
-          woodType: board.woodType,
-          displayName: board.displayName,
-          joints: Array.from(board.joints.entries())
-        }
-      ]),
+  deserializeBoards(boardEntries, BoardClass, JointConfigClass) {
+    return new Map(
+      boardEntries.map(([id, boardData]) => {
+        const board = new BoardClass(
+          boardData.id,
+          boardData.dimensions,
+          boardData.position,
+          boardData.rotation
+        );
+        board.grainDirection = boardData.grainDirection;
+        board.woodType = boardData.woodType;
+        board.displayName = boardData.displayName || boardData.id;
+        board.joints = new Map(
+          boardData.joints.map(([side, jointData]) => [side, JointConfigClass.fromJSON({ ...jointData, side })])
+        );
+        board.mortises = boardData.mortises.map(data => MortiseConfig.fromJSON(data));
+        board.faceCuts = boardData.faceCuts.map(data => FaceCutConfig.fromJSON(data));
+        board.mate = boardData.mate;
+        board.groupId = boardData.groupId;
+        return [id, board];
+      })
+    );
+  }
+
+  /**
+   * Project file contents for the current state, tagged with the schema version.
+   */
+  serializeProject() {
+    return {
+      version: SCHEMA_VERSION,
+      boards: this.serializeBoards(),
+      groups: Array.from(this.state.groups.values()).map(({ id, name, parentId, position, rotation }) => ({
+        id, name, parentId, position, rotation
+      })),
+      customSpecies: this.state.customSpecies.map(({ id, name, category, density, hardness, movement, appearance }) => ({
+        id, name, category, density, hardness, movement, appearance
+      })),
       selectedBoardId: this.state.selectedBoardId,
       selectedSide: this.state.selectedSide,
-      showUnselectedTransparent: this.state.showUnselectedTransparent
+      showUnselectedTransparent: this.state.showUnselectedTransparent,
+      assemblyOrder: this.state.assemblyOrder,
+      tolerances: this.state.tolerances,
+      movement: this.state.movement,
+      units: this.state.units
     };
-    return JSON.stringify(serialized, null, 2);
   }
 
-  loadFromLocalStorage(key = 'boxJointsState', BoardClass, JointConfigClass) {
-    const data = localStorage.getItem(key);
-    if (!data) return false;
+  exportToJSON() {
+    return JSON.stringify(this.serializeProject(), null, 2);
+  }
 
+  /**
+   * Migrates and validates a project file and replaces the state with it.
+   * @returns {Object} { success, error, errors } where errors lists { path, reason }
+   */
+  loadProject(jsonString, BoardClass, JointConfigClass) {
+    let parsed;
     try {
-      const parsed = JSON.parse(data);
-      const boards = new Map(
-        parsed.boards.map(([id, boardData]) => {
-          const board = new BoardClass(
-            boardData.id,
-            boardData.dimensions,
-            boardData.position,
-            boardData.rotation
-          );
-          board.grainDirection = boardData.grainDirection;
-          board.woodType = boardData.woodType;
-          board.displayName = boardData.displayName || boardData.id;
-          board.joints = new Map(
-            boardData.joints.map(([side, jointData]) => {
-              const joint = new JointConfigClass(side);
-              Object.assign(joint, jointData);
-              return [side, joint];
-            })
-          );
-          return [id, board];
-        })
-      );
-
-      this.state = {
-        boards,
-        selectedBoardId: parsed.selectedBoardId,
-        selectedSide: parsed.selectedSide,
-        showUnselectedTransparent: parsed.showUnselectedTransparent ?? false
-      };
-
-      this.history = [this.cloneState()];
-      this.historyIndex = 0;
-      this.notifyListeners();
-      return true;
+      parsed = JSON.parse(jsonString);
     } catch (e) {
-      console.error('Failed to load state:', e);
-      return false;
+      return { success: false, error: `Not valid JSON (${e.message})`, errors: [] };
     }
+
+    const result = ProjectSchema.load(parsed);
+    if (!result.valid) {
+      return { success: false, error: ProjectSchema.formatErrors(result.errors), errors: result.errors };
+    }
+
+    const { project } = result;
+    this.state = {
+      boards: this.deserializeBoards(project.boards, BoardClass, JointConfigClass),
+      groups: new Map(project.groups.map(data => [data.id, BoardGroup.fromJSON(data)])),
+      customSpecies: project.customSpecies.map(data => WoodSpecies.fromJSON({ ...data, custom: true })),
+      selectedBoardId: project.selectedBoardId,
+      selectedSide: project.selectedSide,
+      showUnselectedTransparent: project.showUnselectedTransparent,
+      assemblyOrder: project.assemblyOrder,
+      tolerances: { ...DEFAULT_TOLERANCES, ...project.tolerances },
+      movement: { ...DEFAULT_MOVEMENT, ...project.movement },
+      units: project.units
+    };
+
+    this.resetHistory();
+    this.notifyListeners();
+    return { success: true, errors: [] };
   }
 
   importFromJSON(jsonString, BoardClass, JointConfigClass) {
     if (!jsonString) {
-      return { success: false, error: 'No data provided' };
+      return { success: false, error: 'No data provided', errors: [] };
     }
 
-    try {
-      const parsed = JSON.parse(jsonString);
-      
-      if (!parsed.boards || !Array.isArray(parsed.boards)) {
-        return { success: false, error: 'Invalid project format: missing boards array' };
-      }
-
-      const boards = new Map(
-        parsed.boards.map(([id, boardData]) => {
-          const board = new BoardClass(
-            boardData.id,
-            boardData.dimensions,
-            boardData.position,
-            boardData.rotation
-          );
-          board.grainDirection = boardData.grainDirection;
-          board.woodType = boardData.woodType;
-          board.displayName = boardData.displayName || boardData.id;
-          board.joints = new Map(
-            boardData.joints.map(([side, jointData]) => {
-              const joint = new JointConfigClass(side);
-              Object.assign(joint, jointData);
-              return [side, joint];
-            })
-          );
-          return [id, board];
-        })
-      );
-
-      this.state = {
-        boards,
-        selectedBoardId: parsed.selectedBoardId || null,
-        selectedSide: parsed.selectedSide || null,
-        showUnselectedTransparent: parsed.showUnselectedTransparent ?? false
-      };
-
-      this.history = [this.cloneState()];
-      this.historyIndex = 0;
-      this.notifyListeners();
-      return { success: true };
-    } catch (e) {
-      console.error('Failed to import project:', e);
-      return { success: false, error: e.message || 'Failed to parse JSON file' };
+    const result = this.loadProject(jsonString, BoardClass, JointConfigClass);
+    if (!result.success) {
+      console.error('Failed to import project:', result.errors.length > 0 ? result.errors : result.error);
     }
+    return result;
   }
 }
@@ -0,0 +1,211 @@
+const MM_PER_INCH = 25.4;
+
+/**
+ * Display units a project can be set to. The model always stays in
+ * millimetres; factor converts one display unit to mm and step is the
+ * rounding and input step in display units. suffix follows a formatted
+ * value, label names the unit in headings and grid is the default viewport
+ * snap in display units.
+ */
+export const UNIT_SYSTEMS = {
+  mm: { name: 'Millimetres', suffix: 'mm', label: 'mm', factor: 1, step: 0.5, decimals: 2, grid: 10 },
+  cm: { name: 'Centimetres', suffix: 'cm', label: 'cm', factor: 10, step: 0.05, decimals: 3, grid: 1 },
+  in: { name: 'Inches (decimal)', suffix: 'in', label: 'in', factor: MM_PER_INCH, step: 0.01, decimals: 3, grid: 0.5, imperial: true },
+  'in-frac': { name: 'Inches (fractional)', suffix: '"', label: 'in', factor: MM_PER_INCH, step: 1 / 64, denominator: 64, grid: 0.5, imperial: true }
+};
+
+export const DEFAULT_UNIT = 'mm';
+
+// Unit suffixes accepted when typing a value, whatever the project unit
+const SUFFIX_FACTORS = [
+  [/(mm)$/i, 1],
+  [/(cm)$/i, 10],
+  [/(inches|inch|in|"|″)$/i, MM_PER_INCH]
+];
+
+/**
+ * Converts, formats and parses lengths for the project's display unit.
+ */
+export class Units {
+  static get(unit) {
+    return UNIT_SYSTEMS[unit] || UNIT_SYSTEMS[DEFAULT_UNIT];
+  }
+
+  static isImperial(unit) {
+    return Boolean(this.get(unit).imperial);
+  }
+
+  /**
+   * Unit for small lengths such as kerf and fit tolerances, which 1/64"
+   * steps are too coarse for; fractional inches fall back to decimal inches.
+   */
+  static fine(unit) {
+    return this.get(unit).denominator ? 'in' : unit;
+  }
+
+  /**
+   * Length in display units, with floating point noise removed.
+   */
+  static toDisplay(mm, unit) {
+    return Number((mm / this.get(unit).factor).toFixed(6));
+  }
+
+  static toMillimetres(value, unit) {
+    return value * this.get(unit).factor;
+  }
+
+  /**
+   * Smallest step lengths are rounded to, in mm.
+   */
+  static step(unit) {
+    const system = this.get(unit);
+    return system.step * system.factor;
+  }
+
+  /**
+   * Rounds a length in mm to the nearest step of the display unit.
+   */
+  static round(mm, unit) {
+    const step = this.step(unit);
+    return Math.round(mm / step) * step;
+  }
+
+  /**
+   * Formats an area given in mm² in the square of the display unit.
+   */
+  static formatArea(mm2, unit, decimals = 1) {
+    const system = this.get(unit);
+    return `${(mm2 / Math.pow(system.factor, 2)).toFixed(decimals)}${system.label}²`;
+  }
+
+  /**
+   * Formats a volume given in mm³ in the cube of the display unit.
+   */
+  static formatVolume(mm3, unit, decimals = 1) {
+    const system = this.get(unit);
+    return `${(mm3 / Math.pow(system.factor, 3)).toFixed(decimals)}${system.label}³`;
+  }
+
+  /**
+   * Formats a length for an input field, without a suffix.
+   */
+  static formatValue(mm, unit) {
+    const system = this.get(unit);
+    if (system.denominator) {
+      return this.formatFraction(mm / system.factor, system.denominator);
+    }
+    return String(Number((mm / system.factor).toFixed(system.decimals + 2)));
+  }
+
+  /**
+   * Formats a length for display, e.g. "12.5mm", "0.492in" or "1 3/8"".
+   */
+  static format(mm, unit, decimals = null) {
+    const system = this.get(unit);
+    if (system.denominator) {
+      return `${this.formatFraction(mm / system.factor, system.denominator)}${system.suffix}`;
+    }
+    const places = decimals ?? system.decimals;
+    return `${Number((mm / system.factor).toFixed(places))}${system.suffix}`;
+  }
+
+  /**
+   * Writes a value as a whole number and a reduced fraction of the given
+   * denominator, e.g. 1.375 → "1 3/8".
+   */
+  static formatFraction(value, denominator) {
+    const sign = value < 0 ? '-' : '';
+    let whole = Math.floor(Math.abs(value));
+    let numerator = Math.round((Math.abs(value) - whole) * denominator);
+    let divisor = denominator;
+
+    if (numerator === divisor) {
+      whole += 1;
+      numerator = 0;
+    }
+    if (numerator === 0) {
+      return `${whole === 0 ? '' : sign}${whole}`;
+    }
+    while (numerator % 2 === 0) {
+      numerator /= 2;
+      divisor /= 2;
+    }
+    return whole === 0 ? `${sign}${numerator}/${divisor}` : `${sign}${whole} ${numerator}/${divisor}`;
+  }
+
+  /**
+   * Parses a typed length to mm. Accepts decimals, fractions ("3/8") and
+   * mixed numbers ("1 3/8" or "1-3/8"); a trailing mm, cm, in or " overrides
+   * the project unit.
+   * @returns {number} Length in mm, or NaN if the text is not a length
+   */
+  static parse(text, unit) {
+    let body = String(text).trim();
+    let factor = this.get(unit).factor;
+
+    for (const [pattern, suffixFactor] of SUFFIX_FACTORS) {
+      if (pattern.test(body)) {
+        body = body.replace(pattern, '').trim();
+        factor = suffixFactor;
+        break;
+      }
+    }
+
+    const value = this.parseNumber(body);
+    return isNaN(value) ? NaN : Number((value * factor).toFixed(6));
+  }
+
+  static parseNumber(text) {
+    const negative = text.startsWith('-');
+    const body = negative ? text.slice(1).trim() : text;
+    if (body === '') return NaN;
+
+    const decimal = /^(\d+\.?\d*|\.\d+)$/;
+    const fraction = /^(\d+)\s*\/\s*(\d+)$/;
+    let value;
+
+    const mixed = body.match(/^(\d+)(?:\s+|-)(\d+\s*\/\s*\d+)$/);
+    if (mixed) {
+      const [, numerator, divisor] = mixed[2].match(fraction);
+      value = parseInt(mixed[1], 10) + parseInt(numerator, 10) / parseInt(divisor, 10);
+    } else if (fraction.test(body)) {
+      const [, numerator, divisor] = body.match(fraction);
+      value = parseInt(numerator, 10) / parseInt(divisor, 10);
+    } else if (decimal.test(body)) {
+      value = parseFloat(body);
+    } else {
+      return NaN;
+    }
+
+    if (!isFinite(value)) return NaN;
+    return negative ? -value : value;
+  }
+
+  /**
+   * Attributes for a length input showing a value in mm. Fractional inches
+   * need a text field; the other units keep a number field with its step
+   * and limits converted to display units.
+   * @param {number} mm - Current value
+   * @param {string} unit - Display unit
+   * @param {Object} limits - Optional { step, min, max } in mm
+   * @returns {string} Attribute markup: type, value and, for number fields, step/min/max
+   */
+  static inputAttributes(mm, unit, limits = {}) {
+    const system = this.get(unit);
+    const value = this.formatValue(mm, unit);
+    if (system.denominator) {
+      return `type="text" inputmode="decimal" value="${value}"`;
+    }
+
+    // A step given in mm is converted and rounded to one significant digit
+    const stepValue = limits.step ? Number((limits.step / system.factor).toPrecision(1)) : system.step;
+    const attributes = [`type="number"`, `value="${value}"`, `step="${stepValue}"`];
+    // Number fields count steps from min, so the limits are moved inwards onto
+    // the step grid through the current value; it stays valid and in range
+    const current = Number(value);
+    const onGrid = (mm, snap) => Number((current + snap((mm / system.factor - current) / stepValue) * stepValue).toFixed(6));
+    if (limits.min !== undefined) attributes.push(`min="${onGrid(limits.min, Math.ceil)}"`);
+    if (limits.max !== undefined) attributes.push(`max="${onGrid(limits.max, Math.floor)}"`);
+    return attributes.join(' ');
+  }
+}
@@ -0,0 +1,121 @@
+import { WoodSpecies } from '../models/WoodSpecies.js';
+import { escapeHTML } from './escapeHTML.js';
+
+export const SPECIES_CATEGORIES = {
+  hardwood: 'Hardwoods',
+  softwood: 'Softwoods',
+  sheet: 'Sheet goods'
+};
+
+export const SPECIES_FIGURES = ['straight', 'cathedral', 'plain'];
+
+export const DEFAULT_SPECIES = 'ash';
+
+const define = (id, name, category, density, hardness, [tangential, radial], appearance) =>
+  WoodSpecies.fromJSON({ id, name, category, density, hardness, movement: { tangential, radial }, appearance });
+
+/**
+ * Built-in species. Densities, Janka hardness and movement coefficients are
+ * typical published values for air-dried stock; sheet goods figures are
+ * nominal.
+ */
+export const BUILT_IN_SPECIES = [
+  define('ash', 'Ash', 'hardwood', 675, 5870, [0.00274, 0.00169],
+    { baseColor: '#d9c49f', grainColor: '#b39a6e', texture: 'ash' }),
+  define('cherry', 'Cherry', 'hardwood', 560, 4230, [0.00248, 0.00126],
+    { baseColor: '#b0633c', grainColor: '#8a4528', roughness: 0.7, texture: 'cherry' }),
+  define('walnut', 'Black Walnut', 'hardwood', 610, 4490, [0.00274, 0.00190],
+    { baseColor: '#5b3a29', grainColor: '#3b2418', ringSpacing: 20, contrast: 0.55, roughness: 0.7 }),
+  define('red-oak', 'Red Oak', 'hardwood', 700, 5430, [0.00369, 0.00158],
+    { baseColor: '#c9936b', grainColor: '#9c6a45', ringSpacing: 30, contrast: 0.65 }),
+  define('white-oak', 'White Oak', 'hardwood', 755, 5990, [0.00365, 0.00180],
+    { baseColor: '#c8a57a', grainColor: '#9b7a52', ringSpacing: 28, contrast: 0.55 }),
+  define('maple', 'Hard Maple', 'hardwood', 705, 6450, [0.00353, 0.00165],
+    { baseColor: '#e8d6b5', grainColor: '#d2bc94', figure: 'straight', ringSpacing: 14, contrast: 0.3, roughness: 0.6 }),
+  define('beech', 'Beech', 'hardwood', 720, 5780, [0.00431, 0.00190],
+    { baseColor: '#dcb48a', grainColor: '#c09670', figure: 'straight', ringSpacing: 12, contrast: 0.3 }),
+  define('poplar', 'Poplar', 'hardwood', 455, 2400, [0.00289, 0.00158],
+    { baseColor: '#d8cfa4', grainColor: '#a6a37a', figure: 'straight', ringSpacing: 18, contrast: 0.35 }),
+  define('pine', 'White Pine', 'softwood', 400, 1690, [0.00212, 0.00071],
+    { baseColor: '#e6c88f', grainColor: '#c48f4e', ringSpacing: 26, contrast: 0.75 }),
+  define('douglas-fir', 'Douglas Fir', 'softwood', 510, 2760, [0.00267, 0.00165],
+    { baseColor: '#d9a56f', grainColor: '#b06f3c', figure: 'straight', ringSpacing: 16, contrast: 0.7 }),
+  define('plywood', 'Birch Plywood', 'sheet', 680, 4000, [0.0002, 0.0002],
+    { baseColor: '#e3cca4', grainColor: '#cdb288', ringSpacing: 48, contrast: 0.3 }),
+  define('mdf', 'MDF', 'sheet', 750, 3600, [0.0003, 0.0003],
+    { baseColor: '#a88a6a', grainColor: '#9a7d5e', figure: 'plain', contrast: 0.1, roughness: 0.9 })
+];
+
+const BUILT_IN = new Map(BUILT_IN_SPECIES.map(species => [species.id, species]));
+
+/**
+ * Looks up species among the built-in ones and a project's custom species.
+ * Boards with an id that is in neither (e.g. a species deleted from the
+ * project) get a generic species named after the id rather than a wrong one.
+ */
+export class WoodCatalog {
+  /**
+   * @param {Array} customSpecies - The project's custom WoodSpecies
+   * @returns {Array} Built-in species followed by the custom ones
+   */
+  static list(customSpecies = []) {
+    return [...BUILT_IN_SPECIES, ...customSpecies];
+  }
+
+  static has(id, customSpecies = []) {
+    return BUILT_IN.has(id) || customSpecies.some(species => species.id === id);
+  }
+
+  static get(id, customSpecies = []) {
+    const species = BUILT_IN.get(id) || customSpecies.find(custom => custom.id === id);
+    if (species) return species;
+
+    const unknown = new WoodSpecies(id, this.formatId(id));
+    unknown.appearance = { ...unknown.appearance, figure: 'plain', contrast: 0 };
+    return unknown;
+  }
+
+  static getName(id, customSpecies = []) {
+    return this.get(id, customSpecies).name;
+  }
+
+  static isBuiltIn(id) {
+    return BUILT_IN.has(id);
+  }
+
+  static formatId(id) {
+    return id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * An id for a new custom species named name, unique in the catalogue.
+   */
+  static createId(name, customSpecies = []) {
+    const base = `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'species'}`;
+    let id = base;
+    for (let n = 2; this.has(id, customSpecies); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * <option> elements for a species select, grouped by category.
+   */
+  static renderOptions(selected, customSpecies = []) {
+    const option = species =>
+      `<option value="${escapeHTML(species.id)}" ${species.id === selected ? 'selected' : ''}>${escapeHTML(species.name)}</option>`;
+
+    const groups = Object.entries(SPECIES_CATEGORIES).map(([category, label]) => {
+      const members = BUILT_IN_SPECIES.filter(species => species.category === category);
+      return `<optgroup label="${label}">${members.map(option).join('')}</optgroup>`;
+    });
+    if (customSpecies.length > 0) {
+      groups.push(`<optgroup label="Custom">${customSpecies.map(option).join('')}</optgroup>`);
+    }
+    if (!this.has(selected, customSpecies)) {
+      groups.unshift(option(this.get(selected)));
+    }
+    return groups.join('');
+  }
+}
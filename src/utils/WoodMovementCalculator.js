@@ -0,0 +1,200 @@
+import { WoodCatalog } from './WoodCatalog.js';
+import { BoxJointGenerator } from '../generators/BoxJointGenerator.js';
+
+// Seasonal range the project is checked against: relative humidity (%) when
+// the joints were cut and at the driest and most humid times of year, how the
+// boards were sawn, and the bind or gap (mm) above which a joint is flagged
+export const DEFAULT_MOVEMENT = {
+  buildHumidity: 45,
+  minHumidity: 25,
+  maxHumidity: 75,
+  sawing: 'flat',
+  threshold: 0.2
+};
+
+export const SAWING_METHODS = {
+  flat: 'Flat-sawn',
+  quarter: 'Quarter-sawn'
+};
+
+// Indoor temperature the equilibrium moisture content is worked out for (°C)
+const TEMPERATURE = 20;
+// Change along the grain per 1% moisture content; small for every species
+const LONGITUDINAL_COEFFICIENT = 0.00005;
+// Local axis each edge runs along
+const EDGE_AXES = { top: 'x', bottom: 'x', left: 'y', right: 'y' };
+
+/**
+ * Seasonal wood movement. Boards are taken to be at equilibrium with the
+ * air: the relative humidity gives their moisture content, and a species'
+ * movement coefficients give how far each dimension moves from its size
+ * when the joints were cut. Wood barely moves along the grain, so boards
+ * joined with their grain crossing along a joint move by different amounts
+ * and the fingers of one slide out of line with the sockets of the other.
+ */
+export class WoodMovementCalculator {
+  /**
+   * Equilibrium moisture content of wood in air, from the Hailwood-Horrobin
+   * sorption model (USDA Wood Handbook).
+   * @param {number} humidity - Relative humidity in %
+   * @param {number} temperature - Air temperature in °C
+   * @returns {number} Moisture content in % of the oven-dry weight
+   */
+  static equilibriumMoisture(humidity, temperature = TEMPERATURE) {
+    const t = temperature;
+    const h = Math.min(Math.max(humidity, 0), 100) / 100;
+    const w = 349 + 1.29 * t + 0.0135 * t * t;
+    const k = 0.805 + 0.000736 * t - 0.00000273 * t * t;
+    const k1 = 6.27 - 0.00938 * t - 0.000303 * t * t;
+    const k2 = 1.91 + 0.0407 * t - 0.000293 * t * t;
+    const kh = k * h;
+    return (1800 / w) * (kh / (1 - kh) + (k1 * kh + 2 * k1 * k2 * kh * kh) / (1 + k1 * kh + k1 * k2 * kh * kh));
+  }
+
+  /**
+   * @returns {Object} { build, dry, humid } moisture content in %
+   */
+  static getMoisture(settings) {
+    return {
+      build: this.equilibriumMoisture(settings.buildHumidity),
+      dry: this.equilibriumMoisture(settings.minHumidity),
+      humid: this.equilibriumMoisture(settings.maxHumidity)
+    };
+  }
+
+  /**
+   * Change in moisture content from when the joints were cut to the driest
+   * and most humid times of year.
+   * @returns {Object} { dry, humid } in percentage points
+   */
+  static getMoistureChange(settings) {
+    const moisture = this.getMoisture(settings);
+    return { dry: moisture.dry - moisture.build, humid: moisture.humid - moisture.build };
+  }
+
+  /**
+   * Fraction each local axis of a board changes per 1% moisture content.
+   * Solid wood moves tangentially across the face of flat-sawn boards and
+   * radially through their thickness, and the other way round when
+   * quarter-sawn. Sheet goods move by their coefficients in every direction.
+   * @returns {Object} { x, y, z } along the width, height and thickness
+   */
+  static getCoefficients(board, settings, customSpecies = []) {
+    const species = WoodCatalog.get(board.woodType, customSpecies);
+    const { tangential, radial } = species.movement;
+    if (species.category === 'sheet') {
+      return { x: tangential, y: tangential, z: radial };
+    }
+
+    const quarter = settings.sawing === 'quarter';
+    const across = quarter ? radial : tangential;
+    return {
+      x: board.grainDirection === 'width' ? LONGITUDINAL_COEFFICIENT : across,
+      y: board.grainDirection === 'height' ? LONGITUDINAL_COEFFICIENT : across,
+      z: quarter ? tangential : radial
+    };
+  }
+
+  /**
+   * How far a board's dimensions move over the year (mm, negative when it shrinks).
+   * @returns {Object} { dry, humid } each { width, height, thickness }
+   */
+  static getDimensionChange(board, settings, customSpecies = []) {
+    const coefficients = this.getCoefficients(board, settings, customSpecies);
+    const change = this.getMoistureChange(settings);
+    const { width, height, thickness } = board.dimensions;
+    const at = delta => ({
+      width: width * coefficients.x * delta,
+      height: height * coefficients.y * delta,
+      thickness: thickness * coefficients.z * delta
+    });
+    return { dry: at(change.dry), humid: at(change.humid) };
+  }
+
+  /**
+   * Mesh scale showing a board at a moisture change from when it was built.
+   * @param {number} moistureChange - Percentage points from the build moisture content
+   * @param {number} exaggeration - Factor the movement is multiplied by so it can be seen
+   * @returns {Object} { x, y, z }
+   */
+  static getScale(board, settings, moistureChange, exaggeration = 1, customSpecies = []) {
+    const coefficients = this.getCoefficients(board, settings, customSpecies);
+    return {
+      x: 1 + coefficients.x * moistureChange * exaggeration,
+      y: 1 + coefficients.y * moistureChange * exaggeration,
+      z: 1 + coefficients.z * moistureChange * exaggeration
+    };
+  }
+
+  /**
+   * Checks every linked edge joint over the seasonal range.
+   *
+   * The joint is taken to stay put at the middle of the edge, so the fingers
+   * at either end slide out of line with their sockets by half the
+   * difference in the two boards' movement along the edge. When the boards
+   * swell, fingers pushed further than the glue clearance bind against their
+   * neighbours; when they shrink, the shift opens gaps and strains the glue.
+   * @param {Map} boards - All boards by id
+   * @param {Object} settings - Movement settings (see DEFAULT_MOVEMENT)
+   * @param {Object} tolerances - Project tolerances, for each joint's clearance
+   * @param {Array} customSpecies - The project's custom WoodSpecies
+   * @returns {Array} { boardIds, sides, names, length, clearance, mismatch: { dry, humid }, bind, gap, status }
+   *   with status 'ok', 'bind' or 'gap'
+   */
+  static analyzeJoints(boards, settings, tolerances = null, customSpecies = []) {
+    const change = this.getMoistureChange(settings);
+    const results = [];
+    const seen = new Set();
+
+    boards.forEach(board => {
+      board.joints.forEach((joint, side) => {
+        const partner = joint.link ? boards.get(joint.link.boardId) : null;
+        const partnerSide = joint.link && joint.link.side;
+        if (!partner || !EDGE_AXES[side] || !EDGE_AXES[partnerSide]) return;
+
+        const key = [`${board.id}.${side}`, `${partner.id}.${partnerSide}`].sort().join('|');
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        // Both sides of a link share the fit of the side the pattern comes from
+        const source = joint.mode === 'complement' ? partner.joints.get(partnerSide) : joint;
+        const fit = source ? BoxJointGenerator.getFit(source, tolerances) : 0;
+        const clearance = Math.max(fit, 0) / 2;
+
+        const length = Math.min(
+          BoxJointGenerator.getSideDimension(board, side),
+          BoxJointGenerator.getSideDimension(partner, partnerSide)
+        );
+        const difference = this.getCoefficients(board, settings, customSpecies)[EDGE_AXES[side]] -
+          this.getCoefficients(partner, settings, customSpecies)[EDGE_AXES[partnerSide]];
+        const mismatch = {
+          dry: length * difference * change.dry,
+          humid: length * difference * change.humid
+        };
+        const bind = Math.max(Math.abs(mismatch.humid) / 2 - clearance, 0);
+        const gap = Math.abs(mismatch.dry) / 2;
+
+        let status = 'ok';
+        if (bind > settings.threshold) {
+          status = 'bind';
+        } else if (gap > settings.threshold) {
+          status = 'gap';
+        }
+
+        results.push({
+          boardIds: [board.id, partner.id],
+          sides: [side, partnerSide],
+          names: [board.displayName || board.id, partner.displayName || partner.id],
+          length,
+          clearance,
+          mismatch,
+          bind,
+          gap,
+          status
+        });
+      });
+    });
+
+    return results;
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Escapes text for use in HTML content and double-quoted attributes, e.g.
+ * board, group, species and project names the user typed or imported.
+ * @param {*} text - Value to escape; converted to a string
+ * @returns {string} Escaped text
+ */
+export const escapeHTML = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');